@@ -274,6 +274,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const DRAFT_STORAGE_KEY = 'newsletter-draft';
   const PREVIEW_MAX_LENGTH = 150;
   const SUBSCRIBER_PAGE_SIZE = 50;
+  const CAMPAIGN_STATUS_POLL_INTERVAL_MS = 2000;
+  const CAMPAIGN_STATUS_POLL_MAX_INTERVAL_MS = 60000;
+  const CAMPAIGN_FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
   const SOURCE_LABELS = {
     manual: 'Manual',
     'public-api': 'Public form',
@@ -282,6 +285,14 @@ document.addEventListener('DOMContentLoaded', () => {
     automation: 'Automation',
     referral: 'Referral',
   };
+  const SUBSCRIBER_STATUS_LABELS = {
+    active: 'Active',
+    pending: 'Pending confirmation',
+    unsubscribed: 'Unsubscribed',
+    bounced: 'Bounced',
+    complained: 'Complained',
+    cleaned: 'Cleaned',
+  };
 
   // Navigation -----------------------------------------------------------------
   const navTabs = document.querySelectorAll('.nav-tab');
@@ -345,6 +356,12 @@ document.addEventListener('DOMContentLoaded', () => {
   // Compose references ---------------------------------------------------------
   const titleInput = document.getElementById('newsletter-title');
   const previewTextInput = document.getElementById('newsletter-preview-text');
+  const excludeFromArchiveInput = document.getElementById('exclude-from-archive');
+  const campaignTopicField = document.getElementById('campaign-topic-field');
+  const campaignTopicSelect = document.getElementById('campaign-topic');
+  const campaignDigestInput = document.getElementById('campaign-digest');
+  const campaignListsField = document.getElementById('campaign-lists');
+  const campaignListOptions = document.getElementById('campaign-list-options');
   const previewCounter = document.getElementById('preview-char-counter');
   const editor = document.getElementById('newsletter-content');
   const toolbarButtons = document.querySelectorAll('.editor-toolbar button[data-command]');
@@ -368,6 +385,24 @@ document.addEventListener('DOMContentLoaded', () => {
   const sendConfirmMessage = document.getElementById('send-confirm-message');
   const sendConfirmCount = document.getElementById('send-confirm-count');
   const sendConfirmBackdrop = sendConfirmModal?.querySelector('[data-close-modal]');
+  const sendProgress = document.getElementById('send-progress');
+  const sendProgressBar = document.getElementById('send-progress-bar');
+  const sendProgressFill = document.getElementById('send-progress-fill');
+  const sendProgressText = document.getElementById('send-progress-text');
+  const sendProgressFailures = document.getElementById('send-progress-failures');
+  const sendProgressFailureCount = document.getElementById('send-progress-failure-count');
+  const sendProgressFailureList = document.getElementById('send-progress-failure-list');
+  const sendProgressControls = document.getElementById('send-progress-controls');
+  const sendPauseButton = document.getElementById('send-pause-button');
+  const sendResumeButton = document.getElementById('send-resume-button');
+  const sendCancelButton = document.getElementById('send-cancel-button');
+  const sendQuotaText = document.getElementById('send-quota');
+  const scheduleSendAtInput = document.getElementById('schedule-send-at');
+  const scheduleButton = document.getElementById('schedule-button');
+  const scheduledCampaignList = document.getElementById('scheduled-campaign-list');
+  const feedDraftsSection = document.getElementById('feed-drafts');
+  const feedDraftList = document.getElementById('feed-draft-list');
+  const scheduledCampaignEmpty = document.getElementById('scheduled-campaign-empty');
   const templateMenuButton = document.getElementById('template-menu-button');
   const templateMenu = document.getElementById('template-menu');
   const saveTemplateButton = document.getElementById('save-template-button');
@@ -429,6 +464,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const subscriberStatus = document.getElementById('subscriber-status');
   const subscriberSearch = document.getElementById('subscriber-search');
   const subscriberFilter = document.getElementById('subscriber-filter');
+  const subscriberListSelect = document.getElementById('subscriber-list');
+  const createListButton = document.getElementById('create-list-button');
+  const createFieldButton = document.getElementById('create-field-button');
   const subscriberLoading = document.getElementById('subscriber-loading');
   const subscriberEmptyState = document.getElementById('subscribers-empty');
   const subscriberPrev = document.getElementById('subscriber-prev');
@@ -446,11 +484,26 @@ document.addEventListener('DOMContentLoaded', () => {
   const analyticsContent = document.getElementById('analytics-content');
   const analyticsTotalSubscribers = document.getElementById('analytics-total-subscribers');
   const analyticsTotalSent = document.getElementById('analytics-total-sent');
+  const analyticsOpenRate = document.getElementById('analytics-open-rate');
+  const analyticsTotalOpens = document.getElementById('analytics-total-opens');
   const analyticsLastCampaign = document.getElementById('analytics-last-campaign');
   const analyticsLastCampaignStatus = document.getElementById('analytics-last-campaign-status');
   const analyticsCampaignsBody = document.getElementById('analytics-campaigns-body');
   const analyticsCampaignsEmpty = document.getElementById('analytics-campaigns-empty');
   const analyticsGrowthCanvas = document.getElementById('analytics-growth-chart');
+  const campaignDetailPanel = document.getElementById('campaign-detail');
+  const campaignDetailTitle = document.getElementById('campaign-detail-title');
+  const campaignDetailSummary = document.getElementById('campaign-detail-summary');
+  const campaignDetailMetrics = document.getElementById('campaign-detail-metrics');
+  const campaignDetailTiming = document.getElementById('campaign-detail-timing');
+  const campaignDetailPreview = document.getElementById('campaign-detail-preview');
+  const campaignDetailClose = document.getElementById('campaign-detail-close');
+  const linkReportPanel = document.getElementById('link-report');
+  const linkReportTitle = document.getElementById('link-report-title');
+  const linkReportSummary = document.getElementById('link-report-summary');
+  const linkReportRows = document.getElementById('link-report-rows');
+  const linkReportPreview = document.getElementById('link-report-preview');
+  const linkReportClose = document.getElementById('link-report-close');
 
 
   let subscribersCache = [];
@@ -466,6 +519,7 @@ document.addEventListener('DOMContentLoaded', () => {
   let lastFocusedBeforePreview = null;
   let lastFocusedBeforeSendConfirm = null;
   let isSendingNewsletter = false;
+  let activeCampaignId = null;
   let templateMenuOpen = false;
   let customTemplates = [];
   let releaseTemplateManageFocusTrap = null;
@@ -2007,6 +2061,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     lastFocusedBeforeSendConfirm =
       document.activeElement instanceof HTMLElement ? document.activeElement : null;
+    resetSendProgress({ visible: false });
     updateSendButtonState(subscriberTotal);
     if (sendConfirmMessage) {
       const noun = subscriberTotal === 1 ? 'subscriber' : 'subscribers';
@@ -2238,6 +2293,245 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  function resetSendProgress({ visible = true } = {}) {
+    if (!sendProgress) {
+      return;
+    }
+    sendProgress.classList.toggle('hidden', !visible);
+    if (sendProgressFill) {
+      sendProgressFill.style.width = '0%';
+    }
+    sendProgressBar?.setAttribute('aria-valuenow', '0');
+    if (sendProgressText) {
+      sendProgressText.textContent = 'Waiting for the send worker…';
+    }
+    if (sendProgressFailureList) {
+      sendProgressFailureList.innerHTML = '';
+    }
+    if (sendProgressFailureCount) {
+      sendProgressFailureCount.textContent = '0';
+    }
+    sendProgressFailures?.classList.add('hidden');
+    updateSendControls({ status: 'queued' });
+  }
+
+  function updateSendControls(status) {
+    const state = status?.status;
+    const isFinal = !state || CAMPAIGN_FINAL_STATUSES.includes(state);
+    sendProgressControls?.classList.toggle('hidden', isFinal);
+    sendPauseButton?.classList.toggle('hidden', state === 'paused');
+    sendResumeButton?.classList.toggle('hidden', state !== 'paused');
+    if (state === 'paused' && sendProgressText) {
+      const processed = Number(status.processed) || 0;
+      const total = Number(status.total) || 0;
+      sendProgressText.textContent =
+        `Paused after ${processed.toLocaleString()} of ${total.toLocaleString()} recipients.`;
+    }
+    if (state === 'deferred' && sendProgressText) {
+      const processed = Number(status.processed) || 0;
+      const total = Number(status.total) || 0;
+      sendProgressText.textContent =
+        `Daily send limit reached after ${processed.toLocaleString()} of ${total.toLocaleString()} recipients. `
+        + `The rest goes out after ${formatDateTime(status.deferredUntil)}.`;
+      loadSendQuota();
+    }
+  }
+
+  async function requestCampaignControl(action, button) {
+    if (!activeCampaignId) {
+      return;
+    }
+    if (action === 'cancel'
+      && !window.confirm('Cancel this send? Subscribers who have not received it yet will be skipped.')) {
+      return;
+    }
+    setButtonLoading(button, true, '…');
+    try {
+      const response = await fetch(
+        `/api/campaigns/${encodeURIComponent(activeCampaignId)}/${action}`,
+        { method: 'POST' },
+      );
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || `Could not ${action} the campaign.`);
+      }
+      if (sendProgressText && result.requestedAction) {
+        sendProgressText.textContent = result.message;
+      }
+      if (!result.requestedAction) {
+        updateSendControls(result);
+      }
+    } catch (error) {
+      console.error(error);
+      showToast('Campaign update failed', { type: 'error', description: error.message });
+    } finally {
+      setButtonLoading(button, false);
+    }
+  }
+
+  sendPauseButton?.addEventListener('click', () => {
+    void requestCampaignControl('pause', sendPauseButton);
+  });
+  sendResumeButton?.addEventListener('click', () => {
+    void requestCampaignControl('resume', sendResumeButton);
+  });
+  sendCancelButton?.addEventListener('click', () => {
+    void requestCampaignControl('cancel', sendCancelButton);
+  });
+
+  function renderSendProgress(entry) {
+    if (!sendProgress || !entry) {
+      return;
+    }
+    const total = Number(entry.total) || 0;
+    const processed = Number(entry.processed) || 0;
+    const sent = Number(entry.sent) || 0;
+    const failed = Number(entry.failed) || 0;
+    const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 0;
+    if (sendProgressFill) {
+      sendProgressFill.style.width = `${percent}%`;
+    }
+    sendProgressBar?.setAttribute('aria-valuenow', String(percent));
+    if (sendProgressText) {
+      const parts = [
+        `${processed.toLocaleString()} of ${total.toLocaleString()} processed`,
+        `${sent.toLocaleString()} sent`,
+      ];
+      if (failed > 0) {
+        parts.push(`${failed.toLocaleString()} failed`);
+      }
+      if (entry.batch) {
+        parts.push(`batch ${entry.batch}`);
+      }
+      sendProgressText.textContent = parts.join(' · ');
+    }
+  }
+
+  function appendSendProgressFailure(failure) {
+    if (!sendProgressFailureList || !failure?.email) {
+      return;
+    }
+    const item = document.createElement('li');
+    item.textContent = failure.error ? `${failure.email} — ${failure.error}` : failure.email;
+    sendProgressFailureList.appendChild(item);
+    sendProgressFailures?.classList.remove('hidden');
+    if (sendProgressFailureCount) {
+      sendProgressFailureCount.textContent = String(sendProgressFailureList.children.length);
+    }
+  }
+
+  /**
+   * Follow a queued campaign over Server-Sent Events, rendering each progress entry as it arrives.
+   * Falls back to status polling when the stream cannot be opened or drops before completion.
+   */
+  function watchCampaignProgress(campaignId, options = {}) {
+    const { onProgress } = options;
+    const handleStatus = (status) => {
+      if (status?.progress) {
+        renderSendProgress(status.progress);
+      } else if (status) {
+        renderSendProgress({
+          total: status.total,
+          processed: status.processed,
+          sent: status.sent,
+          failed: status.failed,
+        });
+      }
+      updateSendControls(status);
+      if (typeof onProgress === 'function') {
+        onProgress(status);
+      }
+    };
+
+    if (typeof window.EventSource !== 'function') {
+      return waitForCampaignCompletion(campaignId, { onProgress: handleStatus });
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`/api/campaigns/${encodeURIComponent(campaignId)}/events`);
+      let settled = false;
+      const settle = (callback) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        source.close();
+        callback();
+      };
+
+      source.addEventListener('status', (event) => {
+        const status = JSON.parse(event.data);
+        if (sendProgressFailureList && sendProgressFailureList.children.length === 0) {
+          (status.recentFailures || []).forEach(appendSendProgressFailure);
+        }
+        handleStatus(status);
+      });
+
+      source.addEventListener('progress', (event) => {
+        const entry = JSON.parse(event.data);
+        renderSendProgress(entry);
+        if (!entry.success) {
+          appendSendProgressFailure(entry);
+        }
+      });
+
+      source.addEventListener('complete', (event) => {
+        const status = JSON.parse(event.data);
+        settle(() => {
+          handleStatus(status);
+          resolve(status);
+        });
+      });
+
+      source.onerror = () => {
+        settle(() => {
+          waitForCampaignCompletion(campaignId, { onProgress: handleStatus }).then(resolve, reject);
+        });
+      };
+    });
+  }
+
+  /**
+   * Poll a queued campaign until the background worker finishes it.
+   * Resolves with the final status payload, or null when the session expired mid-poll.
+   */
+  async function waitForCampaignCompletion(campaignId, options = {}) {
+    const { onProgress } = options;
+    const statusUrl = `/api/campaigns/${encodeURIComponent(campaignId)}/status`;
+    let delayMs = CAMPAIGN_STATUS_POLL_INTERVAL_MS;
+    while (true) {
+      const response = await fetch(statusUrl);
+      if (handleUnauthorizedResponse(response)) {
+        return null;
+      }
+      if (response.status === 429) {
+        // Back off instead of failing the send view; the worker keeps going either way.
+        delayMs = Math.min(delayMs * 2, CAMPAIGN_STATUS_POLL_MAX_INTERVAL_MS);
+        await new Promise((resolve) => {
+          window.setTimeout(resolve, delayMs);
+        });
+        continue;
+      }
+      delayMs = CAMPAIGN_STATUS_POLL_INTERVAL_MS;
+      const status = await response.json().catch(() => null);
+      if (!response.ok || !status) {
+        throw new Error(status?.message || 'Unable to check the campaign status.');
+      }
+      if (typeof onProgress === 'function') {
+        onProgress(status);
+      }
+      if (CAMPAIGN_FINAL_STATUSES.includes(status.status)) {
+        return status;
+      }
+      await new Promise((resolve) => {
+        window.setTimeout(resolve, delayMs);
+      });
+    }
+  }
+
   async function executeSendNewsletter() {
     const title = titleInput.value.trim();
     const rawContent = editor.innerHTML.trim();
@@ -2255,6 +2549,11 @@ document.addEventListener('DOMContentLoaded', () => {
       });
       return;
     }
+    if (!getCampaignAudience().lists.length && !campaignListsField?.classList.contains('hidden')) {
+      hideSendConfirmModal();
+      setSendStatus('Sending failed: pick at least one list to send to.', true);
+      return;
+    }
 
     isSendingNewsletter = true;
     updateSendButtonState(subscriberTotal);
@@ -2284,6 +2583,8 @@ document.addEventListener('DOMContentLoaded', () => {
           title,
           content,
           previewText,
+          excludeFromArchive: excludeFromArchiveInput?.checked === true,
+          ...getCampaignAudience(),
         }),
       });
 
@@ -2302,7 +2603,58 @@ document.addEventListener('DOMContentLoaded', () => {
         throw error;
       }
 
-      const summary = result?.summary;
+      const campaignId = result?.campaignId;
+      let finalStatus = null;
+      if (response.status === 202 && campaignId) {
+        activeCampaignId = campaignId;
+        const deferredRecipients = Number(result?.deferredRecipients) || 0;
+        setSendStatus(deferredRecipients > 0
+          ? `Newsletter queued for ${recipientsLabel}. ${deferredRecipients.toLocaleString()} are over today's send limit and will go out after ${formatDateTime(result.dailyQuota?.resetsAt)}.`
+          : `Newsletter queued for ${recipientsLabel}. Delivery is running in the background...`);
+        resetSendProgress();
+        finalStatus = await watchCampaignProgress(campaignId, {
+          onProgress: (status) => {
+            const total = Number(status?.total) || 0;
+            const processed = Number(status?.processed) || 0;
+            if (status?.status === 'running' && total > 0) {
+              setSendStatus(`Sending... ${processed.toLocaleString()} of ${total.toLocaleString()} processed.`);
+            }
+            if (status?.status === 'deferred') {
+              setSendStatus(`Today's send limit is used up. Delivery resumes after ${formatDateTime(status.deferredUntil)}.`);
+            }
+          },
+        });
+        if (!finalStatus) {
+          return;
+        }
+        if (finalStatus.status === 'failed') {
+          throw new Error(finalStatus.error?.message || 'The send job failed before completing.');
+        }
+        if (finalStatus.campaignStatus === 'failed') {
+          throw new Error('Failed to send newsletter; all emails encountered errors.');
+        }
+        if (finalStatus.status === 'cancelled') {
+          const sent = Number(finalStatus.sent) || 0;
+          const skipped = Number(finalStatus.skipped) || 0;
+          setSendStatus(
+            `Newsletter cancelled after ${sent.toLocaleString()} sent; ${skipped.toLocaleString()} never attempted.`,
+            false,
+            {
+              toast: {
+                title: 'Send cancelled',
+                type: 'warning',
+                description: `Campaign ${campaignId}`,
+              },
+            },
+          );
+          if (analyticsContent) {
+            loadAnalytics({ silent: true }).catch(() => { });
+          }
+          return;
+        }
+      }
+
+      const summary = finalStatus?.summary || result?.summary;
       if (summary) {
         const sent = Number(summary.sentCount ?? summary.successes?.length ?? 0);
         const failed = Number(summary.failedCount ?? summary.failures?.length ?? 0);
@@ -2321,8 +2673,8 @@ document.addEventListener('DOMContentLoaded', () => {
         if (skipped > 0) {
           detailParts.push(`${skipped.toLocaleString()} skipped`);
         }
-        if (result?.campaignId) {
-          detailParts.push(`Campaign ${result.campaignId}`);
+        if (campaignId) {
+          detailParts.push(`Campaign ${campaignId}`);
         }
         setSendStatus(message, false, {
           variant: 'success',
@@ -2333,7 +2685,7 @@ document.addEventListener('DOMContentLoaded', () => {
           },
         });
       } else {
-        const toastDescription = result?.campaignId ? `Campaign ${result.campaignId}` : '';
+        const toastDescription = campaignId ? `Campaign ${campaignId}` : '';
         setSendStatus('Newsletter sent successfully!', false, {
           variant: 'success',
           toast: {
@@ -2360,6 +2712,7 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     } finally {
       isSendingNewsletter = false;
+      activeCampaignId = null;
       setButtonLoading(sendButton, false);
       if (sendConfirmButton) {
         setButtonLoading(sendConfirmButton, false);
@@ -2370,120 +2723,863 @@ document.addEventListener('DOMContentLoaded', () => {
       sendConfirmClose?.removeAttribute('aria-disabled');
       updateSendButtonState(subscriberTotal);
       hideSendConfirmModal({ force: true });
+      loadSendQuota();
     }
   }
 
-  // Subscribers ----------------------------------------------------------------
-  function normalizeEmail(value) {
-    return typeof value === 'string' ? value.trim().toLowerCase() : '';
-  }
-
-  function getSubscribedDate(subscriber) {
-    return (
-      subscriber?.subscribedAt ||
-      subscriber?.joinedAt ||
-      subscriber?.joined_at ||
-      subscriber?.createdAt ||
-      null
-    );
-  }
-
-  function formatDate(value) {
-    if (!value) {
-      return '—';
+  // Daily send quota ------------------------------------------------------------
+  function renderSendQuota(quota) {
+    if (!sendQuotaText) {
+      return;
     }
-    const date = new Date(value);
-    if (Number.isNaN(date.getTime())) {
-      return '—';
+    sendQuotaText.classList.toggle('hidden', !quota?.enforced);
+    if (!quota?.enforced) {
+      return;
     }
-    return new Intl.DateTimeFormat(undefined, {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-    }).format(date);
+    const parts = [];
+    if (quota.warmupEnabled) {
+      parts.push(`Warm-up day ${quota.warmupDay}`);
+    }
+    parts.push(`${quota.sent.toLocaleString()} of ${quota.limit.toLocaleString()} emails sent today`);
+    if (quota.remaining === 0) {
+      parts.push(`further sends wait until ${formatDateTime(quota.resetsAt)}`);
+    } else {
+      parts.push(`${quota.remaining.toLocaleString()} left`);
+    }
+    sendQuotaText.textContent = `${parts.join(' · ')}.`;
+    sendQuotaText.classList.toggle('is-exhausted', quota.remaining === 0);
   }
 
-  function formatSource(value) {
-    if (!value) {
-      return 'Unknown';
+  async function loadSendQuota() {
+    if (!sendQuotaText) {
+      return;
     }
-    const lower = value.toLowerCase();
-    if (SOURCE_LABELS[lower]) {
-      return SOURCE_LABELS[lower];
+    try {
+      const response = await fetch('/api/send-quota');
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to load the daily send quota.');
+      }
+      renderSendQuota(result);
+    } catch (error) {
+      console.error(error);
     }
-    return lower.charAt(0).toUpperCase() + lower.slice(1);
   }
 
-  function matchesFilter(subscriber, filter) {
-    if (!filter || filter === 'all') {
-      return true;
+  // Mailing lists ----------------------------------------------------------------
+  // The compose view picks the lists a campaign goes to; the subscribers view filters by list.
+  let mailingLists = [];
+
+  function getListName(listId) {
+    return mailingLists.find((list) => list.id === listId)?.name || listId;
+  }
+
+  // With a single list there is nothing to choose, and the server sends to every list.
+  function getCampaignAudience() {
+    const lists = campaignListsField?.classList.contains('hidden')
+      ? []
+      : Array.from(campaignListOptions.querySelectorAll('input:checked')).map((input) => input.value);
+    return {
+      lists,
+      topic: campaignTopicSelect?.value || '',
+      digest: campaignDigestInput?.checked === true,
+    };
+  }
+
+  function renderMailingLists() {
+    if (subscriberListSelect) {
+      const selected = subscriberListSelect.value;
+      subscriberListSelect.innerHTML = '<option value="all">All lists</option>';
+      mailingLists.forEach((list) => {
+        const option = document.createElement('option');
+        option.value = list.id;
+        option.textContent = `${list.name} (${list.subscriberCount})`;
+        subscriberListSelect.appendChild(option);
+      });
+      subscriberListSelect.value = mailingLists.some((list) => list.id === selected) ? selected : 'all';
     }
-    const subscribedDate = getSubscribedDate(subscriber);
-    const dateValue = subscribedDate ? new Date(subscribedDate) : null;
-    const now = new Date();
+    if (campaignListOptions) {
+      const unchecked = new Set(
+        Array.from(campaignListOptions.querySelectorAll('input:not(:checked)')).map((input) => input.value),
+      );
+      campaignListOptions.innerHTML = '';
+      mailingLists.forEach((list) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = list.id;
+        checkbox.checked = !unchecked.has(list.id);
+        label.append(checkbox, ` ${list.name}`);
+        campaignListOptions.appendChild(label);
+      });
+      campaignListsField?.classList.toggle('hidden', mailingLists.length < 2);
+    }
+  }
 
-    switch (filter) {
-      case 'recent-7':
-        if (!dateValue) return false;
-        return now - dateValue <= 7 * 24 * 60 * 60 * 1000;
-      case 'recent-30':
-        if (!dateValue) return false;
-        return now - dateValue <= 30 * 24 * 60 * 60 * 1000;
-      case 'source-manual':
-        return normalizeEmail(subscriber.source) === 'manual';
-      case 'source-public-api':
-        return ['public-api', 'public-form', 'public'].includes(
-          normalizeEmail(subscriber.source),
-        );
-      case 'source-other':
-        return !['manual', 'public-api', 'public-form', 'public'].includes(
-          normalizeEmail(subscriber.source),
-        );
-      default:
-        return true;
+  async function loadMailingLists() {
+    try {
+      const response = await fetch('/api/lists');
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to load mailing lists.');
+      }
+      mailingLists = result.lists;
+      renderMailingLists();
+    } catch (error) {
+      console.error(error);
     }
   }
 
-  function applySubscriberFilters() {
-    if (!subscriberSearch || !subscriberFilter || !subscriberTableBody) {
+  createListButton?.addEventListener('click', async () => {
+    const name = window.prompt('Name of the new list');
+    if (!name || !name.trim()) {
       return;
     }
-    const query = subscriberSearch.value.trim().toLowerCase();
-    const filterValue = subscriberFilter.value;
+    const senderName = window.prompt('Sender name shown in the From line (optional)', name.trim()) || '';
+    try {
+      const response = await fetch('/api/lists', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: name.trim(), senderName: senderName.trim() }),
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Could not create the list.');
+      }
+      await loadMailingLists();
+      if (subscriberListSelect) {
+        subscriberListSelect.value = result.list.id;
+        applySubscriberFilters();
+      }
+      setSubscriberStatus(`Created the list "${result.list.name}".`, false, { highlightSuccess: true });
+    } catch (error) {
+      console.error(error);
+      setSubscriberStatus(error.message || 'Could not create the list.', true);
+    }
+  });
 
-    filteredSubscribers = subscribersCache.filter((subscriber) => {
-      const matchesSearch =
-        !query ||
-        normalizeEmail(subscriber.email).includes(query) ||
-        (subscriber.name || '').toLowerCase().includes(query);
-      const matches = matchesSearch && matchesFilter(subscriber, filterValue);
-      return matches;
-    });
+  // Custom fields ----------------------------------------------------------------
+  // Subscribers carry tags and values for typed custom fields, both edited inline in the table.
+  let customFields = [];
+  const CUSTOM_FIELD_INPUT_TYPES = { text: 'text', number: 'number', date: 'date' };
 
-    currentSubscriberPage = 1;
-    renderSubscribers();
+  // Dates are stored as YYYY-MM-DD and shown as stored so they do not shift with the time zone.
+  function formatCustomFieldValue(field, value) {
+    if (field.type === 'boolean') {
+      return value ? 'Yes' : 'No';
+    }
+    return String(value);
   }
 
-  function renderSubscribers() {
-    if (!subscriberTableBody || !subscriberCount || !subscriberEmptyState) {
-      return;
-    }
-    subscriberCount.textContent = subscribersCache.length;
+  function describeCustomFields(subscriber) {
+    const values = subscriber.customFields || {};
+    return customFields
+      .filter((field) => values[field.key] !== undefined)
+      .map((field) => `${field.label}: ${formatCustomFieldValue(field, values[field.key])}`)
+      .join(' · ');
+  }
 
-    const totalItems = filteredSubscribers.length;
-    const totalPages = Math.max(1, Math.ceil(totalItems / SUBSCRIBER_PAGE_SIZE));
-    currentSubscriberPage = Math.min(currentSubscriberPage, totalPages);
+  function createTagChip(email, tag) {
+    const chip = document.createElement('li');
+    chip.className = 'tag-chip';
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'remove-tag';
+    removeButton.dataset.email = email;
+    removeButton.dataset.tag = tag;
+    removeButton.textContent = '×';
+    removeButton.setAttribute('aria-label', `Remove tag ${tag}`);
+    chip.append(tag, removeButton);
+    return chip;
+  }
 
-    const startIndex = (currentSubscriberPage - 1) * SUBSCRIBER_PAGE_SIZE;
-    const currentItems = filteredSubscribers.slice(
-      startIndex,
-      startIndex + SUBSCRIBER_PAGE_SIZE,
-    );
+  function buildCustomFieldsEditor(subscriber, columnCount) {
+    const row = document.createElement('tr');
+    row.className = 'subscriber-fields-row';
+    const cell = document.createElement('td');
+    cell.colSpan = columnCount;
+    const form = document.createElement('form');
+    form.className = 'subscriber-fields-form';
+    form.dataset.email = subscriber.email;
+
+    customFields.forEach((field) => {
+      const value = subscriber.customFields?.[field.key];
+      const label = document.createElement('label');
+      label.className = 'field';
+      const caption = document.createElement('span');
+      caption.className = 'field-label';
+      caption.textContent = field.label;
+      let input;
+      if (field.type === 'boolean') {
+        // A select rather than a checkbox so "not set" stays distinguishable from "No".
+        input = document.createElement('select');
+        [
+          ['', 'Not set'],
+          ['true', 'Yes'],
+          ['false', 'No'],
+        ].forEach(([optionValue, text]) => {
+          const option = document.createElement('option');
+          option.value = optionValue;
+          option.textContent = text;
+          input.appendChild(option);
+        });
+        input.value = value === undefined ? '' : String(value);
+      } else {
+        input = document.createElement('input');
+        input.type = CUSTOM_FIELD_INPUT_TYPES[field.type] || 'text';
+        if (field.type === 'number') {
+          input.step = 'any';
+        }
+        if (field.type === 'text') {
+          input.maxLength = 500;
+        }
+        input.value = value ?? '';
+      }
+      input.name = field.key;
+      label.append(caption, input);
+      form.appendChild(label);
+    });
 
-    subscriberTableBody.innerHTML = '';
+    const actions = document.createElement('div');
+    actions.className = 'form-actions';
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'btn primary';
+    saveButton.textContent = 'Save fields';
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'btn ghost cancel-fields';
+    cancelButton.textContent = 'Cancel';
+    actions.append(saveButton, cancelButton);
+    form.appendChild(actions);
+
+    cell.appendChild(form);
+    row.appendChild(cell);
+    return row;
+  }
 
-    if (currentItems.length === 0) {
-      subscriberEmptyState.hidden = false;
+  // Apply a server response to the cached subscriber so the table re-renders without a reload.
+  function updateCachedSubscriber(email, updates) {
+    const cached = subscribersCache.find(
+      (subscriber) => normalizeEmail(subscriber.email) === normalizeEmail(email),
+    );
+    if (cached) {
+      Object.assign(cached, updates);
+    }
+    renderSubscribers();
+  }
+
+  async function loadCustomFields() {
+    try {
+      const response = await fetch('/api/custom-fields');
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to load custom fields.');
+      }
+      customFields = result.fields;
+      renderSubscribers();
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  createFieldButton?.addEventListener('click', async () => {
+    const label = window.prompt('Label of the new field, e.g. "Company"');
+    if (!label || !label.trim()) {
+      return;
+    }
+    const type = window.prompt('Field type: text, number, date or boolean', 'text');
+    if (!type) {
+      return;
+    }
+    const isPublic = window.confirm('Let sign-up forms fill in this field?');
+    try {
+      const response = await fetch('/api/custom-fields', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ label: label.trim(), type: type.trim().toLowerCase(), public: isPublic }),
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Could not create the field.');
+      }
+      await loadCustomFields();
+      setSubscriberStatus(`Created the field "${result.field.label}" (key: ${result.field.key}).`, false, {
+        highlightSuccess: true,
+      });
+    } catch (error) {
+      console.error(error);
+      setSubscriberStatus(error.message || 'Could not create the field.', true);
+    }
+  });
+
+  // Topics -----------------------------------------------------------------------
+  // Readers pick topics in the preference center; a campaign can be aimed at one of them.
+  const topicLabels = new Map();
+
+  async function loadTopics() {
+    try {
+      const response = await fetch('/api/topics');
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to load topics.');
+      }
+      result.topics.forEach((topic) => {
+        topicLabels.set(topic.id, topic.label);
+        if (campaignTopicSelect) {
+          const option = document.createElement('option');
+          option.value = topic.id;
+          option.textContent = topic.label;
+          campaignTopicSelect.appendChild(option);
+        }
+      });
+      campaignTopicField?.classList.toggle('hidden', result.topics.length === 0);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  // Scheduled campaigns ---------------------------------------------------------
+  let scheduledCampaigns = [];
+
+  function formatDateTime(value) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+      return '—';
+    }
+    return new Intl.DateTimeFormat(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    }).format(date);
+  }
+
+  // datetime-local inputs expect local wall-clock time without a zone suffix.
+  function toDateTimeLocalValue(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return '';
+    }
+    const offsetMs = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+  }
+
+  function readSendAtInput(input) {
+    const raw = input?.value || '';
+    if (!raw) {
+      return null;
+    }
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  function renderScheduledCampaigns() {
+    if (!scheduledCampaignList) {
+      return;
+    }
+    scheduledCampaignList.innerHTML = '';
+    scheduledCampaignEmpty?.classList.toggle('hidden', scheduledCampaigns.length > 0);
+
+    scheduledCampaigns.forEach((campaign) => {
+      const item = document.createElement('li');
+      item.className = 'scheduled-campaign-item';
+      item.dataset.campaignId = campaign.id;
+
+      const meta = document.createElement('div');
+      meta.className = 'scheduled-campaign-meta';
+      const title = document.createElement('strong');
+      title.textContent = campaign.title;
+      const when = document.createElement('span');
+      when.className = 'scheduled-campaign-when';
+      when.textContent = `Sends ${formatDateTime(campaign.sendAt)}`;
+      meta.append(title, when);
+
+      const actions = document.createElement('div');
+      actions.className = 'scheduled-campaign-actions';
+      const rescheduleInput = document.createElement('input');
+      rescheduleInput.type = 'datetime-local';
+      rescheduleInput.className = 'schedule-input hidden';
+      rescheduleInput.value = toDateTimeLocalValue(campaign.sendAt);
+      rescheduleInput.setAttribute('aria-label', `New send time for ${campaign.title}`);
+      actions.appendChild(rescheduleInput);
+
+      [
+        ['view', 'View', 'btn ghost'],
+        ['reschedule', 'Reschedule', 'btn ghost'],
+        ['save', 'Save', 'btn secondary hidden'],
+        ['cancel', 'Cancel send', 'btn ghost'],
+      ].forEach(([action, label, className]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.dataset.scheduleAction = action;
+        button.textContent = label;
+        actions.appendChild(button);
+      });
+
+      item.append(meta, actions);
+      scheduledCampaignList.appendChild(item);
+    });
+  }
+
+  async function loadScheduledCampaigns() {
+    if (!scheduledCampaignList) {
+      return;
+    }
+    try {
+      const response = await fetch('/api/scheduled-campaigns');
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to load scheduled campaigns.');
+      }
+      scheduledCampaigns = Array.isArray(result?.campaigns) ? result.campaigns : [];
+      renderScheduledCampaigns();
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  async function scheduleNewsletter() {
+    const title = titleInput.value.trim();
+    const content = sanitizeEditorHtml(editor.innerHTML.trim());
+    const previewText = previewTextInput.value.trim();
+    const sendAt = readSendAtInput(scheduleSendAtInput);
+
+    if (!title || !content) {
+      setSendStatus('Scheduling failed: add a title and content first.', true);
+      return;
+    }
+    if (!getCampaignAudience().lists.length && !campaignListsField?.classList.contains('hidden')) {
+      setSendStatus('Scheduling failed: pick at least one list to send to.', true);
+      return;
+    }
+    if (!sendAt || sendAt.getTime() <= Date.now()) {
+      setSendStatus('Pick a send time in the future.', true);
+      return;
+    }
+
+    setButtonLoading(scheduleButton, true, 'Scheduling…');
+    try {
+      const response = await fetch('/api/send-newsletter', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          title,
+          content,
+          previewText,
+          excludeFromArchive: excludeFromArchiveInput?.checked === true,
+          ...getCampaignAudience(),
+          sendAt: sendAt.toISOString(),
+        }),
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to schedule newsletter.');
+      }
+      scheduleSendAtInput.value = '';
+      setSendStatus(`Newsletter scheduled for ${formatDateTime(result.sendAt)}.`, false, {
+        variant: 'success',
+        toast: {
+          title: 'Newsletter scheduled',
+          type: 'success',
+          description: `Campaign ${result.campaignId}`,
+        },
+      });
+      await loadScheduledCampaigns();
+    } catch (error) {
+      console.error(error);
+      setSendStatus(error.message || 'Could not schedule newsletter.', true, {
+        variant: 'error',
+        toast: { title: 'Scheduling failed', type: 'error' },
+      });
+    } finally {
+      setButtonLoading(scheduleButton, false);
+    }
+  }
+
+  async function updateScheduledCampaign(campaignId, method, body) {
+    const response = await fetch(`/api/scheduled-campaigns/${encodeURIComponent(campaignId)}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (handleUnauthorizedResponse(response)) {
+      return null;
+    }
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result?.message || 'Scheduled campaign update failed.');
+    }
+    return result;
+  }
+
+  async function handleScheduledCampaignAction(event) {
+    const button = event.target.closest('button[data-schedule-action]');
+    const item = button?.closest('[data-campaign-id]');
+    if (!button || !item) {
+      return;
+    }
+    const campaign = scheduledCampaigns.find((entry) => entry.id === item.dataset.campaignId);
+    if (!campaign) {
+      return;
+    }
+    const action = button.dataset.scheduleAction;
+    const rescheduleInput = item.querySelector('input[type="datetime-local"]');
+
+    if (action === 'view') {
+      if (previewFrame) {
+        previewFrame.srcdoc = buildEmailTemplate(campaign.title, campaign.content, campaign.previewText);
+      }
+      showPreviewModal();
+      return;
+    }
+    if (action === 'reschedule') {
+      rescheduleInput?.classList.remove('hidden');
+      item.querySelector('[data-schedule-action="save"]')?.classList.remove('hidden');
+      button.classList.add('hidden');
+      rescheduleInput?.focus();
+      return;
+    }
+
+    try {
+      if (action === 'save') {
+        const sendAt = readSendAtInput(rescheduleInput);
+        if (!sendAt || sendAt.getTime() <= Date.now()) {
+          setSendStatus('Pick a send time in the future.', true);
+          return;
+        }
+        setButtonLoading(button, true, 'Saving…');
+        const result = await updateScheduledCampaign(campaign.id, 'PATCH', {
+          sendAt: sendAt.toISOString(),
+        });
+        if (result) {
+          showToast('Campaign rescheduled', {
+            type: 'success',
+            description: `Sends ${formatDateTime(result.campaign.sendAt)}`,
+          });
+        }
+      } else if (action === 'cancel') {
+        if (!window.confirm(`Cancel the scheduled send of "${campaign.title}"?`)) {
+          return;
+        }
+        setButtonLoading(button, true, 'Cancelling…');
+        const result = await updateScheduledCampaign(campaign.id, 'DELETE');
+        if (result) {
+          showToast('Scheduled send cancelled', { type: 'success', description: campaign.title });
+        }
+      }
+    } catch (error) {
+      console.error(error);
+      showToast('Scheduled campaign update failed', { type: 'error', description: error.message });
+    } finally {
+      await loadScheduledCampaigns();
+    }
+  }
+
+  scheduleButton?.addEventListener('click', () => {
+    void scheduleNewsletter();
+  });
+  scheduledCampaignList?.addEventListener('click', (event) => {
+    void handleScheduledCampaignAction(event);
+  });
+
+  // RSS automation drafts -------------------------------------------------------
+  let feedDrafts = [];
+
+  function renderFeedDrafts() {
+    if (!feedDraftList) {
+      return;
+    }
+    feedDraftList.innerHTML = '';
+    feedDraftsSection?.classList.toggle('hidden', feedDrafts.length === 0);
+
+    feedDrafts.forEach((draft) => {
+      const item = document.createElement('li');
+      item.className = 'scheduled-campaign-item';
+      item.dataset.draftId = draft.id;
+
+      const meta = document.createElement('div');
+      meta.className = 'scheduled-campaign-meta';
+      const title = document.createElement('strong');
+      title.textContent = draft.title;
+      const when = document.createElement('span');
+      when.className = 'scheduled-campaign-when';
+      when.textContent = draft.error
+        ? `Could not be sent automatically: ${draft.error.message}`
+        : `From the feed · ${formatDateTime(draft.source?.publishedAt || draft.createdAt)}`;
+      meta.append(title, when);
+
+      const actions = document.createElement('div');
+      actions.className = 'scheduled-campaign-actions';
+      [
+        ['view', 'View', 'btn ghost'],
+        ['approve', 'Approve & send', 'btn secondary'],
+        ['discard', 'Discard', 'btn ghost'],
+      ].forEach(([action, label, className]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.dataset.draftAction = action;
+        button.textContent = label;
+        actions.appendChild(button);
+      });
+
+      item.append(meta, actions);
+      feedDraftList.appendChild(item);
+    });
+  }
+
+  async function loadFeedDrafts() {
+    if (!feedDraftList) {
+      return;
+    }
+    try {
+      const response = await fetch('/api/automations/rss');
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to load feed drafts.');
+      }
+      feedDrafts = Array.isArray(result?.drafts) ? result.drafts : [];
+      renderFeedDrafts();
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  async function handleFeedDraftAction(event) {
+    const button = event.target.closest('button[data-draft-action]');
+    const item = button?.closest('[data-draft-id]');
+    if (!button || !item) {
+      return;
+    }
+    const draft = feedDrafts.find((entry) => entry.id === item.dataset.draftId);
+    if (!draft) {
+      return;
+    }
+    const action = button.dataset.draftAction;
+
+    if (action === 'view') {
+      if (previewFrame) {
+        previewFrame.srcdoc = buildEmailTemplate(draft.title, draft.sanitizedContent, draft.previewText);
+      }
+      showPreviewModal();
+      return;
+    }
+
+    try {
+      const url = `/api/automations/rss/drafts/${encodeURIComponent(draft.id)}`;
+      if (action === 'approve') {
+        if (!window.confirm(`Send "${draft.title}" to all subscribers now?`)) {
+          return;
+        }
+        setButtonLoading(button, true, 'Queueing…');
+        const response = await fetch(`${url}/approve`, { method: 'POST' });
+        if (handleUnauthorizedResponse(response)) {
+          return;
+        }
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result?.message || 'Failed to approve the draft.');
+        }
+        showToast('Feed draft queued', { type: 'success', description: draft.title });
+      } else if (action === 'discard') {
+        if (!window.confirm(`Discard the draft "${draft.title}"?`)) {
+          return;
+        }
+        setButtonLoading(button, true, 'Discarding…');
+        const response = await fetch(url, { method: 'DELETE' });
+        if (handleUnauthorizedResponse(response)) {
+          return;
+        }
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result?.message || 'Failed to discard the draft.');
+        }
+        showToast('Feed draft discarded', { type: 'success', description: draft.title });
+      }
+    } catch (error) {
+      console.error(error);
+      showToast('Feed draft update failed', { type: 'error', description: error.message });
+    } finally {
+      await loadFeedDrafts();
+    }
+  }
+
+  feedDraftList?.addEventListener('click', (event) => {
+    void handleFeedDraftAction(event);
+  });
+
+  // Subscribers ----------------------------------------------------------------
+  function normalizeEmail(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : '';
+  }
+
+  function getSubscribedDate(subscriber) {
+    return (
+      subscriber?.subscribedAt ||
+      subscriber?.joinedAt ||
+      subscriber?.joined_at ||
+      subscriber?.createdAt ||
+      null
+    );
+  }
+
+  function formatDate(value) {
+    if (!value) {
+      return '—';
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return '—';
+    }
+    return new Intl.DateTimeFormat(undefined, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    }).format(date);
+  }
+
+  function formatSource(value) {
+    if (!value) {
+      return 'Unknown';
+    }
+    const lower = value.toLowerCase();
+    if (SOURCE_LABELS[lower]) {
+      return SOURCE_LABELS[lower];
+    }
+    return lower.charAt(0).toUpperCase() + lower.slice(1);
+  }
+
+  function getSubscriberStatus(subscriber) {
+    return subscriber?.status || 'active';
+  }
+
+  // Short summary of what a reader chose in the preference center, e.g. "Digest · Paused until 3 Mar 2025".
+  function describeSubscriberPreferences(subscriber) {
+    const parts = [];
+    if (subscriber.frequency === 'digest') {
+      parts.push('Digest');
+    }
+    if (Array.isArray(subscriber.topics) && subscriber.topics.length) {
+      parts.push(subscriber.topics.map((topic) => topicLabels.get(topic) || topic).join(', '));
+    }
+    if (subscriber.pausedUntil && new Date(subscriber.pausedUntil) > new Date()) {
+      parts.push(`Paused until ${formatDate(subscriber.pausedUntil)}`);
+    }
+    return parts.join(' · ');
+  }
+
+  function matchesFilter(subscriber, filter) {
+    if (!filter || filter === 'all') {
+      return true;
+    }
+    const subscribedDate = getSubscribedDate(subscriber);
+    const dateValue = subscribedDate ? new Date(subscribedDate) : null;
+    const now = new Date();
+
+    switch (filter) {
+      case 'recent-7':
+        if (!dateValue) return false;
+        return now - dateValue <= 7 * 24 * 60 * 60 * 1000;
+      case 'recent-30':
+        if (!dateValue) return false;
+        return now - dateValue <= 30 * 24 * 60 * 60 * 1000;
+      case 'source-manual':
+        return normalizeEmail(subscriber.source) === 'manual';
+      case 'source-public-api':
+        return ['public-api', 'public-form', 'public'].includes(
+          normalizeEmail(subscriber.source),
+        );
+      case 'source-other':
+        return !['manual', 'public-api', 'public-form', 'public'].includes(
+          normalizeEmail(subscriber.source),
+        );
+      case 'flagged':
+        return Boolean(subscriber.flagged);
+      default:
+        if (filter.startsWith('status-')) {
+          return getSubscriberStatus(subscriber) === filter.slice('status-'.length);
+        }
+        return true;
+    }
+  }
+
+  function applySubscriberFilters() {
+    if (!subscriberSearch || !subscriberFilter || !subscriberTableBody) {
+      return;
+    }
+    const query = subscriberSearch.value.trim().toLowerCase();
+    const filterValue = subscriberFilter.value;
+    const listValue = subscriberListSelect?.value || 'all';
+
+    filteredSubscribers = subscribersCache.filter((subscriber) => {
+      const matchesSearch =
+        !query ||
+        normalizeEmail(subscriber.email).includes(query) ||
+        (subscriber.name || '').toLowerCase().includes(query);
+      const matchesList = listValue === 'all' || (subscriber.lists || []).includes(listValue);
+      const matches = matchesSearch && matchesList && matchesFilter(subscriber, filterValue);
+      return matches;
+    });
+
+    currentSubscriberPage = 1;
+    renderSubscribers();
+  }
+
+  function renderSubscribers() {
+    if (!subscriberTableBody || !subscriberCount || !subscriberEmptyState) {
+      return;
+    }
+    subscriberCount.textContent = subscribersCache.filter(
+      (subscriber) => getSubscriberStatus(subscriber) === 'active',
+    ).length;
+
+    const totalItems = filteredSubscribers.length;
+    const totalPages = Math.max(1, Math.ceil(totalItems / SUBSCRIBER_PAGE_SIZE));
+    currentSubscriberPage = Math.min(currentSubscriberPage, totalPages);
+
+    const startIndex = (currentSubscriberPage - 1) * SUBSCRIBER_PAGE_SIZE;
+    const currentItems = filteredSubscribers.slice(
+      startIndex,
+      startIndex + SUBSCRIBER_PAGE_SIZE,
+    );
+
+    subscriberTableBody.innerHTML = '';
+
+    if (currentItems.length === 0) {
+      subscriberEmptyState.hidden = false;
     } else {
       subscriberEmptyState.hidden = true;
       const fragment = document.createDocumentFragment();
@@ -2494,11 +3590,67 @@ document.addEventListener('DOMContentLoaded', () => {
         const dateCell = row.querySelector('.subscriber-date');
         const sourceCell = row.querySelector('.subscriber-source');
         const removeButton = row.querySelector('.remove-subscriber');
+        const flagBadge = row.querySelector('.subscriber-flag');
+        const unflagButton = row.querySelector('.unflag-subscriber');
+        const statusBadge = row.querySelector('.subscriber-status-badge');
+        const preferencesNote = row.querySelector('.subscriber-preferences');
+        const reactivateButton = row.querySelector('.reactivate-subscriber');
+        const tagList = row.querySelector('.tag-list');
+        const addTagInput = row.querySelector('.add-tag-input');
+        const fieldValues = row.querySelector('.subscriber-field-values');
+        const editFieldsButton = row.querySelector('.edit-fields');
+        const status = getSubscriberStatus(subscriber);
 
         emailCell.textContent = subscriber.email || 'Unknown';
+        if (flagBadge && subscriber.flagged) {
+          flagBadge.textContent = subscriber.flagged.reason === 'bounced' ? 'Bounced' : 'Flagged';
+          const { detail, flaggedAt } = subscriber.flagged;
+          flagBadge.title = [detail, flaggedAt && formatDate(flaggedAt)].filter(Boolean).join(' · ');
+          flagBadge.classList.remove('hidden');
+        }
+        if (unflagButton && subscriber.flagged) {
+          unflagButton.dataset.email = subscriber.email;
+          unflagButton.classList.remove('hidden');
+        }
         nameCell.textContent = subscriber.name || 'No Name provided';
         dateCell.textContent = formatDate(getSubscribedDate(subscriber));
         sourceCell.textContent = formatSource(subscriber.source);
+        if (mailingLists.length > 1 && Array.isArray(subscriber.lists)) {
+          sourceCell.textContent += ` · ${subscriber.lists.map(getListName).join(', ')}`;
+        }
+        if (statusBadge) {
+          statusBadge.textContent = SUBSCRIBER_STATUS_LABELS[status] || status;
+          statusBadge.dataset.status = status;
+          statusBadge.title = [
+            subscriber.statusReason,
+            subscriber.statusChangedAt && `since ${formatDate(subscriber.statusChangedAt)}`,
+          ]
+            .filter(Boolean)
+            .join(' · ');
+        }
+        if (preferencesNote && status === 'active') {
+          preferencesNote.textContent = describeSubscriberPreferences(subscriber);
+        }
+        // Bounces and complaints are lifted with Unflag; pending sign-ups confirm themselves.
+        if (reactivateButton && ['unsubscribed', 'cleaned'].includes(status)) {
+          reactivateButton.dataset.email = subscriber.email;
+          reactivateButton.classList.remove('hidden');
+        }
+        if (tagList) {
+          (subscriber.tags || []).forEach((tag) => {
+            tagList.appendChild(createTagChip(subscriber.email, tag));
+          });
+        }
+        if (addTagInput) {
+          addTagInput.dataset.email = subscriber.email;
+        }
+        if (fieldValues) {
+          fieldValues.textContent = describeCustomFields(subscriber);
+        }
+        if (editFieldsButton && customFields.length) {
+          editFieldsButton.dataset.email = subscriber.email;
+          editFieldsButton.classList.remove('hidden');
+        }
 
         if (removeButton) {
           removeButton.dataset.email = subscriber.email;
@@ -2597,6 +3749,7 @@ document.addEventListener('DOMContentLoaded', () => {
       }
 
       subscribersLoadedOnce = true;
+      loadMailingLists();
       return true;
     } catch (error) {
       console.error(error);
@@ -2638,6 +3791,7 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   subscriberFilter?.addEventListener('change', applySubscriberFilters);
+  subscriberListSelect?.addEventListener('change', applySubscriberFilters);
 
   function toggleAddSubscriberForm(forceOpen) {
     if (!toggleAddSubscriberButton || !addSubscriberForm) {
@@ -2689,7 +3843,13 @@ document.addEventListener('DOMContentLoaded', () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ email, ...(name ? { name } : {}) }),
+        body: JSON.stringify({
+          email,
+          ...(name ? { name } : {}),
+          ...(subscriberListSelect && subscriberListSelect.value !== 'all'
+            ? { list: subscriberListSelect.value }
+            : {}),
+        }),
       });
 
       if (handleUnauthorizedResponse(response)) {
@@ -2706,6 +3866,14 @@ document.addEventListener('DOMContentLoaded', () => {
         throw new Error(result?.message || result?.error || 'Could not add subscriber.');
       }
 
+      // An existing subscriber joined the selected list; nothing new was stored.
+      if (response.status === 200) {
+        setSubscriberStatus(result.message, false, { highlightSuccess: true });
+        toggleAddSubscriberForm(false);
+        await loadSubscribers({ silent: true });
+        return;
+      }
+
       const storageMode = result?.storage || 'unknown';
       const storageHealthy =
         storageMode === 'kv' ? Boolean(result?.kvConnectionHealthy) : true;
@@ -2767,6 +3935,207 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  subscriberTableBody?.addEventListener('click', async (event) => {
+    const target = event.target.closest('.unflag-subscriber');
+    if (!target?.dataset.email) {
+      return;
+    }
+    const { email } = target.dataset;
+    setButtonLoading(target, true, 'Unflagging');
+    try {
+      const response = await fetch(`/api/subscribers/${encodeURIComponent(email)}/flag`, {
+        method: 'DELETE',
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result?.message || 'Could not unflag subscriber.');
+      }
+      setSubscriberStatus(result.message || `${email} unflagged.`, false, {
+        toast: { title: 'Subscriber unflagged', type: 'success', description: email },
+      });
+      await loadSubscribers({ silent: true });
+    } catch (error) {
+      console.error(error);
+      setSubscriberStatus(error.message || 'Could not unflag subscriber.', true, {
+        toast: { title: 'Unflag failed', type: 'error', description: email },
+      });
+      setButtonLoading(target, false);
+    }
+  });
+
+  subscriberTableBody?.addEventListener('click', async (event) => {
+    const target = event.target.closest('.reactivate-subscriber');
+    if (!target?.dataset.email) {
+      return;
+    }
+    const { email } = target.dataset;
+    if (!window.confirm(`Only reactivate ${email} if they asked to receive the newsletter again. Continue?`)) {
+      return;
+    }
+    setButtonLoading(target, true, 'Reactivating');
+    try {
+      const response = await fetch(`/api/subscribers/${encodeURIComponent(email)}/status`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: 'active', reason: 'reactivated from dashboard' }),
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result?.message || 'Could not reactivate subscriber.');
+      }
+      setSubscriberStatus(result.message || `${email} reactivated.`, false, {
+        toast: { title: 'Subscriber reactivated', type: 'success', description: email },
+      });
+      await loadSubscribers({ silent: true });
+    } catch (error) {
+      console.error(error);
+      setSubscriberStatus(error.message || 'Could not reactivate subscriber.', true, {
+        toast: { title: 'Reactivation failed', type: 'error', description: email },
+      });
+      setButtonLoading(target, false);
+    }
+  });
+
+  subscriberTableBody?.addEventListener('submit', async (event) => {
+    const form = event.target.closest('.add-tag-form');
+    if (!form) {
+      return;
+    }
+    event.preventDefault();
+    const input = form.querySelector('.add-tag-input');
+    const { email } = input.dataset;
+    const tag = input.value.trim();
+    if (!email || !tag) {
+      return;
+    }
+    input.disabled = true;
+    try {
+      const response = await fetch(`/api/subscribers/${encodeURIComponent(email)}/tags`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tags: [tag] }),
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result?.message || 'Could not add the tag.');
+      }
+      updateCachedSubscriber(email, { tags: result.subscriber.tags });
+    } catch (error) {
+      console.error(error);
+      setSubscriberStatus(error.message || 'Could not add the tag.', true, {
+        toast: { title: 'Tagging failed', type: 'error', description: email },
+      });
+      input.disabled = false;
+    }
+  });
+
+  subscriberTableBody?.addEventListener('click', async (event) => {
+    const target = event.target.closest('.remove-tag');
+    if (!target?.dataset.email) {
+      return;
+    }
+    const { email, tag } = target.dataset;
+    target.disabled = true;
+    try {
+      const response = await fetch(
+        `/api/subscribers/${encodeURIComponent(email)}/tags/${encodeURIComponent(tag)}`,
+        { method: 'DELETE' },
+      );
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result?.message || 'Could not remove the tag.');
+      }
+      updateCachedSubscriber(email, { tags: result.subscriber.tags });
+    } catch (error) {
+      console.error(error);
+      setSubscriberStatus(error.message || 'Could not remove the tag.', true, {
+        toast: { title: 'Tag not removed', type: 'error', description: email },
+      });
+      target.disabled = false;
+    }
+  });
+
+  subscriberTableBody?.addEventListener('click', (event) => {
+    const target = event.target.closest('.edit-fields');
+    if (!target?.dataset.email) {
+      return;
+    }
+    const row = target.closest('tr');
+    const openEditor = row.nextElementSibling?.classList.contains('subscriber-fields-row')
+      ? row.nextElementSibling
+      : null;
+    if (openEditor) {
+      openEditor.remove();
+      return;
+    }
+    const subscriber = subscribersCache.find(
+      (candidate) => normalizeEmail(candidate.email) === normalizeEmail(target.dataset.email),
+    );
+    if (subscriber) {
+      const editor = buildCustomFieldsEditor(subscriber, row.children.length);
+      row.after(editor);
+      editor.querySelector('input, select')?.focus();
+    }
+  });
+
+  subscriberTableBody?.addEventListener('click', (event) => {
+    const target = event.target.closest('.cancel-fields');
+    if (target) {
+      target.closest('.subscriber-fields-row')?.remove();
+    }
+  });
+
+  subscriberTableBody?.addEventListener('submit', async (event) => {
+    const form = event.target.closest('.subscriber-fields-form');
+    if (!form) {
+      return;
+    }
+    event.preventDefault();
+    const { email } = form.dataset;
+    // Empty inputs are sent as '' so the server clears those fields.
+    const fields = Object.fromEntries(
+      customFields.map((field) => [field.key, form.querySelector(`[name="${field.key}"]`)?.value ?? '']),
+    );
+    const saveButton = form.querySelector('button[type="submit"]');
+    setButtonLoading(saveButton, true, 'Saving');
+    try {
+      const response = await fetch(`/api/subscribers/${encodeURIComponent(email)}/fields`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fields }),
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result?.message || 'Could not save the fields.');
+      }
+      updateCachedSubscriber(email, { customFields: result.subscriber.customFields });
+      setSubscriberStatus(result.message || `Updated the fields for ${email}.`, false, {
+        highlightSuccess: true,
+      });
+    } catch (error) {
+      console.error(error);
+      setSubscriberStatus(error.message || 'Could not save the fields.', true, {
+        toast: { title: 'Fields not saved', type: 'error', description: email },
+      });
+      setButtonLoading(saveButton, false);
+    }
+  });
+
   subscriberTableBody?.addEventListener('click', async (event) => {
     const target = event.target.closest('.remove-subscriber');
     if (!target) {
@@ -2777,7 +4146,9 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    const confirmed = window.confirm(`Remove ${email} from the list?`);
+    const confirmed = window.confirm(
+      `Delete ${email} and their history? Use this for erasure requests; unsubscribes are kept automatically.`,
+    );
     if (!confirmed) {
       return;
     }
@@ -2909,6 +4280,10 @@ document.addEventListener('DOMContentLoaded', () => {
     analyticsContent.classList.remove('hidden');
   }
 
+  function formatPercent(ratio) {
+    return `${((Number(ratio) || 0) * 100).toFixed(1)}%`;
+  }
+
   function formatCampaignStatus(value) {
     if (!value) {
       return 'Unknown';
@@ -2943,6 +4318,14 @@ document.addEventListener('DOMContentLoaded', () => {
       analyticsTotalSent.textContent = totalSent.toLocaleString();
     }
 
+    if (analyticsOpenRate && analyticsTotalOpens) {
+      const totalOpens = Number(payload.totalOpens ?? 0);
+      analyticsOpenRate.textContent = totalSent > 0 ? formatPercent(payload.openRate) : '--';
+      analyticsTotalOpens.textContent = payload.openTrackingEnabled === false
+        ? 'Open tracking is disabled'
+        : `${totalOpens.toLocaleString()} unique open${totalOpens === 1 ? '' : 's'}`;
+    }
+
     if (analyticsLastCampaign && analyticsLastCampaignStatus) {
       if (payload.lastCampaign) {
         const delivered =
@@ -3003,7 +4386,16 @@ document.addEventListener('DOMContentLoaded', () => {
       row.dataset.analyticsRow = 'true';
 
       const titleCell = document.createElement('td');
-      titleCell.textContent = campaign?.title || 'Untitled campaign';
+      if (campaign?.id) {
+        const detailButton = document.createElement('button');
+        detailButton.type = 'button';
+        detailButton.className = 'btn-text';
+        detailButton.dataset.campaignDetailId = campaign.id;
+        detailButton.textContent = campaign.title || 'Untitled campaign';
+        titleCell.appendChild(detailButton);
+      } else {
+        titleCell.textContent = campaign?.title || 'Untitled campaign';
+      }
       row.appendChild(titleCell);
 
       const dateCell = document.createElement('td');
@@ -3026,6 +4418,32 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       row.appendChild(statusCell);
 
+      const opensCell = document.createElement('td');
+      const opens = Number(campaign?.opens ?? 0);
+      opensCell.textContent = delivered > 0
+        ? `${opens.toLocaleString()} (${formatPercent(campaign?.openRate)})`
+        : '—';
+      row.appendChild(opensCell);
+
+      const actionsCell = document.createElement('td');
+      if (campaign?.id) {
+        const linksButton = document.createElement('button');
+        linksButton.type = 'button';
+        linksButton.className = 'btn ghost';
+        linksButton.dataset.linkReportId = campaign.id;
+        linksButton.textContent = 'Links';
+        actionsCell.appendChild(linksButton);
+      }
+      if (failed > 0 && campaign?.id && campaign.canRetry) {
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = 'btn ghost';
+        retryButton.dataset.retryCampaignId = campaign.id;
+        retryButton.textContent = 'Retry failures';
+        actionsCell.appendChild(retryButton);
+      }
+      row.appendChild(actionsCell);
+
       fragment.appendChild(row);
     });
 
@@ -3156,6 +4574,320 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  /**
+   * Queue a re-send to a campaign's failed recipients, then refresh the table once it finishes.
+   */
+  async function retryCampaignFailures(campaignId, button) {
+    if (!window.confirm('Re-send this campaign to the recipients whose delivery failed?')) {
+      return;
+    }
+    setButtonLoading(button, true, 'Retrying…');
+    try {
+      const response = await fetch(`/api/campaigns/${encodeURIComponent(campaignId)}/retry-failures`, {
+        method: 'POST',
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to retry campaign.');
+      }
+      showToast('Retry queued', { type: 'info', description: result.message });
+      const finalStatus = await waitForCampaignCompletion(result.campaignId);
+      if (!finalStatus) {
+        return;
+      }
+      const sent = Number(finalStatus.sent) || 0;
+      const failed = Number(finalStatus.failed) || 0;
+      showToast(failed > 0 ? 'Retry finished with failures' : 'Retry finished', {
+        type: failed > 0 ? 'warning' : 'success',
+        description: `${sent.toLocaleString()} delivered · ${failed.toLocaleString()} still failing`,
+      });
+      await loadAnalytics({ silent: true });
+    } catch (error) {
+      console.error(error);
+      showToast('Retry failed', { type: 'error', description: error.message });
+    } finally {
+      if (document.body.contains(button)) {
+        setButtonLoading(button, false);
+      }
+    }
+  }
+
+  /**
+   * Mark each tracked link in the rendered email with its click rate.
+   */
+  function overlayLinkClicks(doc, links) {
+    if (!doc?.body) {
+      return;
+    }
+    const style = doc.createElement('style');
+    style.textContent = `
+      [data-link-index] { outline: 2px solid rgba(37, 99, 235, 0.35); outline-offset: 2px; }
+      .click-overlay { display: inline-block; margin-left: 6px; padding: 1px 8px; border-radius: 999px;
+        background: #2563eb; color: #ffffff; font: 600 11px/1.6 Arial, sans-serif; text-decoration: none; }
+    `;
+    doc.head?.appendChild(style);
+    const byIndex = new Map(links.map((link) => [String(link.index), link]));
+    doc.querySelectorAll('a[data-link-index]').forEach((anchor) => {
+      const link = byIndex.get(anchor.dataset.linkIndex);
+      if (!link) {
+        return;
+      }
+      const badge = doc.createElement('span');
+      badge.className = 'click-overlay';
+      badge.textContent = formatPercent(link.clickRate);
+      badge.title = `${link.uniqueClicks} unique · ${link.totalClicks} total clicks`;
+      anchor.insertAdjacentElement('afterend', badge);
+    });
+  }
+
+  function renderLinkReport(report) {
+    if (!linkReportPanel || !linkReportRows) {
+      return;
+    }
+    linkReportTitle.textContent = `Link clicks · ${report.title || 'Untitled campaign'}`;
+    linkReportSummary.textContent = report.links.length
+      ? `${Number(report.uniqueClicks).toLocaleString()} of ${Number(report.delivered).toLocaleString()} recipients clicked (${formatPercent(report.clickRate)}).`
+      : 'This campaign has no tracked links.';
+
+    linkReportRows.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+    report.links.forEach((link) => {
+      const row = document.createElement('tr');
+      const urlCell = document.createElement('td');
+      const anchor = document.createElement('a');
+      anchor.href = link.url;
+      anchor.target = '_blank';
+      anchor.rel = 'noopener noreferrer';
+      anchor.className = 'link-report-url';
+      anchor.title = link.url;
+      anchor.textContent = link.url;
+      urlCell.appendChild(anchor);
+      row.appendChild(urlCell);
+      [
+        Number(link.uniqueClicks).toLocaleString(),
+        Number(link.totalClicks).toLocaleString(),
+        formatPercent(link.clickRate),
+      ].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      fragment.appendChild(row);
+    });
+    linkReportRows.appendChild(fragment);
+
+    if (linkReportPreview) {
+      linkReportPreview.classList.toggle('hidden', !report.html);
+      linkReportPreview.onload = () => overlayLinkClicks(linkReportPreview.contentDocument, report.links);
+      linkReportPreview.srcdoc = report.html || '';
+    }
+    linkReportPanel.classList.remove('hidden');
+    linkReportPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  async function loadLinkReport(campaignId, button) {
+    setButtonLoading(button, true, 'Loading…');
+    try {
+      const response = await fetch(`/api/campaigns/${encodeURIComponent(campaignId)}/links`);
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to load the link report.');
+      }
+      renderLinkReport(result);
+    } catch (error) {
+      console.error(error);
+      showToast('Link report unavailable', { type: 'error', description: error.message });
+    } finally {
+      if (document.body.contains(button)) {
+        setButtonLoading(button, false);
+      }
+    }
+  }
+
+  function formatDuration(ms) {
+    const totalSeconds = Math.round((Number(ms) || 0) / 1000);
+    if (totalSeconds < 60) {
+      return `${totalSeconds}s`;
+    }
+    const minutes = Math.floor(totalSeconds / 60);
+    if (minutes < 60) {
+      return `${minutes}m ${totalSeconds % 60}s`;
+    }
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  function renderCampaignDetail(report) {
+    if (!campaignDetailPanel) {
+      return;
+    }
+    const { counts, rates, timing } = report;
+    campaignDetailTitle.textContent = report.subject;
+    campaignDetailSummary.textContent = [
+      formatCampaignStatus(report.status),
+      timing.completedAt ? formatDateTime(timing.completedAt) : null,
+      `${Number(report.recipients).toLocaleString()} recipients`,
+      report.skipped > 0 ? `${Number(report.skipped).toLocaleString()} skipped` : null,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+
+    const deliveredNote = report.deliveredSource === 'webhooks' ? 'confirmed by Resend' : 'accepted for delivery';
+    const cards = [
+      ['Sent', counts.sent, null],
+      ['Delivered', counts.delivered, `${formatPercent(rates.delivery)} · ${deliveredNote}`],
+      ['Failed', counts.failed, null],
+      ['Opened', counts.opened, `${formatPercent(rates.open)} of delivered`],
+      ['Clicked', counts.clicked, `${formatPercent(rates.click)} · ${formatPercent(rates.clickToOpen)} of opens`],
+      ['Bounced', counts.bounced, `${formatPercent(rates.bounce)} of sent`],
+      ['Unsubscribed', counts.unsubscribed, `${formatPercent(rates.unsubscribe)} of delivered`],
+    ];
+    campaignDetailMetrics.innerHTML = '';
+    cards.forEach(([label, value, subtext]) => {
+      const card = document.createElement('div');
+      card.className = 'metric-card';
+      const labelEl = document.createElement('p');
+      labelEl.className = 'metric-label';
+      labelEl.textContent = label;
+      const valueEl = document.createElement('p');
+      valueEl.className = 'metric-value';
+      valueEl.textContent = Number(value).toLocaleString();
+      card.append(labelEl, valueEl);
+      if (subtext) {
+        const subtextEl = document.createElement('p');
+        subtextEl.className = 'metric-subtext';
+        subtextEl.textContent = subtext;
+        card.appendChild(subtextEl);
+      }
+      campaignDetailMetrics.appendChild(card);
+    });
+
+    campaignDetailTiming.innerHTML = '';
+    [
+      ['Preview text', report.previewText || '—'],
+      ['Queued', formatDateTime(timing.queuedAt)],
+      ['Started', formatDateTime(timing.startedAt)],
+      ['Finished', formatDateTime(timing.completedAt)],
+      ['Sending time', timing.elapsedMs !== null ? formatDuration(timing.elapsedMs) : '—'],
+    ].forEach(([term, description]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = term;
+      const dd = document.createElement('dd');
+      dd.textContent = description;
+      campaignDetailTiming.append(dt, dd);
+    });
+    if (report.archive) {
+      const dt = document.createElement('dt');
+      dt.textContent = 'Archive';
+      const dd = document.createElement('dd');
+      if (report.archive.excluded) {
+        dd.append('Not published ');
+      } else {
+        const anchor = document.createElement('a');
+        anchor.href = report.archive.url;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener';
+        anchor.textContent = 'Published';
+        dd.append(anchor, ' ');
+      }
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'btn-text';
+      toggle.textContent = report.archive.excluded ? 'Publish' : 'Remove';
+      toggle.addEventListener('click', () => {
+        void setCampaignArchived(report, !report.archive.excluded, toggle);
+      });
+      dd.appendChild(toggle);
+      campaignDetailTiming.append(dt, dd);
+    }
+
+    if (campaignDetailPreview) {
+      campaignDetailPreview.classList.toggle('hidden', !report.html);
+      campaignDetailPreview.srcdoc = report.html || '';
+    }
+    campaignDetailPanel.classList.remove('hidden');
+    campaignDetailPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  async function loadCampaignDetail(campaignId, button) {
+    button.disabled = true;
+    try {
+      const response = await fetch(`/api/campaigns/${encodeURIComponent(campaignId)}`);
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to load the campaign report.');
+      }
+      renderCampaignDetail(result);
+    } catch (error) {
+      console.error(error);
+      showToast('Campaign report unavailable', { type: 'error', description: error.message });
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async function setCampaignArchived(report, excluded, button) {
+    button.disabled = true;
+    try {
+      const response = await fetch(`/api/campaigns/${encodeURIComponent(report.campaignId)}/archive`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ excluded }),
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to update the archive.');
+      }
+      renderCampaignDetail({ ...report, archive: { ...report.archive, excluded } });
+      showToast(excluded ? 'Removed from the archive' : 'Published to the archive', { type: 'success' });
+    } catch (error) {
+      console.error(error);
+      showToast('Archive update failed', { type: 'error', description: error.message });
+      button.disabled = false;
+    }
+  }
+
+  campaignDetailClose?.addEventListener('click', () => {
+    campaignDetailPanel?.classList.add('hidden');
+  });
+
+  analyticsCampaignsBody?.addEventListener('click', (event) => {
+    const detailButton = event.target.closest('button[data-campaign-detail-id]');
+    if (detailButton && !detailButton.disabled) {
+      void loadCampaignDetail(detailButton.dataset.campaignDetailId, detailButton);
+    }
+  });
+
+  linkReportClose?.addEventListener('click', () => {
+    linkReportPanel?.classList.add('hidden');
+  });
+
+  analyticsCampaignsBody?.addEventListener('click', (event) => {
+    const linksButton = event.target.closest('button[data-link-report-id]');
+    if (linksButton && !linksButton.disabled) {
+      void loadLinkReport(linksButton.dataset.linkReportId, linksButton);
+    }
+  });
+
+  analyticsCampaignsBody?.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-retry-campaign-id]');
+    if (!button || button.disabled) {
+      return;
+    }
+    void retryCampaignFailures(button.dataset.retryCampaignId, button);
+  });
+
   const analyticsTab = document.getElementById('analytics-tab');
   if (analyticsTab) {
     analyticsTab.addEventListener('click', () => {
@@ -3201,6 +4933,12 @@ document.addEventListener('DOMContentLoaded', () => {
   if (subscriberRowTemplate && subscriberTableBody) {
     loadSubscribers().catch(() => { });
   }
+  loadScheduledCampaigns();
+  loadFeedDrafts();
+  loadSendQuota();
+  loadMailingLists();
+  loadCustomFields();
+  loadTopics();
   activateView('compose-view');
 });
 
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Sign and post a Resend-style webhook event to a running server, for local testing.
+ *
+ *   node scripts/send-resend-webhook.js <type> <email> [campaignId] [bounceType]
+ *
+ * <type> is delivered, bounced, complained or delivery_delayed (the `email.` prefix is optional).
+ * [bounceType] defaults to Permanent; pass Transient to simulate a soft bounce.
+ * Uses RESEND_WEBHOOK_SECRET from .env and posts to APP_URL (default http://localhost:3000).
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+
+const [typeArg, email, campaignId, bounceType = 'Permanent'] = process.argv.slice(2);
+const secret = process.env.RESEND_WEBHOOK_SECRET;
+
+if (!typeArg || !email) {
+  console.error('Usage: node scripts/send-resend-webhook.js <type> <email> [campaignId] [bounceType]');
+  process.exit(1);
+}
+if (!secret) {
+  console.error('RESEND_WEBHOOK_SECRET must be set to sign the payload.');
+  process.exit(1);
+}
+
+const type = typeArg.startsWith('email.') ? typeArg : `email.${typeArg}`;
+const event = {
+  type,
+  created_at: new Date().toISOString(),
+  data: {
+    email_id: crypto.randomUUID(),
+    to: [email],
+    subject: 'Local webhook test',
+    tags: campaignId ? [{ name: 'campaign_id', value: campaignId }] : [],
+    ...(type === 'email.bounced'
+      ? { bounce: { type: bounceType, subType: 'General', message: 'Simulated bounce' } }
+      : {}),
+  },
+};
+
+const body = JSON.stringify(event);
+const id = `msg_${crypto.randomUUID()}`;
+const timestamp = String(Math.floor(Date.now() / 1000));
+const signature = crypto
+  .createHmac('sha256', Buffer.from(secret.replace(/^whsec_/, ''), 'base64'))
+  .update(`${id}.${timestamp}.${body}`)
+  .digest('base64');
+
+const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+fetch(`${baseUrl}/api/webhooks/resend`, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'svix-id': id,
+    'svix-timestamp': timestamp,
+    'svix-signature': `v1,${signature}`,
+  },
+  body,
+})
+  .then(async (response) => {
+    console.log(response.status, await response.text());
+    process.exitCode = response.ok ? 0 : 1;
+  })
+  .catch((error) => {
+    console.error('Failed to post webhook:', error.message);
+    process.exitCode = 1;
+  });
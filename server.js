@@ -1,7 +1,7 @@
 ﻿/**
  * Production-ready Express server for the newsletter application.
  * Handles subscriber management, Cloudinary-backed image uploads,
- * sanitized rich text newsletters, and delivery via Resend.
+ * sanitized rich text newsletters, and delivery via Resend or SMTP.
  */
 const express = require('express');
 const cors = require('cors');
@@ -16,9 +16,11 @@ const RedisStore = require('connect-redis').default;
 const bcrypt = require('bcrypt');
 const csrf = require('csurf');
 const { Resend } = require('resend');
+const nodemailer = require('nodemailer');
 const { v2: cloudinary } = require('cloudinary');
 const { createClient: createRedisClient } = require('redis');
 const { performance } = require('perf_hooks');
+const { EventEmitter } = require('events');
 
 require('dotenv').config();
 
@@ -26,8 +28,35 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const SUBSCRIBERS_SET_KEY = 'newsletter:subscribers';
 const SUBSCRIBER_HASH_PREFIX = 'newsletter:subscriber:';
-const RESEND_BATCH_SIZE = 2;
-const RESEND_BATCH_DELAY_MS = 1000;
+const SUBSCRIBER_STATUSES = ['pending', 'active', 'unsubscribed', 'bounced', 'complained', 'cleaned'];
+// One set per status except `active`: records written before statuses existed count as active.
+const SUBSCRIBER_STATUS_SET_PREFIX = 'newsletter:subscribers:status:';
+const SUBSCRIBER_STATUS_HISTORY_LIMIT = 20;
+// Maps the opaque id in a subscriber's unsubscribe links back to their address.
+const SUBSCRIBER_LINK_ID_PREFIX = 'newsletter:subscriber-link:';
+// Statuses an admin can set by hand; the others follow sign-ups and provider events.
+const ADMIN_SUBSCRIBER_STATUSES = ['active', 'unsubscribed', 'cleaned'];
+const MAILING_LIST_PREFIX = 'newsletter:list:';
+const MAILING_LISTS_SET_KEY = 'newsletter:lists';
+// Every installation has this list; subscribers stored before lists existed belong to it.
+const DEFAULT_LIST_ID = 'newsletter';
+const DEFAULT_LIST_NAME = process.env.DEFAULT_LIST_NAME || 'Newsletter';
+const MAILING_LIST_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const CUSTOM_FIELD_PREFIX = 'newsletter:field:';
+const CUSTOM_FIELDS_SET_KEY = 'newsletter:fields';
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'boolean'];
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const CUSTOM_FIELD_TEXT_MAX_LENGTH = 500;
+const SUBSCRIBER_TAG_LIMIT = 50;
+// Sign-up forms are public, so they may only attach a few tags per request.
+const PUBLIC_SUBSCRIBE_TAG_LIMIT = 5;
+// Resend accepts at most 100 emails per batch request; one request per second stays under the default rate limit.
+const RESEND_BATCH_API_MAX_EMAILS = 100;
+const RESEND_BATCH_SIZE = Math.min(
+  Math.max(Number(process.env.RESEND_BATCH_SIZE) || RESEND_BATCH_API_MAX_EMAILS, 1),
+  RESEND_BATCH_API_MAX_EMAILS,
+);
+const RESEND_BATCH_DELAY_MS = Number(process.env.RESEND_BATCH_DELAY_MS || 1000);
 const RESEND_MAX_RATE_LIMIT_RETRIES = 2;
 const RATE_LIMIT_BACKOFF_SCHEDULE_MS = [2000, 4000];
 const STORAGE_RETRY_DELAYS_MS = [250, 500];
@@ -37,14 +66,40 @@ const ANALYTICS_INDEX_KEY = 'newsletter:analytics:index';
 const ANALYTICS_PREFIX = 'newsletter:analytics:campaign:';
 const ANALYTICS_AGGREGATE_KEY = 'newsletter:analytics:aggregate';
 const NEWSLETTER_ARCHIVE_PREFIX = 'newsletter:archive:';
+const NEWSLETTER_ARCHIVE_INDEX_KEY = 'newsletter:archive-index';
+const ARCHIVE_TITLE = process.env.ARCHIVE_TITLE || 'Newsletter archive';
+const ARCHIVE_FEED_LIMIT = 20;
 const SUBSCRIBER_GROWTH_KEY = 'newsletter:analytics:subscriber-growth';
 const MAX_GROWTH_POINTS = 365;
 const CAMPAIGN_ZSET_KEY = 'newsletter:campaigns';
 const CAMPAIGN_SUMMARY_KEY_PREFIX = 'newsletter:campaigns:';
+const CAMPAIGN_RECIPIENTS_PREFIX = 'newsletter:campaign-recipients:';
+const CAPTURED_EMAIL_LIST_KEY = 'newsletter:captured-emails';
+const CAPTURED_EMAIL_PREFIX = 'newsletter:captured-email:';
+const CAPTURED_EMAIL_LIMIT = 500;
+const CAPTURED_EMAIL_TTL_SECONDS = 7 * 24 * 60 * 60;
 const CLICK_TRACKING_PATH = '/t/click';
 const OPEN_TRACKING_PATH = '/t/open';
 const TRACKING_PIXEL_FILENAME = 'pixel.gif';
+const ONE_CLICK_UNSUBSCRIBE_PATH = '/unsubscribe/one-click';
+// Preview and test emails may go to people who aren't subscribers; their unsubscribe links carry this
+// placeholder link id, which belongs to nobody.
+const PREVIEW_LINK_ID = 'preview';
+const PREFERENCES_PATH = '/preferences';
+// Preference links are minted per email and stop working after this many days.
+const PREFERENCES_TOKEN_TTL_DAYS = Number(process.env.PREFERENCES_TOKEN_TTL_DAYS || 60);
+const TRACKING_PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
 const FLAGGED_SUBSCRIBERS_SET_KEY = 'newsletter:flagged-subscribers';
+const RESEND_WEBHOOK_SECRET = process.env.RESEND_WEBHOOK_SECRET || '';
+// With webhooks configured, `delivered` counts provider-confirmed deliveries instead of accepted sends.
+const DELIVERY_WEBHOOKS_ENABLED = Boolean(RESEND_WEBHOOK_SECRET);
+const WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const WEBHOOK_EVENT_LIST_KEY = 'newsletter:webhook-events';
+const WEBHOOK_EVENT_PREFIX = 'newsletter:webhook-event:';
+const WEBHOOK_EVENT_LOG_LIMIT = 1000;
+const WEBHOOK_EVENT_TTL_SECONDS = 30 * 24 * 60 * 60;
+// A claim left by a process that died mid-event lapses after this, so the provider's retry applies it.
+const WEBHOOK_EVENT_CLAIM_TTL_SECONDS = 5 * 60;
 const BOUNCE_LOG_PREFIX = 'newsletter:bounce:';
 const DEFAULT_PHYSICAL_ADDRESS =
   process.env.MAILING_ADDRESS ||
@@ -56,8 +111,73 @@ const WARMUP_INITIAL_LIMIT = Number(process.env.WARMUP_INITIAL_LIMIT || 50);
 const WARMUP_GROWTH_DAYS = Number(process.env.WARMUP_GROWTH_DAYS || 7);
 const WARMUP_GROWTH_INCREMENT = Number(process.env.WARMUP_GROWTH_INCREMENT || 50);
 const ABSOLUTE_DAILY_SEND_LIMIT = Number(process.env.DAILY_SEND_LIMIT || 0);
+const WARMUP_STATE_KEY = 'newsletter:warmup:state';
 const CLICK_ALLOWED_SCHEMES = ['https:'];
 const SESSION_PREFIX = 'newsletter:sess:';
+const SEND_JOB_PREFIX = 'newsletter:send-job:';
+const SEND_JOB_RECIPIENTS_PREFIX = 'newsletter:send-job-recipients:';
+const SEND_QUEUE_KEY = 'newsletter:send-queue';
+const SEND_QUEUE_POLL_INTERVAL_MS = Number(process.env.SEND_QUEUE_POLL_INTERVAL_MS || 5000);
+const SEND_JOB_LEASE_MS = 2 * 60 * 1000;
+const SEND_JOB_LEASE_RENEW_MS = SEND_JOB_LEASE_MS / 4;
+const SEND_JOB_LEASE_PREFIX = 'newsletter:send-job-lease:';
+// Identifies this process as the holder of a send job lease.
+const SEND_WORKER_ID = crypto.randomBytes(8).toString('hex');
+const SEND_JOB_CHECKPOINT_INTERVAL = 20;
+const SEND_JOB_PROGRESS_HISTORY = 100;
+const SEND_JOB_RECENT_FAILURES = 50;
+const SEND_JOB_FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+// Finished send jobs (and their cancel requests) are kept this long for status checks and retries.
+const SEND_JOB_RETENTION_DAYS = Number(process.env.SEND_JOB_RETENTION_DAYS || 30);
+const SEND_JOB_RETENTION_SECONDS = SEND_JOB_RETENTION_DAYS * 24 * 60 * 60;
+const SEND_JOB_CONTROL_PREFIX = 'newsletter:send-job-control:';
+const SEND_JOB_CONTROL_ACTIONS = ['pause', 'cancel'];
+const CAMPAIGN_EVENTS_HEARTBEAT_MS = 15000;
+const SCHEDULED_CAMPAIGN_PREFIX = 'newsletter:scheduled:';
+const SCHEDULED_CAMPAIGN_ZSET_KEY = 'newsletter:scheduled-campaigns';
+const SCHEDULER_POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_INTERVAL_MS || 30000);
+const RSS_FEED_URL = process.env.RSS_FEED_URL || '';
+const RSS_AUTOMATION_MODE = process.env.RSS_AUTOMATION_MODE === 'send' ? 'send' : 'draft';
+const RSS_AUTOMATION_TEMPLATE = process.env.RSS_AUTOMATION_TEMPLATE || 'summary';
+const RSS_POLL_INTERVAL_MS = Number(process.env.RSS_POLL_INTERVAL_MS || 15 * 60 * 1000);
+const RSS_FETCH_TIMEOUT_MS = 10000;
+const RSS_STATE_KEY = 'newsletter:rss:state';
+const RSS_SEEN_SET_KEY = 'newsletter:rss:seen';
+const RSS_DRAFT_PREFIX = 'newsletter:rss:draft:';
+const RSS_DRAFT_LIST_KEY = 'newsletter:rss:drafts';
+const RSS_DRAFT_LIMIT = 100;
+const DOUBLE_OPT_IN_ENABLED = process.env.DOUBLE_OPT_IN !== 'false';
+// Forms that keep single opt-in while double opt-in is on, as `formId:formKey` pairs. A sign-up only
+// skips confirmation when it posts the form's secret key, so the key must stay on the poster's server.
+const SINGLE_OPT_IN_FORMS = new Map(
+  (process.env.SINGLE_OPT_IN_FORMS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return separator > 0 ? [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()] : [entry, ''];
+    }),
+);
+const CONFIRMATION_TOKEN_TTL_HOURS = Number(process.env.CONFIRMATION_TOKEN_TTL_HOURS || 48);
+// A repeat sign-up within this window gets no new email; after it, the open request's link is resent.
+const CONFIRMATION_RESEND_INTERVAL_MS = 10 * 60 * 1000;
+const PENDING_SUBSCRIBER_PREFIX = 'newsletter:pending-subscriber:';
+const PENDING_SUBSCRIBER_EMAIL_PREFIX = 'newsletter:pending-subscriber-email:';
+const PENDING_SUBSCRIBERS_ZSET_KEY = 'newsletter:pending-subscribers';
+const PENDING_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// Topics readers can pick in the preference center, as `id:Label` pairs (the label defaults to the id).
+const NEWSLETTER_TOPICS = (process.env.NEWSLETTER_TOPICS || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const [id, ...label] = entry.split(':');
+    return { id: id.trim(), label: label.join(':').trim() || id.trim() };
+  });
+const SUBSCRIBER_FREQUENCIES = ['every', 'digest'];
+const PAUSE_DURATION_DAYS = [30, 60, 90];
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
 
 /**
  * Tiny timestamped logger for consistent console output in production.
@@ -76,7 +196,8 @@ const logger = {
 
 const KV_ENV_VARS = ['KV_REST_API_URL', 'KV_REST_API_TOKEN'];
 const inMemorySubscribers = new Map();
-const inMemoryFlaggedSubscribers = new Set();
+const inMemorySubscriberLinkIds = new Map();
+const inMemoryFlaggedSubscribers = new Map();
 const inMemoryAnalyticsStore = {
   aggregate: {
     sent: 0,
@@ -91,13 +212,61 @@ const inMemoryAnalyticsStore = {
   index: [],
   opens: new Map(),
   clicks: new Map(),
+  unsubscribes: new Map(),
+  deliveries: new Map(),
+  bounces: new Map(),
   growth: [],
   archives: new Map(),
+  linkClicks: new Map(),
 };
 const inMemoryCampaignStore = {
   summaries: new Map(),
   index: [],
+  recipientOutcomes: new Map(),
+};
+const inMemoryCapturedEmails = [];
+const inMemoryWebhookEvents = [];
+const inMemorySendQueue = {
+  jobs: new Map(),
+  recipients: new Map(),
+  queue: [],
+  controls: new Map(),
+  leases: new Map(),
+};
+const sendQueueState = {
+  busy: false,
+  timer: null,
+  activeJobId: null,
+  lastTickAt: null,
+};
+const inMemoryScheduledCampaigns = new Map();
+const schedulerState = {
+  timer: null,
+  busy: false,
+  lastTickAt: null,
+};
+const rssAutomationState = {
+  timer: null,
+  busy: false,
+  lastTickAt: null,
+  fetcher: null,
 };
+const inMemoryRssAutomation = {
+  state: null,
+  seen: new Set(),
+  drafts: [],
+};
+const inMemoryPendingSubscribers = new Map();
+const inMemoryMailingLists = new Map();
+const inMemoryCustomFields = new Map();
+const pendingPurgeState = {
+  timer: null,
+  lastPurgeAt: null,
+  lastPurged: 0,
+};
+// Fan-out for live send progress; listeners are keyed by campaign id (one per open SSE stream).
+const campaignEvents = new EventEmitter();
+campaignEvents.setMaxListeners(0);
 const warmupState = {
   dayKey: null,
   sent: 0,
@@ -283,8 +452,22 @@ if (sessionStore && typeof sessionStore.destroy === 'function') {
   };
 }
 
+const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || 'resend').trim().toLowerCase();
+const EMAIL_TRANSPORT_ENV_VARS = {
+  resend: ['RESEND_API_KEY'],
+  smtp: ['SMTP_HOST'],
+  capture: [],
+};
+
+if (!EMAIL_TRANSPORT_ENV_VARS[EMAIL_TRANSPORT]) {
+  logger.error('Unknown EMAIL_TRANSPORT.', { transport: EMAIL_TRANSPORT });
+  throw new Error(
+    `EMAIL_TRANSPORT must be one of: ${Object.keys(EMAIL_TRANSPORT_ENV_VARS).join(', ')}.`,
+  );
+}
+
 const requiredEnvVars = [
-  'RESEND_API_KEY',
+  ...EMAIL_TRANSPORT_ENV_VARS[EMAIL_TRANSPORT],
   'SENDER_EMAIL',
   'CLOUDINARY_CLOUD_NAME',
   'CLOUDINARY_API_KEY',
@@ -305,6 +488,8 @@ if (missingEnv.length) {
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 const SESSION_SECRET = process.env.SESSION_SECRET;
+// Signs tracking URLs so they cannot be forged for other campaigns or recipients.
+const TRACKING_SECRET = process.env.TRACKING_SECRET || SESSION_SECRET;
 const DEFAULT_SESSION_MAX_AGE = 24 * 60 * 60 * 1000;
 const REMEMBER_ME_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
 
@@ -332,7 +517,7 @@ loginTemplate = fs.readFileSync(loginTemplatePath, 'utf8');
   loginTemplate = '';
 }
 
-let resendStatus = {
+let emailTransportStatus = {
   valid: null,
   checkedAt: null,
   error: null,
@@ -370,7 +555,7 @@ cloudinary.config({
   secure: true,
 });
 
-const resendClient = new Resend(process.env.RESEND_API_KEY);
+const emailTransport = createEmailTransport(EMAIL_TRANSPORT);
 const senderEmail = process.env.SENDER_EMAIL;
 
 if (!isValidEmail(senderEmail)) {
@@ -486,6 +671,10 @@ function createEmptyMetricSnapshot() {
   };
 }
 
+function computeRate(count, base) {
+  return base > 0 ? Number((count / base).toFixed(4)) : 0;
+}
+
 function hashRecipientForMetric(newsletterId, recipientEmail) {
   if (!newsletterId || !recipientEmail) {
     return null;
@@ -496,6 +685,171 @@ function hashRecipientForMetric(newsletterId, recipientEmail) {
     .digest('hex');
 }
 
+function signTrackingPayload(...parts) {
+  return crypto.createHmac('sha256', TRACKING_SECRET).update(parts.join(':')).digest('base64url');
+}
+
+function verifyTrackingSignature(signature, ...parts) {
+  if (typeof signature !== 'string' || !signature) {
+    return false;
+  }
+  const expected = Buffer.from(signTrackingPayload(...parts));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Per-subscriber unsubscribe token: the subscriber's opaque link id, the campaign the link was sent
+ * with and the mailing list it was sent for (either may be empty), and an HMAC over all three. The
+ * address never appears in the URL; the link id is looked up server-side.
+ */
+function buildUnsubscribeToken(linkId, campaignId = '', listId = '') {
+  const signature = signTrackingPayload('unsubscribe', linkId, campaignId, listId);
+  return `${linkId}.${campaignId}.${listId}.${signature}`;
+}
+
+/**
+ * Returns `{ email, campaignId, listId }` for a token with a valid signature, otherwise null. `email`
+ * is null when the link id no longer belongs to anyone (the subscriber was erased).
+ */
+async function resolveUnsubscribeToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 4) {
+    return null;
+  }
+  const [linkId, campaignId, listId, signature] = parts;
+  if (!verifyTrackingSignature(signature, 'unsubscribe', linkId, campaignId, listId)) {
+    return null;
+  }
+  return {
+    email: await findEmailByLinkId(linkId),
+    campaignId: campaignId || null,
+    listId: listId || null,
+  };
+}
+
+function buildUnsubscribeUrl(baseUrl, linkId, campaignId = '', listId = '') {
+  const token = buildUnsubscribeToken(linkId, campaignId, listId);
+  return `${baseUrl.replace(/\/$/, '')}/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * RFC 8058 target for the List-Unsubscribe header: mailbox providers POST here without showing a page.
+ */
+function buildOneClickUnsubscribeUrl(baseUrl, linkId, campaignId = '', listId = '') {
+  const token = buildUnsubscribeToken(linkId, campaignId, listId);
+  return `${baseUrl.replace(/\/$/, '')}${ONE_CLICK_UNSUBSCRIBE_PATH}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Preference center token: the subscriber's opaque link id, an expiry and an HMAC over both. Every
+ * email gets a fresh one, so old links age out after PREFERENCES_TOKEN_TTL_DAYS.
+ */
+function buildPreferencesToken(linkId, now = Date.now()) {
+  const expiresAt = now + PREFERENCES_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+  return `${linkId}.${expiresAt}.${signTrackingPayload('preferences', linkId, expiresAt)}`;
+}
+
+/**
+ * Returns `{ linkId }` for a valid token, or `{ error }` ('invalid' or 'expired').
+ */
+function parsePreferencesToken(token) {
+  const [linkId, expiresAt, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!linkId || !expiresAt || !verifyTrackingSignature(signature, 'preferences', linkId, expiresAt)) {
+    return { error: 'invalid' };
+  }
+  if (Number(expiresAt) < Date.now()) {
+    return { error: 'expired' };
+  }
+  return { linkId };
+}
+
+function buildPreferencesUrl(baseUrl, linkId) {
+  const token = buildPreferencesToken(linkId);
+  return `${baseUrl.replace(/\/$/, '')}${PREFERENCES_PATH}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Per-recipient open pixel URL. Only the recipient hash travels in the URL, never the address.
+ */
+function buildOpenTrackingUrl(baseUrl, newsletterId, recipientEmail) {
+  const recipientHash = hashRecipientForMetric(newsletterId, recipientEmail);
+  const params = new URLSearchParams({
+    c: newsletterId,
+    r: recipientHash,
+    s: signTrackingPayload('open', newsletterId, recipientHash),
+  });
+  return `${baseUrl}${OPEN_TRACKING_PATH}/${TRACKING_PIXEL_FILENAME}?${params.toString()}`;
+}
+
+/**
+ * Distinct https links in the campaign body, in order of first appearance. A link's position in this
+ * list is the index carried by its tracking URL, so the redirect target never comes from the URL itself.
+ */
+function extractTrackableLinks(html = '') {
+  const links = [];
+  for (const match of html.matchAll(/<a\s[^>]*?href="([^"]+)"/gi)) {
+    const href = decodeHtmlAttribute(match[1]);
+    let protocol = null;
+    try {
+      protocol = new URL(href).protocol;
+    } catch (error) {
+      protocol = null;
+    }
+    if (CLICK_ALLOWED_SCHEMES.includes(protocol) && !links.includes(href)) {
+      links.push(href);
+    }
+  }
+  return links;
+}
+
+function decodeHtmlAttribute(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function buildClickTrackingUrl(baseUrl, newsletterId, recipientHash, linkIndex) {
+  const params = new URLSearchParams({
+    c: newsletterId,
+    r: recipientHash,
+    l: String(linkIndex),
+    s: signTrackingPayload('click', newsletterId, recipientHash, linkIndex),
+  });
+  return `${baseUrl}${CLICK_TRACKING_PATH}?${params.toString()}`;
+}
+
+/**
+ * Point every trackable `<a href>` in the body at a signed, recipient-specific click URL.
+ */
+function rewriteLinksForRecipient(html, links, { baseUrl, newsletterId, recipientEmail }) {
+  if (!links.length) {
+    return html;
+  }
+  const recipientHash = hashRecipientForMetric(newsletterId, recipientEmail);
+  return html.replace(/(<a\s[^>]*?href=")([^"]+)(")/gi, (match, before, href, after) => {
+    const linkIndex = links.indexOf(decodeHtmlAttribute(href));
+    if (linkIndex === -1) {
+      return match;
+    }
+    const trackedUrl = buildClickTrackingUrl(baseUrl, newsletterId, recipientHash, linkIndex);
+    return `${before}${escapeHtml(trackedUrl)}${after}`;
+  });
+}
+
+/**
+ * Tag each tracked anchor with `data-link-index` so a rendered copy can be matched to the link report.
+ */
+function annotateTrackedLinks(html, links) {
+  return html.replace(/<a\s([^>]*?)href="([^"]+)"/gi, (match, attributes, href) => {
+    const linkIndex = links.indexOf(decodeHtmlAttribute(href));
+    return linkIndex === -1 ? match : `<a data-link-index="${linkIndex}" ${attributes}href="${href}"`;
+  });
+}
+
 function getWarmupDayKey() {
   const now = new Date();
   return `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}-${String(
@@ -638,7 +992,12 @@ async function recordAggregateDelta(delta) {
   await saveAggregateMetrics(aggregate);
 }
 
-async function recordCampaignMetric(newsletterId, metric, recipientEmail) {
+/**
+ * Bump one metric on a campaign's analytics record. Opens, clicks, unsubscribes, deliveries and
+ * bounces count once per recipient; pass `recipientHash` when only the hashed recipient is known
+ * (e.g. from a tracking URL).
+ */
+async function recordCampaignMetric(newsletterId, metric, recipientEmail, options = {}) {
   if (!newsletterId || !metric) {
     return { updated: false };
   }
@@ -655,8 +1014,10 @@ async function recordCampaignMetric(newsletterId, metric, recipientEmail) {
   }
 
   let recipientHash = null;
-  if (recipientEmail && ['opens', 'clicks', 'unsubscribes'].includes(metric)) {
-    recipientHash = hashRecipientForMetric(newsletterId, recipientEmail);
+  if (['opens', 'clicks', 'unsubscribes', 'delivered', 'bounces'].includes(metric)) {
+    recipientHash =
+      options.recipientHash ||
+      (recipientEmail ? hashRecipientForMetric(newsletterId, recipientEmail) : null);
   }
 
   if (analyticsUsesKv()) {
@@ -677,12 +1038,13 @@ async function recordCampaignMetric(newsletterId, metric, recipientEmail) {
   }
 
   if (recipientHash) {
-    const targetMap =
-      metric === 'opens'
-        ? inMemoryAnalyticsStore.opens
-        : metric === 'clicks'
-        ? inMemoryAnalyticsStore.clicks
-        : null;
+    const targetMap = {
+      opens: inMemoryAnalyticsStore.opens,
+      clicks: inMemoryAnalyticsStore.clicks,
+      unsubscribes: inMemoryAnalyticsStore.unsubscribes,
+      delivered: inMemoryAnalyticsStore.deliveries,
+      bounces: inMemoryAnalyticsStore.bounces,
+    }[metric];
     if (targetMap) {
       const existingSet = targetMap.get(newsletterId) || new Set();
       if (existingSet.has(recipientHash)) {
@@ -702,11 +1064,56 @@ async function recordCampaignMetric(newsletterId, metric, recipientEmail) {
   return { updated: true, record };
 }
 
-async function recordBounceMetric(newsletterId, recipientEmail, reason = '') {
-  const result = await recordCampaignMetric(newsletterId, 'bounces', recipientEmail);
-  if (result.updated) {
-    await recordAggregateDelta({ bounces: 1 });
+/**
+ * Count a click on one link of a campaign: every click adds to `total`, the first per recipient to `unique`.
+ */
+async function recordLinkClick(newsletterId, linkIndex, recipientHash) {
+  if (analyticsUsesKv()) {
+    const countsKey = `${ANALYTICS_PREFIX}${newsletterId}:link-clicks`;
+    await withKvRetries(() => kvClient.hincrby(countsKey, `${linkIndex}:total`, 1), 'link-click-total');
+    const added = await withKvRetries(
+      () => kvClient.sadd(`${countsKey}:${linkIndex}:dedupe`, recipientHash),
+      'link-click-dedupe',
+    );
+    if (added) {
+      await withKvRetries(() => kvClient.hincrby(countsKey, `${linkIndex}:unique`, 1), 'link-click-unique');
+    }
+    return;
+  }
+  const campaignLinks = inMemoryAnalyticsStore.linkClicks.get(newsletterId) || new Map();
+  const entry = campaignLinks.get(linkIndex) || { total: 0, recipients: new Set() };
+  entry.total += 1;
+  entry.recipients.add(recipientHash);
+  campaignLinks.set(linkIndex, entry);
+  inMemoryAnalyticsStore.linkClicks.set(newsletterId, campaignLinks);
+}
+
+/**
+ * Per-link click counts for a campaign, keyed by link index: `{ [index]: { total, unique } }`.
+ */
+async function getLinkClickCounts(newsletterId) {
+  const counts = {};
+  if (analyticsUsesKv()) {
+    const fields = await withKvRetries(
+      () => kvClient.hgetall(`${ANALYTICS_PREFIX}${newsletterId}:link-clicks`),
+      'link-click-counts',
+    );
+    Object.entries(fields || {}).forEach(([field, value]) => {
+      const [index, kind] = field.split(':');
+      counts[index] = counts[index] || { total: 0, unique: 0 };
+      counts[index][kind] = Number(value) || 0;
+    });
+    return counts;
   }
+  const campaignLinks = inMemoryAnalyticsStore.linkClicks.get(newsletterId) || new Map();
+  campaignLinks.forEach((entry, index) => {
+    counts[index] = { total: entry.total, unique: entry.recipients.size };
+  });
+  return counts;
+}
+
+async function recordBounceMetric(newsletterId, recipientEmail, reason = '') {
+  await recordCampaignMetric(newsletterId, 'bounces', recipientEmail);
   const timestamp = new Date().toISOString();
   if (analyticsUsesKv()) {
     const key = `${BOUNCE_LOG_PREFIX}${recipientEmail.toLowerCase()}`;
@@ -727,7 +1134,12 @@ async function recordBounceMetric(newsletterId, recipientEmail, reason = '') {
       'flag-subscriber',
     );
   } else {
-    inMemoryFlaggedSubscribers.add(recipientEmail.toLowerCase());
+    inMemoryFlaggedSubscribers.set(recipientEmail.toLowerCase(), {
+      reason,
+      newsletterId,
+      timestamp,
+      bounced: true,
+    });
   }
 }
 
@@ -735,67 +1147,288 @@ async function recordUnsubscribeMetric(newsletterId, recipientEmail) {
   await recordCampaignMetric(newsletterId, 'unsubscribes', recipientEmail);
 }
 
-async function resetWarmupCounterIfNeeded() {
-  const dayKey = getWarmupDayKey();
-  if (!WARMUP_MODE_ENABLED) {
-    return;
+/**
+ * Resend signs webhooks the Svix way: a base64 HMAC-SHA256 of `${id}.${timestamp}.${body}`, keyed
+ * with the base64 part of the `whsec_` secret. The signature header can carry several
+ * space-separated `v1,<signature>` entries while a secret is being rotated.
+ */
+function signWebhookPayload(id, timestamp, body) {
+  const encodedKey = RESEND_WEBHOOK_SECRET.replace(/^whsec_/, '');
+  return crypto
+    .createHmac('sha256', Buffer.from(encodedKey, 'base64'))
+    .update(`${id}.${timestamp}.${body}`)
+    .digest('base64');
+}
+
+function verifyWebhookSignature({ id, timestamp, signatureHeader, body }) {
+  if (!id || !timestamp || typeof signatureHeader !== 'string' || typeof body !== 'string') {
+    return false;
   }
-  if (analyticsUsesKv()) {
-    const key = 'newsletter:warmup:state';
-    const raw = await withKvRetries(() => kvClient.get(key), 'warmup-get-state');
-    let state = null;
-    if (raw) {
-      try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-state = typeof raw === 'string' ? JSON.parse(raw) : raw;
-      } catch (error) {
-        state = null;
+  const sentAtSeconds = Number(timestamp);
+  if (
+    !Number.isFinite(sentAtSeconds) ||
+    Math.abs(Date.now() / 1000 - sentAtSeconds) > WEBHOOK_SIGNATURE_TOLERANCE_SECONDS
+  ) {
+    return false;
+  }
+  const expected = Buffer.from(signWebhookPayload(id, timestamp, body));
+  return signatureHeader.split(' ').some((entry) => {
+    const [version, signature] = entry.split(',');
+    if (version !== 'v1' || !signature) {
+      return false;
+    }
+    const provided = Buffer.from(signature);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+}
+
+/**
+ * Resend echoes the tags sent with an email; depending on the API version they arrive either as
+ * `[{ name, value }]` or as a plain object.
+ */
+function getWebhookCampaignId(data) {
+  const tags = data?.tags;
+  if (Array.isArray(tags)) {
+    return tags.find((tag) => tag?.name === 'campaign_id')?.value || null;
+  }
+  if (tags && typeof tags === 'object') {
+    return tags.campaign_id || null;
+  }
+  return null;
+}
+
+/**
+ * Apply one webhook event to metrics, the suppression list and subscriber statuses. Metrics dedupe
+ * per recipient, so a replay never double-counts. A replay only restores metrics: it leaves flags and
+ * subscriber statuses alone, since the reader may have been unflagged or resubscribed since the event.
+ */
+async function applyResendWebhookEvent(event, { replay = false } = {}) {
+  const data = event?.data || {};
+  const campaignId = getWebhookCampaignId(data);
+  const recipients = (Array.isArray(data.to) ? data.to : [data.to]).map(normalizeEmail).filter(Boolean);
+  let action = 'ignored';
+
+  switch (event?.type) {
+    case 'email.delivered':
+      for (const email of recipients) {
+        // eslint-disable-next-line no-await-in-loop
+        await recordCampaignMetric(campaignId, 'delivered', email);
+      }
+      action = campaignId ? 'counted' : 'ignored';
+      break;
+    case 'email.bounced': {
+      const bounce = data.bounce || {};
+      const permanent = String(bounce.type || '').toLowerCase() === 'permanent';
+      const reason = [bounce.type, bounce.subType, bounce.message].filter(Boolean).join(': ');
+      for (const email of recipients) {
+        if (permanent && !replay) {
+          // eslint-disable-next-line no-await-in-loop
+          await recordBounceMetric(campaignId, email, reason || 'Permanent bounce');
+          // eslint-disable-next-line no-await-in-loop
+          await setSubscriberStatus(email, 'bounced', { reason: reason || 'Permanent bounce' });
+        } else {
+          // eslint-disable-next-line no-await-in-loop
+          await recordCampaignMetric(campaignId, 'bounces', email);
+        }
       }
+      action = permanent && !replay ? 'flagged' : 'counted';
+      break;
     }
-    if (!state || state.dayKey !== dayKey) {
-      state = { dayKey, sent: 0, history: state?.history || [] };
+    case 'email.complained':
+      if (replay) {
+        break;
+      }
+      for (const email of recipients) {
+        // eslint-disable-next-line no-await-in-loop
+        await flagSubscriberEmail(email, 'complaint');
+        // eslint-disable-next-line no-await-in-loop
+        await setSubscriberStatus(email, 'complained', { reason: 'complaint' });
+      }
+      action = 'flagged';
+      break;
+    case 'email.delivery_delayed':
+      logger.warn('Resend reported a delayed delivery.', { campaignId, recipients });
+      action = 'logged';
+      break;
+    default:
+      break;
+  }
+
+  return { type: event?.type || null, campaignId, recipients, action };
+}
+
+/**
+ * Reserve an event id before applying it (SET NX), so two deliveries of the same event racing each
+ * other are applied once. Returns false when the id is already logged or being applied.
+ */
+async function claimWebhookEvent(entry) {
+  if (analyticsUsesKv()) {
+    const result = await withKvRetries(
+      () =>
+        kvClient.set(`${WEBHOOK_EVENT_PREFIX}${entry.id}`, JSON.stringify(entry), {
+          nx: true,
+          ex: WEBHOOK_EVENT_CLAIM_TTL_SECONDS,
+        }),
+      'webhook-event-claim',
+    );
+    return result === 'OK';
+  }
+  if (inMemoryWebhookEvents.some((existing) => existing.id === entry.id)) {
+    return false;
+  }
+  inMemoryWebhookEvents.unshift(entry);
+  inMemoryWebhookEvents.length = Math.min(inMemoryWebhookEvents.length, WEBHOOK_EVENT_LOG_LIMIT);
+  return true;
+}
+
+/**
+ * Drop a claim whose event failed to apply, so the provider's retry is processed.
+ */
+async function releaseWebhookEvent(id) {
+  if (analyticsUsesKv()) {
+    await withKvRetries(() => kvClient.del(`${WEBHOOK_EVENT_PREFIX}${id}`), 'webhook-event-release');
+    return;
+  }
+  const index = inMemoryWebhookEvents.findIndex((existing) => existing.id === id);
+  if (index >= 0) {
+    inMemoryWebhookEvents.splice(index, 1);
+  }
+}
+
+async function storeWebhookEvent(entry, { isNew = false } = {}) {
+  if (analyticsUsesKv()) {
+    await withKvRetries(
+      () =>
+        kvClient.set(`${WEBHOOK_EVENT_PREFIX}${entry.id}`, JSON.stringify(entry), {
+          ex: WEBHOOK_EVENT_TTL_SECONDS,
+        }),
+      'webhook-event-set',
+    );
+    if (isNew) {
+      await withKvRetries(() => kvClient.lpush(WEBHOOK_EVENT_LIST_KEY, entry.id), 'webhook-event-lpush');
       await withKvRetries(
-        () => kvClient.set(key, JSON.stringify(state)),
-        'warmup-reset-state',
+        () => kvClient.ltrim(WEBHOOK_EVENT_LIST_KEY, 0, WEBHOOK_EVENT_LOG_LIMIT - 1),
+        'webhook-event-ltrim',
       );
-      return state;
     }
-    return state;
+    return;
   }
-  if (warmupState.dayKey !== dayKey) {
-    warmupState.dayKey = dayKey;
-    warmupState.sent = 0;
+  const index = inMemoryWebhookEvents.findIndex((existing) => existing.id === entry.id);
+  if (index >= 0) {
+    inMemoryWebhookEvents[index] = entry;
+    return;
   }
-  return { dayKey: warmupState.dayKey, sent: warmupState.sent };
+  inMemoryWebhookEvents.unshift(entry);
+  inMemoryWebhookEvents.length = Math.min(inMemoryWebhookEvents.length, WEBHOOK_EVENT_LOG_LIMIT);
 }
 
-async function updateWarmupCounter(delta) {
-  if (!WARMUP_MODE_ENABLED) {
-    return;
+async function getWebhookEvent(id) {
+  if (!id) {
+    return null;
   }
-  const key = 'newsletter:warmup:state';
   if (analyticsUsesKv()) {
-    const raw = await withKvRetries(() => kvClient.get(key), 'warmup-get-state');
-    let state = null;
-    if (raw) {
-      try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-state = typeof raw === 'string' ? JSON.parse(raw) : raw;
-      } catch (error) {
-        state = null;
-      }
+    const raw = await withKvRetries(
+      () => kvClient.get(`${WEBHOOK_EVENT_PREFIX}${id}`),
+      'webhook-event-get',
+    );
+    if (!raw) {
+      return null;
+    }
+    try {
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn('Failed to parse webhook event.', { id, message: error?.message });
+      return null;
     }
-    if (!state) {
-      state = { dayKey: getWarmupDayKey(), sent: 0, history: [] };
+  }
+  return inMemoryWebhookEvents.find((entry) => entry.id === id) || null;
+}
+
+/**
+ * Newest-first webhook event log, including the raw event so it can be replayed.
+ */
+async function listWebhookEvents(limit = 100) {
+  if (!analyticsUsesKv()) {
+    return inMemoryWebhookEvents.slice(0, limit);
+  }
+  const ids = await withKvRetries(
+    () => kvClient.lrange(WEBHOOK_EVENT_LIST_KEY, 0, limit - 1),
+    'webhook-event-lrange',
+  );
+  const entries = [];
+  for (const id of ids || []) {
+    // eslint-disable-next-line no-await-in-loop
+    const entry = await getWebhookEvent(String(id));
+    if (entry) {
+      entries.push(entry);
     }
-    state.sent = Math.max(0, (state.sent || 0) + delta);
-    await withKvRetries(() => kvClient.set(key, JSON.stringify(state)), 'warmup-set-state');
+  }
+  return entries;
+}
+
+function dailySendLimitEnforced() {
+  return WARMUP_MODE_ENABLED || ABSOLUTE_DAILY_SEND_LIMIT > 0;
+}
+
+function parseWarmupState(raw) {
+  if (!raw) {
+    return null;
+  }
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    logger.warn('Failed to parse warm-up state.', { message: error?.message });
+    return null;
+  }
+}
+
+/**
+ * Load today's send counter, rolling it over at UTC midnight. A day that sent anything is appended
+ * to `history`, which is what advances the warm-up schedule.
+ */
+async function resetWarmupCounterIfNeeded() {
+  const dayKey = getWarmupDayKey();
+  if (!dailySendLimitEnforced()) {
+    return { dayKey, sent: 0, history: [] };
+  }
+  const stored = analyticsUsesKv()
+    ? parseWarmupState(await withKvRetries(() => kvClient.get(WARMUP_STATE_KEY), 'warmup-get-state'))
+    : { ...warmupState, history: [...warmupState.history] };
+  let state = {
+    dayKey: stored?.dayKey || dayKey,
+    sent: Number(stored?.sent) || 0,
+    history: Array.isArray(stored?.history) ? stored.history : [],
+  };
+  if (state.dayKey === dayKey && stored) {
     return state;
   }
-  warmupState.sent = Math.max(0, (warmupState.sent || 0) + delta);
-  return { dayKey: warmupState.dayKey, sent: warmupState.sent };
+  if (state.dayKey !== dayKey && state.sent > 0) {
+    state.history.push({ date: state.dayKey, sent: state.sent });
+  }
+  state = { dayKey, sent: 0, history: state.history };
+  if (analyticsUsesKv()) {
+    await withKvRetries(
+      () => kvClient.set(WARMUP_STATE_KEY, JSON.stringify(state)),
+      'warmup-reset-state',
+    );
+  } else {
+    Object.assign(warmupState, state);
+  }
+  return state;
+}
+
+async function updateWarmupCounter(delta) {
+  if (!dailySendLimitEnforced()) {
+    return null;
+  }
+  const state = await resetWarmupCounterIfNeeded();
+  state.sent = Math.max(0, state.sent + delta);
+  if (analyticsUsesKv()) {
+    await withKvRetries(() => kvClient.set(WARMUP_STATE_KEY, JSON.stringify(state)), 'warmup-set-state');
+  } else {
+    Object.assign(warmupState, state);
+  }
+  return state;
 }
 
 function computeWarmupLimit(historyCount = 0) {
@@ -807,6 +1440,31 @@ function computeWarmupLimit(historyCount = 0) {
   return base + growthSteps * Math.max(1, WARMUP_GROWTH_INCREMENT);
 }
 
+/**
+ * Today's sending allowance: the lower of the warm-up limit and DAILY_SEND_LIMIT.
+ * `limit` and `remaining` are null when neither is configured.
+ */
+async function getDailySendQuota() {
+  const state = await resetWarmupCounterIfNeeded();
+  const limit = Math.min(
+    computeWarmupLimit(state.history.length),
+    ABSOLUTE_DAILY_SEND_LIMIT > 0 ? ABSOLUTE_DAILY_SEND_LIMIT : Infinity,
+  );
+  const enforced = Number.isFinite(limit);
+  const resetsAt = new Date();
+  resetsAt.setUTCHours(24, 0, 0, 0);
+  return {
+    enforced,
+    warmupEnabled: WARMUP_MODE_ENABLED,
+    warmupDay: WARMUP_MODE_ENABLED ? state.history.length + 1 : null,
+    dayKey: state.dayKey,
+    limit: enforced ? limit : null,
+    sent: state.sent,
+    remaining: enforced ? Math.max(0, limit - state.sent) : null,
+    resetsAt: resetsAt.toISOString(),
+  };
+}
+
 function buildDayKey(date) {
   const current = date instanceof Date ? date : new Date(date);
   return `${current.getUTCFullYear()}-${String(current.getUTCMonth() + 1).padStart(2, '0')}-${String(
@@ -908,6 +1566,7 @@ async function storeCampaignSummary(record) {
     failed: failedCount,
     successCount: deliveredCount,
     failureCount: failedCount,
+    skipped: Math.max(0, Number(record.skipped) || 0),
     status: record.status || 'unknown',
   };
   if (analyticsUsesKv()) {
@@ -922,8 +1581,12 @@ async function storeCampaignSummary(record) {
     );
     return;
   }
+  const alreadyIndexed = inMemoryCampaignStore.summaries.has(safeRecord.id);
   inMemoryCampaignStore.summaries.set(safeRecord.id, safeRecord);
-  inMemoryCampaignStore.index = inMemoryCampaignStore.index.filter((id) => id !== safeRecord.id);
+  if (alreadyIndexed) {
+    // Updates (e.g. after a retry) keep the campaign at its original position.
+    return;
+  }
   inMemoryCampaignStore.index.push(safeRecord.id);
   if (inMemoryCampaignStore.index.length > 100) {
     const removedId = inMemoryCampaignStore.index.shift();
@@ -980,26 +1643,390 @@ async function countCampaignSummaries() {
   return inMemoryCampaignStore.index.length;
 }
 
-async function flagSubscriberEmail(email, reason = '') {
-  if (!email) {
-    return;
+async function getCampaignSummary(campaignId) {
+  if (!campaignId) {
+    return null;
   }
-  const normalized = email.toLowerCase();
   if (analyticsUsesKv()) {
-    await withKvRetries(
-      () => kvClient.sadd(FLAGGED_SUBSCRIBERS_SET_KEY, normalized),
-      'flag-subscriber-sadd',
+    const raw = await withKvRetries(
+      () => kvClient.get(`${CAMPAIGN_SUMMARY_KEY_PREFIX}${campaignId}`),
+      'campaign-summary-get',
     );
-    await withKvRetries(
-      () =>
-        kvClient.set(
-          `${FLAGGED_SUBSCRIBERS_SET_KEY}:reason:${normalized}`,
-          JSON.stringify({ reason, timestamp: new Date().toISOString() }),
-        ),
-      'flag-subscriber-reason',
+    if (!raw) {
+      return null;
+    }
+    try {
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn('Failed to parse stored campaign summary.', { id: campaignId, message: error?.message });
+      return null;
+    }
+  }
+  const record = inMemoryCampaignStore.summaries.get(campaignId);
+  return record ? { ...record } : null;
+}
+
+/**
+ * Store the latest delivery outcome for recipients of a campaign (`status`: sent, failed or skipped).
+ * Outcomes are keyed by normalized email, so a retry overwrites the earlier failure.
+ */
+async function recordRecipientOutcomes(campaignId, outcomes = []) {
+  if (!campaignId) {
+    return;
+  }
+  const updatedAt = new Date().toISOString();
+  const entries = outcomes
+    .map((outcome) => ({ ...outcome, email: normalizeEmail(outcome.email), updatedAt }))
+    .filter((outcome) => outcome.email);
+  if (!entries.length) {
+    return;
+  }
+  if (analyticsUsesKv()) {
+    const fields = {};
+    entries.forEach((entry) => {
+      fields[entry.email] = JSON.stringify(entry);
+    });
+    await withKvRetries(
+      () => kvClient.hset(`${CAMPAIGN_RECIPIENTS_PREFIX}${campaignId}`, fields),
+      'campaign-recipient-hset',
+    );
+    return;
+  }
+  if (!inMemoryCampaignStore.recipientOutcomes.has(campaignId)) {
+    inMemoryCampaignStore.recipientOutcomes.set(campaignId, new Map());
+  }
+  const stored = inMemoryCampaignStore.recipientOutcomes.get(campaignId);
+  entries.forEach((entry) => stored.set(entry.email, entry));
+}
+
+/**
+ * All stored recipient outcomes for a campaign as a plain `{ email: outcome }` object.
+ */
+async function getRecipientOutcomes(campaignId) {
+  if (!campaignId) {
+    return {};
+  }
+  if (analyticsUsesKv()) {
+    const raw = await withKvRetries(
+      () => kvClient.hgetall(`${CAMPAIGN_RECIPIENTS_PREFIX}${campaignId}`),
+      'campaign-recipient-hgetall',
+    );
+    const outcomes = {};
+    Object.entries(raw || {}).forEach(([email, value]) => {
+      try {
+        outcomes[email] = typeof value === 'string' ? JSON.parse(value) : value;
+      } catch (error) {
+        logger.warn('Failed to parse recipient outcome.', { campaignId, email, message: error?.message });
+      }
+    });
+    return outcomes;
+  }
+  const stored = inMemoryCampaignStore.recipientOutcomes.get(campaignId);
+  return stored ? Object.fromEntries(stored) : {};
+}
+
+function slugifyArchiveTitle(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+}
+
+function buildArchiveUrl(baseUrl, slug) {
+  return `${baseUrl.replace(/\/$/, '')}/archive/${encodeURIComponent(slug)}`;
+}
+
+async function getArchivedIssue(slug) {
+  if (!slug) {
+    return null;
+  }
+  if (analyticsUsesKv()) {
+    const raw = await withKvRetries(
+      () => kvClient.get(`${NEWSLETTER_ARCHIVE_PREFIX}${slug}`),
+      'archive-get',
+    );
+    if (!raw) {
+      return null;
+    }
+    try {
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn('Failed to parse archived issue.', { slug, message: error?.message });
+      return null;
+    }
+  }
+  return inMemoryAnalyticsStore.archives.get(slug) || null;
+}
+
+/**
+ * Only visible issues are in the index, so the newest N entries are the newest N published issues.
+ * Excluding an issue takes it out; publishing it again puts it back at its original date.
+ */
+async function saveArchivedIssue(issue) {
+  if (analyticsUsesKv()) {
+    await withKvRetries(
+      () => kvClient.set(`${NEWSLETTER_ARCHIVE_PREFIX}${issue.slug}`, JSON.stringify(issue)),
+      'archive-set',
+    );
+    if (issue.excluded) {
+      await withKvRetries(
+        () => kvClient.zrem(NEWSLETTER_ARCHIVE_INDEX_KEY, issue.slug),
+        'archive-zrem',
+      );
+      return;
+    }
+    await withKvRetries(
+      () =>
+        kvClient.zadd(NEWSLETTER_ARCHIVE_INDEX_KEY, {
+          score: Date.parse(issue.publishedAt) || Date.now(),
+          member: issue.slug,
+        }),
+      'archive-zadd',
+    );
+    return;
+  }
+  inMemoryAnalyticsStore.archives.set(issue.slug, issue);
+}
+
+/**
+ * Newest-first published issues without their rendered HTML, for the public index and feeds.
+ * Index entries written before excluded issues were kept out of it are skipped by paging on until
+ * `limit` visible issues are found.
+ */
+async function listArchivedIssues(limit = 50) {
+  let issues;
+  if (analyticsUsesKv()) {
+    issues = [];
+    let offset = 0;
+    while (issues.length < limit) {
+      const start = offset;
+      // eslint-disable-next-line no-await-in-loop
+      const slugs = await withKvRetries(
+        () => kvClient.zrange(NEWSLETTER_ARCHIVE_INDEX_KEY, start, start + limit - 1, { rev: true }),
+        'archive-zrange',
+      );
+      if (!slugs?.length) {
+        break;
+      }
+      for (const slug of slugs) {
+        // eslint-disable-next-line no-await-in-loop
+        const issue = await getArchivedIssue(String(slug));
+        if (issue && !issue.excluded && issues.length < limit) {
+          issues.push(issue);
+        }
+      }
+      offset += slugs.length;
+    }
+  } else {
+    issues = [...inMemoryAnalyticsStore.archives.values()]
+      .filter((issue) => !issue.excluded)
+      .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt))
+      .slice(0, limit);
+  }
+  return issues.map(({ html, ...issue }) => issue);
+}
+
+/**
+ * Store the non-personalized rendering of a campaign (no greeting, unsubscribe link or tracking)
+ * under a readable slug. The campaign id suffix keeps slugs unique across issues with one title.
+ * Excluded issues are stored too, so they can be published later, but stay out of every listing.
+ */
+async function publishCampaignToArchive({ campaignId, title, previewText, content, excluded = false }) {
+  const base = slugifyArchiveTitle(title) || 'issue';
+  let slug = `${base}-${String(campaignId).split('-').pop()}`;
+  const existing = await getArchivedIssue(slug);
+  if (existing && existing.campaignId !== campaignId) {
+    slug = `${base}-${campaignId}`;
+  }
+  const issue = {
+    slug,
+    campaignId,
+    title,
+    previewText: previewText || '',
+    content,
+    excluded: Boolean(excluded),
+    publishedAt: existing?.campaignId === campaignId ? existing.publishedAt : new Date().toISOString(),
+    html: buildEmailTemplate(escapeHtml(title), content, escapeHtml(previewText || '')),
+  };
+  await saveArchivedIssue(issue);
+  return issue;
+}
+
+function renderArchiveIndexPage(issues) {
+  const items = issues.length
+    ? issues
+        .map(
+          (issue) => `
+        <li>
+          <a href="/archive/${encodeURIComponent(issue.slug)}">${escapeHtml(issue.title)}</a>
+          <time datetime="${escapeHtml(issue.publishedAt)}">${escapeHtml(
+            new Date(issue.publishedAt).toLocaleDateString('en-US', { dateStyle: 'long' }),
+          )}</time>
+          ${issue.previewText ? `<p>${escapeHtml(issue.previewText)}</p>` : ''}
+        </li>`,
+        )
+        .join('')
+    : '<li class="empty">No issues have been published yet.</li>';
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(ARCHIVE_TITLE)}</title>
+    <link rel="alternate" type="application/rss+xml" title="${escapeHtml(ARCHIVE_TITLE)}" href="/archive/feed.xml" />
+    <link rel="alternate" type="application/atom+xml" title="${escapeHtml(ARCHIVE_TITLE)}" href="/archive/atom.xml" />
+    <style>
+      body {
+        margin: 0;
+        padding: 48px 24px;
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        color: #1f2937;
+        background: #f3f4f6;
+      }
+      main {
+        max-width: 720px;
+        margin: 0 auto;
+      }
+      h1 {
+        margin: 0 0 24px;
+      }
+      ul {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+      li {
+        padding: 20px 24px;
+        margin-bottom: 12px;
+        background: #ffffff;
+        border-radius: 16px;
+      }
+      li a {
+        font-size: 18px;
+        font-weight: 600;
+        color: #2563eb;
+        text-decoration: none;
+      }
+      li a:hover {
+        text-decoration: underline;
+      }
+      time {
+        display: block;
+        margin-top: 4px;
+        font-size: 14px;
+        color: #6b7280;
+      }
+      li p {
+        margin: 8px 0 0;
+      }
+      .empty {
+        color: #6b7280;
+      }
+      .feeds {
+        margin: -16px 0 24px;
+        font-size: 14px;
+        color: #6b7280;
+      }
+      .feeds a {
+        color: #2563eb;
+      }
+    </style>
+  </head>
+  <body>
+    <main>
+      <h1>${escapeHtml(ARCHIVE_TITLE)}</h1>
+      <p class="feeds">Follow along via <a href="/archive/feed.xml">RSS</a> or <a href="/archive/atom.xml">Atom</a>.</p>
+      <ul>${items}
+      </ul>
+    </main>
+  </body>
+</html>`;
+}
+
+// Content goes into CDATA; a literal `]]>` has to be split across two sections.
+function wrapCdata(value) {
+  return `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function renderArchiveRssFeed(issues, baseUrl) {
+  const items = issues
+    .map((issue) => {
+      const url = buildArchiveUrl(baseUrl, issue.slug);
+      return `
+    <item>
+      <title>${escapeHtml(issue.title)}</title>
+      <link>${escapeHtml(url)}</link>
+      <guid isPermaLink="true">${escapeHtml(url)}</guid>
+      <pubDate>${new Date(issue.publishedAt).toUTCString()}</pubDate>
+      <description>${escapeHtml(issue.previewText || '')}</description>
+      <content:encoded>${wrapCdata(issue.content)}</content:encoded>
+    </item>`;
+    })
+    .join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(ARCHIVE_TITLE)}</title>
+    <link>${escapeHtml(`${baseUrl}/archive`)}</link>
+    <atom:link href="${escapeHtml(`${baseUrl}/archive/feed.xml`)}" rel="self" type="application/rss+xml" />
+    <description>${escapeHtml(ARCHIVE_TITLE)}</description>
+    <lastBuildDate>${new Date(issues[0]?.publishedAt || Date.now()).toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderArchiveAtomFeed(issues, baseUrl) {
+  const entries = issues
+    .map((issue) => {
+      const url = buildArchiveUrl(baseUrl, issue.slug);
+      return `
+  <entry>
+    <title>${escapeHtml(issue.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(url)}" />
+    <id>${escapeHtml(url)}</id>
+    <published>${new Date(issue.publishedAt).toISOString()}</published>
+    <updated>${new Date(issue.publishedAt).toISOString()}</updated>
+    <summary>${escapeHtml(issue.previewText || '')}</summary>
+    <content type="html">${escapeHtml(issue.content || '')}</content>
+  </entry>`;
+    })
+    .join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(ARCHIVE_TITLE)}</title>
+  <link rel="alternate" type="text/html" href="${escapeHtml(`${baseUrl}/archive`)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(`${baseUrl}/archive/atom.xml`)}" />
+  <id>${escapeHtml(`${baseUrl}/archive`)}</id>
+  <updated>${new Date(issues[0]?.publishedAt || Date.now()).toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+async function flagSubscriberEmail(email, reason = '') {
+  if (!email) {
+    return;
+  }
+  const normalized = email.toLowerCase();
+  if (analyticsUsesKv()) {
+    await withKvRetries(
+      () => kvClient.sadd(FLAGGED_SUBSCRIBERS_SET_KEY, normalized),
+      'flag-subscriber-sadd',
+    );
+    await withKvRetries(
+      () =>
+        kvClient.set(
+          `${FLAGGED_SUBSCRIBERS_SET_KEY}:reason:${normalized}`,
+          JSON.stringify({ reason, timestamp: new Date().toISOString() }),
+        ),
+      'flag-subscriber-reason',
     );
   } else {
-    inMemoryFlaggedSubscribers.add(normalized);
+    inMemoryFlaggedSubscribers.set(normalized, { reason, timestamp: new Date().toISOString() });
   }
 }
 
@@ -1017,10 +2044,56 @@ async function unflagSubscriberEmail(email) {
       () => kvClient.del(`${FLAGGED_SUBSCRIBERS_SET_KEY}:reason:${normalized}`),
       'flag-subscriber-del',
     );
+    await withKvRetries(() => kvClient.del(`${BOUNCE_LOG_PREFIX}${normalized}`), 'bounce-log-del');
   } else {
     inMemoryFlaggedSubscribers.delete(normalized);
   }
 }
+
+/**
+ * Every address on the suppression list, keyed by lower-cased email. `reason` is `bounced` when a
+ * bounce was logged for the address and `flagged` otherwise; `detail` is the reason given at the time.
+ */
+async function getSuppressedSubscribers() {
+  const suppressed = new Map();
+  const describe = (record, bounced) => ({
+    reason: bounced ? 'bounced' : 'flagged',
+    detail: record?.reason || '',
+    flaggedAt: record?.timestamp || null,
+  });
+  if (analyticsUsesKv()) {
+    const members = await withKvRetries(
+      () => kvClient.smembers(FLAGGED_SUBSCRIBERS_SET_KEY),
+      'flagged-subscribers-members',
+    );
+    for (const member of members || []) {
+      const email = String(member);
+      // eslint-disable-next-line no-await-in-loop
+      const [bounceRaw, flagRaw] = await withKvRetries(
+        () =>
+          Promise.all([
+            kvClient.get(`${BOUNCE_LOG_PREFIX}${email}`),
+            kvClient.get(`${FLAGGED_SUBSCRIBERS_SET_KEY}:reason:${email}`),
+          ]),
+        'flagged-subscriber-details',
+      );
+      const parse = (raw) => {
+        try {
+          return typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+          return null;
+        }
+      };
+      const bounce = parse(bounceRaw);
+      suppressed.set(email, describe(bounce || parse(flagRaw), Boolean(bounce)));
+    }
+    return suppressed;
+  }
+  inMemoryFlaggedSubscribers.forEach((record, email) => {
+    suppressed.set(email, describe(record, Boolean(record?.bounced)));
+  });
+  return suppressed;
+}
 /**
  * Provide actionable suggestions based on common Resend error messages.
  */
@@ -1291,17 +2364,44 @@ const record = await fetchSubscriberRecord(normalizedEmail);
   return { confirmed: false, attempts: VERIFICATION_MAX_ATTEMPTS };
 }
 
+/**
+ * Number of subscribers per status. Everyone in the main set without an inactive status is active.
+ */
+async function getSubscriberStatusCounts() {
+  const inactiveStatuses = SUBSCRIBER_STATUSES.filter((status) => status !== 'active');
+  const counts = Object.fromEntries(SUBSCRIBER_STATUSES.map((status) => [status, 0]));
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    const [total, ...inactiveCounts] = await withKvRetries(
+      () =>
+        Promise.all([
+          kvClient.scard(SUBSCRIBERS_SET_KEY),
+          ...inactiveStatuses.map((status) => kvClient.scard(subscriberStatusSetKey(status))),
+        ]),
+      'scard-subscriber-statuses',
+    );
+    inactiveStatuses.forEach((status, index) => {
+      counts[status] = Number(inactiveCounts[index]) || 0;
+    });
+    const inactiveTotal = inactiveStatuses.reduce((sum, status) => sum + counts[status], 0);
+    counts.active = Math.max((Number(total) || 0) - inactiveTotal, 0);
+    return counts;
+  }
+  for (const subscriber of inMemorySubscribers.values()) {
+    counts[normalizeRecordShape(subscriber).status] += 1;
+  }
+  return counts;
+}
+
+/**
+ * Number of active subscribers, the ones a campaign would be sent to.
+ */
 async function getSubscriberCount(options = {}) {
   const { record = true } = options;
   if (subscriberStoreMode === 'kv' && kvClient) {
     try {
     const sendStartedAt = new Date();
     const campaignId = generateCampaignId();
-const count = await withKvRetries(
-        () => kvClient.scard(SUBSCRIBERS_SET_KEY),
-        'scard-subscribers',
-      );
-      const total = Number(count) || 0;
+const { active: total } = await getSubscriberStatusCounts();
       logSubscriberEvent('info', 'Fetched subscriber count from Vercel KV.', { count: total });
       if (record) {
         recordStorageOperation('count-subscribers', { count: total });
@@ -1315,7 +2415,7 @@ const count = await withKvRetries(
     }
   }
 
-  const count = inMemorySubscribers.size;
+  const { active: count } = await getSubscriberStatusCounts();
   logSubscriberEvent('info', 'Calculated subscriber count using in-memory storage.', { count });
   if (record) {
     recordStorageOperation('count-subscribers', { count });
@@ -1380,98 +2480,338 @@ function isRateLimitError(error) {
 }
 
 /**
- * Shared helper to send email via Resend with consistent diagnostics.
+ * Email transports share one interface so the send pipeline never talks to a provider directly:
+ *   send(payload)        -> { data: { id } | null, error }
+ *   sendBatch(payloads)  -> { data: [{ id }] in request order, errors: [{ index, message }], error }
+ *   verify()             -> resolves when the credentials/connection work, throws otherwise
+ * Payloads use the Resend shape: { from, to: [], subject, html, text, headers?, tags? }.
  */
-async function sendWithResend(payload, context = {}) {
-  const start = performance.now();
-  const normalizedPayload = {
-    ...payload,
-    to: Array.isArray(payload.to) ? payload.to : [payload.to].filter(Boolean),
+function createResendTransport({ apiKey }) {
+  const client = new Resend(apiKey);
+  return {
+    name: 'resend',
+    async send(payload) {
+      const { data, error } = await client.emails.send(payload);
+      return { data: data || null, error: error || null };
+    },
+    async sendBatch(payloads) {
+      const { data, error } = await client.batch.send(payloads);
+      return {
+        data: Array.isArray(data?.data) ? data.data : [],
+        errors: Array.isArray(data?.errors) ? data.errors : [],
+        error: error || null,
+      };
+    },
+    async verify() {
+      await client.apiKeys.list();
+    },
   };
+}
 
-  logger.info('Resend send initiated.', {
-    context,
-    from: normalizedPayload.from,
-    to: normalizedPayload.to,
-    toCount: normalizedPayload.to.length,
-    subject: normalizedPayload.subject,
-    htmlLength: normalizedPayload.html?.length || 0,
-    textLength: normalizedPayload.text?.length || 0,
-  });
-
-  normalizedPayload.to.forEach((recipient, index) => {
-    logger.info('Resend recipient target.', { context, index, email: recipient });
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    pool: true,
+    ...(user ? { auth: { user, pass } } : {}),
   });
 
-  try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-const { data, error } = await resendClient.emails.send(normalizedPayload);
-    const durationMs = Math.round(performance.now() - start);
+  // SMTP reply codes stand in for HTTP status codes so the rate-limit and auth checks keep working.
+  const toTransportError = (error) => {
+    const wrapped = new Error(error?.response || error?.message || 'SMTP delivery failed.');
+    wrapped.name = 'SmtpError';
+    wrapped.statusCode = error?.code === 'EAUTH' ? 401 : error?.responseCode;
+    wrapped.code = error?.code;
+    return wrapped;
+  };
 
-    if (error) {
-      logger.error('Resend API error response.', {
-        context,
-        durationMs,
-        message: error?.message,
-        statusCode: error?.statusCode,
-        name: error?.name,
-        response: error?.response,
+  const send = async (payload) => {
+    try {
+      const info = await transporter.sendMail({
+        from: payload.from,
+        to: payload.to,
+        subject: payload.subject,
+        html: payload.html,
+        text: payload.text,
+        headers: payload.headers,
       });
-
-      if (error?.statusCode === 401 || error?.statusCode === 403) {
-        resendStatus = {
-          valid: false,
-          checkedAt: new Date().toISOString(),
-          error: error?.message || 'Authentication failed.',
-        };
+      const rejected = Array.isArray(info.rejected) ? info.rejected : [];
+      if (rejected.length && rejected.length === (payload.to || []).length) {
+        return { data: null, error: toTransportError({ message: `Recipient rejected: ${rejected.join(', ')}` }) };
       }
-
-      return {
-        success: false,
-        durationMs,
-        error,
-        data: null,
-        payload: normalizedPayload,
-      };
-    }
-
-    logger.info('Resend API success response.', {
-      context,
-      durationMs,
-      statusCode: data?.statusCode || 202,
-      response: data,
-      warnings: data?.warnings,
-      metadata: data?.metadata,
-    });
-
-    if (data?.warnings) {
-      logger.warn('Resend API returned warnings.', { context, warnings: data.warnings });
-    }
-
-    if (data?.metadata) {
-      logger.info('Resend API metadata details.', { context, metadata: data.metadata });
+      return { data: { id: info.messageId }, error: null };
+    } catch (error) {
+      return { data: null, error: toTransportError(error) };
     }
+  };
 
-    resendStatus = {
-      valid: true,
-      checkedAt: new Date().toISOString(),
-      error: null,
-    };
+  return {
+    name: 'smtp',
+    send,
+    async sendBatch(payloads) {
+      const data = [];
+      const errors = [];
+      // SMTP has no batch call; the pooled connection keeps one-by-one delivery cheap.
+      for (const [index, payload] of payloads.entries()) {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await send(payload);
+        if (result.error && isRateLimitError(result.error)) {
+          // Let the caller back off and retry the whole batch rather than failing the remainder.
+          return { data: [], errors: [], error: result.error };
+        }
+        data.push(result.data || {});
+        if (result.error) {
+          errors.push({ index, message: result.error.message, statusCode: result.error.statusCode });
+        }
+      }
+      return { data, errors, error: null };
+    },
+    async verify() {
+      await transporter.verify();
+    },
+  };
+}
 
-    return {
-      success: true,
-      durationMs,
-      data,
-      error: null,
-      payload: normalizedPayload,
+/**
+ * Development transport: stores every outgoing message instead of sending it.
+ * Captured messages are listed and rendered on the /inbox page.
+ */
+function createCaptureTransport() {
+  const send = async (payload) => {
+    const id = crypto.randomUUID();
+    const capturedAt = new Date().toISOString();
+    const message = {
+      id,
+      capturedAt,
+      from: payload.from,
+      to: Array.isArray(payload.to) ? payload.to : [payload.to].filter(Boolean),
+      subject: payload.subject,
+      headers: {
+        From: payload.from,
+        To: (Array.isArray(payload.to) ? payload.to : [payload.to]).join(', '),
+        Subject: payload.subject,
+        Date: new Date(capturedAt).toUTCString(),
+        'Message-ID': `<${id}@capture.local>`,
+        ...(payload.headers || {}),
+      },
+      html: payload.html || '',
+      text: payload.text || '',
+      tags: payload.tags || [],
     };
-  } catch (error) {
-    const durationMs = Math.round(performance.now() - start);
+    await storeCapturedEmail(message);
+    return { data: { id }, error: null };
+  };
 
-    logger.error('Unexpected failure while sending via Resend.', {
-      context,
-      durationMs,
+  return {
+    name: 'capture',
+    send,
+    async sendBatch(payloads) {
+      const data = [];
+      for (const payload of payloads) {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await send(payload);
+        data.push(result.data);
+      }
+      return { data, errors: [], error: null };
+    },
+    async verify() {},
+  };
+}
+
+async function storeCapturedEmail(message) {
+  if (analyticsUsesKv()) {
+    await withKvRetries(
+      () =>
+        kvClient.set(`${CAPTURED_EMAIL_PREFIX}${message.id}`, JSON.stringify(message), {
+          ex: CAPTURED_EMAIL_TTL_SECONDS,
+        }),
+      'captured-email-set',
+    );
+    await withKvRetries(() => kvClient.lpush(CAPTURED_EMAIL_LIST_KEY, message.id), 'captured-email-lpush');
+    await withKvRetries(
+      () => kvClient.ltrim(CAPTURED_EMAIL_LIST_KEY, 0, CAPTURED_EMAIL_LIMIT - 1),
+      'captured-email-ltrim',
+    );
+    return;
+  }
+  inMemoryCapturedEmails.unshift(message);
+  inMemoryCapturedEmails.length = Math.min(inMemoryCapturedEmails.length, CAPTURED_EMAIL_LIMIT);
+}
+
+async function getCapturedEmail(id) {
+  if (!id) {
+    return null;
+  }
+  if (analyticsUsesKv()) {
+    const raw = await withKvRetries(
+      () => kvClient.get(`${CAPTURED_EMAIL_PREFIX}${id}`),
+      'captured-email-get',
+    );
+    if (!raw) {
+      return null;
+    }
+    try {
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn('Failed to parse captured email.', { id, message: error?.message });
+      return null;
+    }
+  }
+  return inMemoryCapturedEmails.find((message) => message.id === id) || null;
+}
+
+/**
+ * Newest-first captured messages without their bodies, for the inbox list.
+ */
+async function listCapturedEmails(limit = 100) {
+  let messages;
+  if (analyticsUsesKv()) {
+    const ids = await withKvRetries(
+      () => kvClient.lrange(CAPTURED_EMAIL_LIST_KEY, 0, limit - 1),
+      'captured-email-lrange',
+    );
+    messages = [];
+    for (const id of ids || []) {
+      // eslint-disable-next-line no-await-in-loop
+      const message = await getCapturedEmail(String(id));
+      if (message) {
+        messages.push(message);
+      }
+    }
+  } else {
+    messages = inMemoryCapturedEmails.slice(0, limit);
+  }
+  return messages.map(({ id, capturedAt, from, to, subject }) => ({ id, capturedAt, from, to, subject }));
+}
+
+async function clearCapturedEmails() {
+  if (analyticsUsesKv()) {
+    const ids = await withKvRetries(
+      () => kvClient.lrange(CAPTURED_EMAIL_LIST_KEY, 0, -1),
+      'captured-email-lrange',
+    );
+    for (const id of ids || []) {
+      // eslint-disable-next-line no-await-in-loop
+      await withKvRetries(() => kvClient.del(`${CAPTURED_EMAIL_PREFIX}${id}`), 'captured-email-del');
+    }
+    await withKvRetries(() => kvClient.del(CAPTURED_EMAIL_LIST_KEY), 'captured-email-clear');
+    return;
+  }
+  inMemoryCapturedEmails.length = 0;
+}
+
+function createEmailTransport(name) {
+  if (name === 'capture') {
+    return createCaptureTransport();
+  }
+  if (name === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    });
+  }
+  return createResendTransport({ apiKey: process.env.RESEND_API_KEY });
+}
+
+/**
+ * Shared helper to send one email through the configured transport with consistent diagnostics.
+ */
+async function sendEmail(payload, context = {}) {
+  const start = performance.now();
+  const normalizedPayload = {
+    ...payload,
+    to: Array.isArray(payload.to) ? payload.to : [payload.to].filter(Boolean),
+  };
+
+  logger.info('Email send initiated.', {
+    context,
+    transport: emailTransport.name,
+    from: normalizedPayload.from,
+    to: normalizedPayload.to,
+    toCount: normalizedPayload.to.length,
+    subject: normalizedPayload.subject,
+    htmlLength: normalizedPayload.html?.length || 0,
+    textLength: normalizedPayload.text?.length || 0,
+  });
+
+  normalizedPayload.to.forEach((recipient, index) => {
+    logger.info('Email recipient target.', { context, index, email: recipient });
+  });
+
+  try {
+    const { data, error } = await emailTransport.send(normalizedPayload);
+    const durationMs = Math.round(performance.now() - start);
+
+    if (error) {
+      logger.error('Email transport error response.', {
+        context,
+        transport: emailTransport.name,
+        durationMs,
+        message: error?.message,
+        statusCode: error?.statusCode,
+        name: error?.name,
+        response: error?.response,
+      });
+
+      if (error?.statusCode === 401 || error?.statusCode === 403) {
+        emailTransportStatus = {
+          valid: false,
+          checkedAt: new Date().toISOString(),
+          error: error?.message || 'Authentication failed.',
+        };
+      }
+
+      return {
+        success: false,
+        durationMs,
+        error,
+        data: null,
+        payload: normalizedPayload,
+      };
+    }
+
+    logger.info('Email transport success response.', {
+      context,
+      transport: emailTransport.name,
+      durationMs,
+      statusCode: data?.statusCode || 202,
+      response: data,
+      warnings: data?.warnings,
+      metadata: data?.metadata,
+    });
+
+    if (data?.warnings) {
+      logger.warn('Email transport returned warnings.', { context, warnings: data.warnings });
+    }
+
+    if (data?.metadata) {
+      logger.info('Email transport metadata details.', { context, metadata: data.metadata });
+    }
+
+    emailTransportStatus = {
+      valid: true,
+      checkedAt: new Date().toISOString(),
+      error: null,
+    };
+
+    return {
+      success: true,
+      durationMs,
+      data,
+      error: null,
+      payload: normalizedPayload,
+    };
+  } catch (error) {
+    const durationMs = Math.round(performance.now() - start);
+
+    logger.error('Unexpected failure while sending email.', {
+      context,
+      transport: emailTransport.name,
+      durationMs,
       message: error?.message,
       statusCode: error?.statusCode,
       name: error?.name,
@@ -1480,7 +2820,7 @@ const { data, error } = await resendClient.emails.send(normalizedPayload);
     });
 
     if (error?.statusCode === 401 || error?.statusCode === 403) {
-      resendStatus = {
+      emailTransportStatus = {
         valid: false,
         checkedAt: new Date().toISOString(),
         error: error?.message || 'Authentication failed.',
@@ -1500,7 +2840,15 @@ const { data, error } = await resendClient.emails.send(normalizedPayload);
 /**
  * Build responsive, inline-styled email template.
  */
-function buildEmailTemplate(title, content, previewText = '', unsubscribeLink = '', subscriberName = '') {
+function buildEmailTemplate(
+  title,
+  content,
+  previewText = '',
+  unsubscribeLink = '',
+  subscriberName = '',
+  archiveUrl = '',
+  preferencesLink = '',
+) {
   const safeName = escapeHtml(subscriberName);
   const showGreeting = Boolean(safeName);
   const safeUnsubscribeLink = unsubscribeLink || '';
@@ -1524,6 +2872,13 @@ function buildEmailTemplate(title, content, previewText = '', unsubscribeLink =
     <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="100%" style="background-color:#f6f6f6;padding:24px 0;">
       <tr>
         <td align="center">
+          ${
+            archiveUrl
+              ? `<p style="margin:0 0 12px 0;font-family:Arial,Helvetica,sans-serif;font-size:12px;color:#6b7280;">
+                  <a href="${archiveUrl}" style="color:#6b7280;text-decoration:underline;">View in browser</a>
+                </p>`
+              : ''
+          }
           <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="640" style="max-width:640px;background-color:#ffffff;border-radius:12px;overflow:hidden;box-shadow:0 8px 24px rgba(149,157,165,0.2);">
             <tr>
               <td style="padding:32px 32px 16px 32px;">
@@ -1540,6 +2895,15 @@ function buildEmailTemplate(title, content, previewText = '', unsubscribeLink =
               <td style="padding:24px 32px 32px 32px;font-family:Arial,Helvetica,sans-serif;font-size:12px;line-height:1.5;color:#6b7280;text-align:center;background-color:#f9fafb;">
                 <p style="margin:0;">You are receiving this email because you subscribed to our newsletter.</p>
                 <p style="margin:8px 0 0 0;">If this was a mistake you can ignore this message or unsubscribe.</p>
+                ${
+                  preferencesLink
+                    ? `<p style="margin:12px 0 0 0;">
+                        <a href="${preferencesLink}" style="color:#2563eb;text-decoration:underline;">
+                          Manage your preferences
+                        </a>
+                      </p>`
+                    : ''
+                }
                 ${
                   safeUnsubscribeLink
                     ? `<p style="margin:12px 0 0 0;">
@@ -1561,26 +2925,25 @@ function buildEmailTemplate(title, content, previewText = '', unsubscribeLink =
 }
 
 /**
- * Best-effort check to confirm the Resend API key is valid.
+ * Best-effort check to confirm the configured email transport accepts our credentials.
  */
-async function verifyResendCredentials() {
+async function verifyEmailTransport() {
   try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-await resendClient.apiKeys.list();
-    resendStatus = {
+    await emailTransport.verify();
+    emailTransportStatus = {
       valid: true,
       checkedAt: new Date().toISOString(),
       error: null,
     };
-    logger.info('Resend API key verified with Resend API.');
+    logger.info('Email transport credentials verified.', { transport: emailTransport.name });
   } catch (error) {
-    resendStatus = {
+    emailTransportStatus = {
       valid: false,
       checkedAt: new Date().toISOString(),
       error: error?.message || String(error),
     };
-    logger.warn('Unable to verify Resend API key during startup.', {
+    logger.warn('Unable to verify email transport during startup.', {
+      transport: emailTransport.name,
       message: error?.message,
       statusCode: error?.statusCode,
       name: error?.name,
@@ -1594,7 +2957,7 @@ verifyStorageConnection().catch((error) => {
   });
 });
 
-verifyResendCredentials();
+verifyEmailTransport();
 
 app.set('trust proxy', 1);
 
@@ -1607,7 +2970,17 @@ const corsConfig = {
 app.use(cors(corsConfig));
 app.options('*', cors(corsConfig));
 
-app.use(express.json({ limit: '5mb' }));
+app.use(
+  express.json({
+    limit: '5mb',
+    // Webhook signatures are computed over the exact bytes received.
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith('/api/webhooks/')) {
+        req.rawBody = buf.toString('utf8');
+      }
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: true }));
 
 const sessionConfig = {
@@ -1709,11 +3082,21 @@ function ensureAuthenticatedApi(req, res, next) {
   res.status(401).json({ message: 'Authentication required.' });
 }
 
+const CAMPAIGN_PROGRESS_PATH_PATTERN = /^\/campaigns\/[^/]+\/(status|events)$/;
+
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
   standardHeaders: true,
   legacyHeaders: false,
+  // Provider webhooks arrive in bursts (one event per recipient) and are authenticated by signature.
+  // The dashboard follows a send through the status/events routes for as long as it runs, which
+  // would exhaust the window on any large list; those are only exempt for a signed-in session.
+  skip: (req) =>
+    req.path.startsWith('/webhooks/') ||
+    (Boolean(req.session?.isAuthenticated) &&
+      req.method === 'GET' &&
+      CAMPAIGN_PROGRESS_PATH_PATTERN.test(req.path)),
   handler: (req, res) => {
     logger.warn(`Rate limit exceeded for IP ${req.ip}`);
     res.status(429).json({ message: 'Too many requests. Please slow down and try again later.' });
@@ -1726,6 +3109,8 @@ const publicLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: (req) => req.ip,
+  // The preference center makes several calls per visit and has its own, higher limit below.
+  skip: (req) => req.path.startsWith('/preferences'),
   handler: (req, res) => {
     logger.warn('Public subscription rate limit exceeded.', {
       ip: req.ip,
@@ -1737,6 +3122,24 @@ const publicLimiter = rateLimit({
   },
 });
 
+const preferencesLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip,
+  handler: (req, res) => {
+    logger.warn('Preference center rate limit exceeded.', {
+      ip: req.ip,
+      path: req.originalUrl,
+    });
+    res
+      .status(429)
+      .json({ success: false, error: 'Too many requests. Please try again later.' });
+  },
+});
+
+app.use('/api/public/preferences', preferencesLimiter);
 app.use('/api/public', publicLimiter);
 app.use('/api', apiLimiter);
 
@@ -1907,6 +3310,16 @@ class SubscriberStorageError extends Error {
   }
 }
 
+class CampaignSendError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'CampaignSendError';
+    this.code = options.code || 'campaign-error';
+    this.statusCode = options.statusCode || 400;
+    this.details = options.details || {};
+  }
+}
+
 function subscriberHashKey(normalizedEmail) {
   return `${SUBSCRIBER_HASH_PREFIX}${normalizedEmail}`;
 }
@@ -1932,6 +3345,11 @@ function normalizeRecordShape(rawRecord = {}) {
   const record = { ...rawRecord };
   record.subscribedAt = record.subscribedAt || record.joinedAt || new Date().toISOString();
   record.joinedAt = record.joinedAt || record.subscribedAt;
+  record.status = SUBSCRIBER_STATUSES.includes(record.status) ? record.status : 'active';
+  record.lists = Array.isArray(record.lists) && record.lists.length ? record.lists : [DEFAULT_LIST_ID];
+  record.tags = Array.isArray(record.tags) ? record.tags : [];
+  record.customFields =
+    record.customFields && typeof record.customFields === 'object' ? record.customFields : {};
   return record;
 }
 
@@ -2023,6 +3441,8 @@ async function addSubscriber(email, name = null, metadata = {}) {
     ...(name ? { name } : {}),
     ...additionalMetadata,
   });
+  record.statusChangedAt = record.statusChangedAt || timestamp;
+  record.linkId = record.linkId || generateSubscriberLinkId();
 
   if (subscriberStoreMode === 'kv' && kvClient) {
     try {
@@ -2055,6 +3475,8 @@ await withKvRetries(
         );
         throw writeError;
       }
+      await indexSubscriberStatus(normalized, record.status);
+      await saveSubscriberLinkId(normalized, record.linkId);
     } catch (error) {
       logSubscriberEvent('error', 'Failed to add subscriber to Vercel KV.', {
         email: normalized,
@@ -2067,6 +3489,7 @@ await withKvRetries(
     }
   } else {
     inMemorySubscribers.set(normalized, record);
+    await saveSubscriberLinkId(normalized, record.linkId);
   }
 
   let countAfterAdd;
@@ -2107,6 +3530,8 @@ async function removeSubscriber(email) {
   }
 
   logSubscriberEvent('info', 'Subscriber removal requested.', { email: normalized });
+  // Erasure also drops the index entry that maps the subscriber's links to their address.
+  const linkId = (await fetchSubscriberRecord(normalized))?.linkId;
 
   if (subscriberStoreMode === 'kv' && kvClient) {
     try {
@@ -2124,6 +3549,10 @@ const removed = await withKvRetries(
         () => kvClient.del(subscriberHashKey(normalized)),
         'del-subscriber-hash',
       );
+      await indexSubscriberStatus(normalized, 'active');
+      if (linkId) {
+        await deleteSubscriberLinkId(linkId);
+      }
       const total = await withKvRetries(
         () => kvClient.scard(SUBSCRIBERS_SET_KEY),
         'scard-after-remove',
@@ -2151,6 +3580,9 @@ const removed = await withKvRetries(
   }
 
   const removed = inMemorySubscribers.delete(normalized);
+  if (linkId) {
+    await deleteSubscriberLinkId(linkId);
+  }
   if (removed) {
     const countAfterRemove = inMemorySubscribers.size;
     logSubscriberEvent('info', 'Subscriber removed from in-memory storage.', {
@@ -2208,971 +3640,5177 @@ const exists = await withKvRetries(
   return exists;
 }
 
-async function sendNewsletterToSubscriber(subscriber, options) {
-  const { title, sanitizedContent, previewSnippet, strippedContent, unsubscribeBase } = options;
-
-  const recipientEmail = normalizeEmail(subscriber.email);
-  if (!recipientEmail) {
-    return {
-      success: false,
-      error: new Error('Stored subscriber email is invalid.'),
-      durationMs: 0,
-      attempt: 0,
-      retryDelays: [],
-      unsubscribeLink: null,
-      recipientEmail: subscriber.email,
-    };
-  }
+/**
+ * Subscriber lifecycle: each record carries `status`, when and why it last changed, and a short
+ * `statusHistory`. Unsubscribes, bounces and complaints change the status instead of deleting the
+ * record, so a later form post or manual add cannot silently bring the address back. Only `active`
+ * subscribers are mailed and counted.
+ */
+function isActiveSubscriber(subscriber) {
+  return normalizeRecordShape(subscriber)?.status === 'active';
+}
 
-  const unsubscribeLink = `${unsubscribeBase}/unsubscribe?email=${encodeURIComponent(
-    recipientEmail,
-  )}`;
+function subscriberStatusSetKey(status) {
+  return `${SUBSCRIBER_STATUS_SET_PREFIX}${status}`;
+}
 
-  const personalizedHtml = buildEmailTemplate(
-    title,
-    sanitizedContent,
-    previewSnippet,
-    unsubscribeLink,
-    subscriber.name || '',
+/**
+ * Keep the KV status sets in line with a record's status. Pass `active` to drop the address from all of them.
+ */
+async function indexSubscriberStatus(normalizedEmail, status) {
+  if (subscriberStoreMode !== 'kv' || !kvClient) {
+    return;
+  }
+  const inactiveStatuses = SUBSCRIBER_STATUSES.filter((entry) => entry !== 'active');
+  await withKvRetries(
+    () =>
+      Promise.all(
+        inactiveStatuses.map((entry) =>
+          entry === status
+            ? kvClient.sadd(subscriberStatusSetKey(entry), normalizedEmail)
+            : kvClient.srem(subscriberStatusSetKey(entry), normalizedEmail),
+        ),
+      ),
+    'index-subscriber-status',
   );
+}
 
-  const plainTextBody = `${
-    previewSnippet ? `${previewSnippet}
-
-` : ''
-  }${strippedContent}
-
-Unsubscribe: ${unsubscribeLink}`;
-
-  const payload = {
-    from: senderEmail,
-    to: [recipientEmail],
-    subject: title,
-    html: personalizedHtml,
-    text: plainTextBody,
-  };
-
-  const baseContext = {
-    endpoint: 'send-newsletter',
-    subject: title,
-    recipient: recipientEmail,
-    previewTextLength: previewSnippet.length,
-  };
-
-  let attempt = 0;
-  const retryDelays = [];
-  let lastResult = null;
-
-  while (attempt <= RESEND_MAX_RATE_LIMIT_RETRIES) {
-    const attemptNumber = attempt + 1;
-    const sendResult = await sendWithResend(payload, { ...baseContext, attempt: attemptNumber });
-    lastResult = sendResult;
-
-    if (sendResult.success && sendResult.data?.id) {
-      return {
-        success: true,
-        data: sendResult.data,
-        durationMs: sendResult.durationMs,
-        attempt: attemptNumber,
-        retryDelays,
-        unsubscribeLink,
-        recipientEmail,
-      };
-    }
-
-    const error = sendResult.error || new Error('Unknown Resend error.');
-
-    if (isRateLimitError(error) && attempt < RESEND_MAX_RATE_LIMIT_RETRIES) {
-      const backoffMs =
-        RATE_LIMIT_BACKOFF_SCHEDULE_MS[attempt] ||
-        RATE_LIMIT_BACKOFF_SCHEDULE_MS[RATE_LIMIT_BACKOFF_SCHEDULE_MS.length - 1];
-      retryDelays.push(backoffMs);
-      logger.warn('Resend rate limit encountered; retry scheduled.', {
-        email: recipientEmail,
-        attempt: attemptNumber,
-        backoffMs,
-      });
-      await sleep(backoffMs);
-      attempt += 1;
-      continue;
-    }
-
-    return {
-      success: false,
-      error,
-      durationMs: sendResult.durationMs,
-      attempt: attemptNumber,
-      retryDelays,
-      resendResponse: sendResult.data,
-      unsubscribeLink,
-      recipientEmail,
-    };
+/**
+ * Merge `updates` into an existing subscriber record. Non-string values are stored as JSON in KV.
+ */
+async function writeSubscriberFields(normalizedEmail, updates, label = 'hset-subscriber') {
+  if (subscriberStoreMode !== 'kv' || !kvClient) {
+    inMemorySubscribers.set(normalizedEmail, { ...inMemorySubscribers.get(normalizedEmail), ...updates });
+    return;
+  }
+  const kvPayload = {};
+  for (const [key, value] of Object.entries(updates)) {
+    kvPayload[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  try {
+    await withKvRetries(() => kvClient.hset(subscriberHashKey(normalizedEmail), kvPayload), label);
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to update subscriber in Vercel KV.', {
+      email: normalizedEmail,
+      fields: Object.keys(updates),
+      message: error?.message,
+    });
+    throw new SubscriberStorageError('Failed to update subscriber in Vercel KV.', {
+      cause: error,
+      code: 'kv-write-failed',
+    });
   }
-
-  return {
-    success: false,
-    error: lastResult?.error || new Error('Exceeded maximum retry attempts.'),
-    durationMs: lastResult?.durationMs ?? 0,
-    attempt: RESEND_MAX_RATE_LIMIT_RETRIES + 1,
-    retryDelays:
-      RATE_LIMIT_BACKOFF_SCHEDULE_MS.slice(0, RESEND_MAX_RATE_LIMIT_RETRIES) ||
-      RATE_LIMIT_BACKOFF_SCHEDULE_MS,
-    resendResponse: lastResult?.data,
-    unsubscribeLink,
-    recipientEmail,
-  };
 }
 
 /**
- * Extract the actual email address from a value that may include a display name.
+ * Subscriber link ids: a random id stored on the record as `linkId` and indexed back to the address,
+ * so links in emails can name the subscriber without carrying the address.
  */
-function extractEmailAddress(value) {
-  if (!value || typeof value !== 'string') {
-    return null;
-  }
+function generateSubscriberLinkId() {
+  return crypto.randomBytes(16).toString('base64url');
+}
 
-  const trimmed = value.trim();
-  const hasLt = trimmed.includes('<');
-  const hasGt = trimmed.includes('>');
+async function saveSubscriberLinkId(normalizedEmail, linkId) {
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    await withKvRetries(
+      () => kvClient.set(`${SUBSCRIBER_LINK_ID_PREFIX}${linkId}`, normalizedEmail),
+      'set-subscriber-link-id',
+    );
+    return;
+  }
+  inMemorySubscriberLinkIds.set(linkId, normalizedEmail);
+}
 
-  if (!hasLt && !hasGt) {
-    return trimmed;
+async function deleteSubscriberLinkId(linkId) {
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    await withKvRetries(
+      () => kvClient.del(`${SUBSCRIBER_LINK_ID_PREFIX}${linkId}`),
+      'del-subscriber-link-id',
+    );
+    return;
   }
+  inMemorySubscriberLinkIds.delete(linkId);
+}
 
-  if (!hasLt || !hasGt) {
+async function findEmailByLinkId(linkId) {
+  if (!linkId) {
     return null;
   }
+  const email =
+    subscriberStoreMode === 'kv' && kvClient
+      ? await withKvRetries(
+          () => kvClient.get(`${SUBSCRIBER_LINK_ID_PREFIX}${linkId}`),
+          'get-subscriber-link-id',
+        )
+      : inMemorySubscriberLinkIds.get(linkId);
+  return typeof email === 'string' && email ? email : null;
+}
 
-  const start = trimmed.lastIndexOf('<');
-  const end = trimmed.indexOf('>', start);
-
-  if (start === -1 || end === -1 || end <= start) {
+/**
+ * Return the subscriber's link id, assigning one to records stored before link ids existed.
+ * Sets `linkId` on the passed object too. Returns null for an unknown address.
+ */
+async function ensureSubscriberLinkId(subscriber) {
+  if (subscriber.linkId) {
+    return subscriber.linkId;
+  }
+  const normalized = normalizeEmail(subscriber.email);
+  const record = normalized ? await fetchSubscriberRecord(normalized) : null;
+  if (!record) {
     return null;
   }
+  if (!record.linkId) {
+    record.linkId = generateSubscriberLinkId();
+    await writeSubscriberFields(normalized, { linkId: record.linkId }, 'hset-subscriber-link-id');
+    await saveSubscriberLinkId(normalized, record.linkId);
+  }
+  subscriber.linkId = record.linkId;
+  return record.linkId;
+}
 
-  const suffix = trimmed.slice(end + 1).trim();
-  if (suffix.length > 0) {
+/**
+ * Move a subscriber to `status`, recording when and why. `fields` are stored on the record alongside.
+ * Returns null when the address is unknown, otherwise `{ record, changed, previousStatus }`.
+ */
+async function setSubscriberStatus(email, status, { reason = '', fields = {} } = {}) {
+  if (!SUBSCRIBER_STATUSES.includes(status)) {
+    throw new SubscriberStorageError(`Unknown subscriber status "${status}".`, {
+      code: 'invalid-status',
+    });
+  }
+  const normalized = normalizeEmail(email);
+  const current = normalized ? await fetchSubscriberRecord(normalized) : null;
+  if (!current) {
     return null;
   }
+  if (current.status === status && Object.keys(fields).length === 0) {
+    return { record: current, changed: false, previousStatus: current.status };
+  }
+
+  const changedAt = new Date().toISOString();
+  const updates = { ...fields };
+  if (current.status !== status) {
+    const history = Array.isArray(current.statusHistory) ? current.statusHistory : [];
+    Object.assign(updates, {
+      status,
+      statusChangedAt: changedAt,
+      statusReason: reason,
+      statusHistory: [
+        ...history,
+        { status, from: current.status, at: changedAt, ...(reason ? { reason } : {}) },
+      ].slice(-SUBSCRIBER_STATUS_HISTORY_LIMIT),
+    });
+  }
 
-  const email = trimmed.slice(start + 1, end).trim();
-  return email || null;
+  await writeSubscriberFields(normalized, updates, 'hset-subscriber-status');
+  try {
+    await indexSubscriberStatus(normalized, status);
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to update subscriber status in Vercel KV.', {
+      email: normalized,
+      status,
+      message: error?.message,
+    });
+    throw new SubscriberStorageError('Failed to update subscriber status in Vercel KV.', {
+      cause: error,
+      code: 'kv-write-failed',
+    });
+  }
+
+  const record = { ...current, ...updates };
+  if (current.status !== status) {
+    logSubscriberEvent('info', 'Subscriber status changed.', {
+      email: normalized,
+      from: current.status,
+      to: status,
+      reason,
+    });
+    recordStorageOperation('set-subscriber-status', { email: normalized, status });
+  }
+  return { record, changed: current.status !== status, previousStatus: current.status };
 }
 
 /**
- * Validate an email address, allowing optional display name wrapper.
+ * Reader preferences, set from the preference center and stored on the subscriber record:
+ *   lists       - the mailing lists they receive (see the mailing list helpers)
+ *   topics      - topic ids from NEWSLETTER_TOPICS; missing or empty means every topic
+ *   frequency   - `every` (each regular issue) or `digest` (only issues sent as a digest)
+ *   pausedUntil - ISO date; nothing is sent before it
  */
-function isValidEmail(value) {
-  const email = extractEmailAddress(value);
-  if (!email) {
+function isSubscriberPaused(subscriber, now = Date.now()) {
+  const pausedUntil = Date.parse(subscriber?.pausedUntil || '');
+  return Number.isFinite(pausedUntil) && pausedUntil > now;
+}
+
+/**
+ * Whether a subscriber should get a campaign aimed at `{ topic, digest }`.
+ */
+function subscriberWantsCampaign(subscriber, { topic = '', digest = false } = {}) {
+  if (isSubscriberPaused(subscriber)) {
     return false;
   }
-  return /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/.test(email);
+  if ((subscriber.frequency === 'digest') !== Boolean(digest)) {
+    return false;
+  }
+  const topics = Array.isArray(subscriber.topics) ? subscriber.topics : [];
+  return !topic || topics.length === 0 || topics.includes(topic);
 }
 
 /**
- * GET subscribers list.
+ * Recipients of a queued send who should no longer get it, as a Map of address -> reason: their
+ * current status when it isn't `active`, `removed` when the record is gone, or `paused`. In KV the
+ * status comes from the status sets, so a batch costs one lookup per set plus one per recipient for
+ * `pausedUntil`.
  */
-app.get('/api/session', ensureAuthenticatedApi, (req, res) => {
-  res.json({
-    sessionId: req.sessionID,
-    isAuthenticated: Boolean(req.session?.isAuthenticated),
-    username: req.session?.username || null,
-    rememberMe: Boolean(req.session?.rememberMe),
-    loginAt: req.session?.loginAt || null,
-    createdAt: req.session?.createdAt || null,
-    cookie: {
-      maxAge: req.session?.cookie?.maxAge ?? null,
-      expires: req.session?.cookie?.expires ?? null,
-      secure: req.session?.cookie?.secure ?? process.env.NODE_ENV === 'production',
-      sameSite: req.session?.cookie?.sameSite ?? 'lax',
-      httpOnly: true,
-    },
-    store: {
-      mode: sessionStoreMode,
-      ready: sessionHealth.ready,
-      error: sessionHealth.error,
-      lastErrorAt: sessionHealth.lastErrorAt,
-      lastConnectedAt: sessionHealth.lastConnectedAt,
-      redisUrlPresent: sessionHealth.redisUrlPresent,
-    },
-    lifecycle: { ...sessionLifecycle },
+async function findUnsendableRecipients(emails) {
+  const unsendable = new Map();
+  if (!emails.length) {
+    return unsendable;
+  }
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    const inactiveStatuses = SUBSCRIBER_STATUSES.filter((status) => status !== 'active');
+    const [stored, ...memberships] = await withKvRetries(
+      () =>
+        Promise.all([
+          kvClient.smismember(SUBSCRIBERS_SET_KEY, emails),
+          ...inactiveStatuses.map((status) => kvClient.smismember(subscriberStatusSetKey(status), emails)),
+        ]),
+      'smismember-send-recipients',
+    );
+    const pausedUntil = await withKvRetries(
+      () => Promise.all(emails.map((email) => kvClient.hget(subscriberHashKey(email), 'pausedUntil'))),
+      'hget-send-recipients-paused',
+    );
+    emails.forEach((email, index) => {
+      const status = inactiveStatuses.find((_, statusIndex) => memberships[statusIndex][index]);
+      if (!stored[index]) {
+        unsendable.set(email, 'removed');
+      } else if (status) {
+        unsendable.set(email, status);
+      } else if (isSubscriberPaused({ pausedUntil: pausedUntil[index] })) {
+        unsendable.set(email, 'paused');
+      }
+    });
+    return unsendable;
+  }
+  emails.forEach((email) => {
+    const record = normalizeRecordShape(inMemorySubscribers.get(email) || null);
+    if (!record) {
+      unsendable.set(email, 'removed');
+    } else if (record.status !== 'active') {
+      unsendable.set(email, record.status);
+    } else if (isSubscriberPaused(record)) {
+      unsendable.set(email, 'paused');
+    }
   });
-});
+  return unsendable;
+}
 
 /**
- * GET subscribers list.
+ * What the preference center shows. The address is left out: anyone holding the link can open it.
  */
-app.get('/api/subscribers', ensureAuthenticatedApi, async (_, res) => {
-  try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-const subscribers = await getSubscribers();
-    res.json({
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
-      lastOperation: storageLastOperationDetails,
-      subscribers,
-      count: subscribers.length,
-    });
-  } catch (error) {
-    logSubscriberEvent('error', 'Failed to read subscribers for API response.', {
-      message: error?.message,
-      code: error?.code,
-    });
-    const message =
-      error instanceof SubscriberStorageError
-        ? 'Unable to load subscribers from storage. Please verify the Vercel KV configuration.'
-        : 'Failed to load subscribers.';
-    res.status(500).json({ message });
-  }
-});
+function serializeSubscriberPreferences(subscriber) {
+  return {
+    name: subscriber.name || '',
+    status: subscriber.status,
+    lists: subscriber.lists,
+    topics: Array.isArray(subscriber.topics) ? subscriber.topics : [],
+    frequency: SUBSCRIBER_FREQUENCIES.includes(subscriber.frequency) ? subscriber.frequency : 'every',
+    pausedUntil: isSubscriberPaused(subscriber) ? subscriber.pausedUntil : null,
+  };
+}
 
 /**
- * Add a new subscriber.
+ * Turn a preference center submission into record fields. Returns `{ updates }` or `{ error }`.
+ * `lists` must name at least one of `listIds`. `pauseDays` is one of PAUSE_DURATION_DAYS, or 0 to
+ * resume right away; omit it to leave a pause as is.
  */
-app.post('/api/subscribers', ensureAuthenticatedApi, async (req, res) => {
-  const { email, name } = req.body;
-
-  if (!email || !isValidEmail(email)) {
-    res.status(400).json({ message: 'Please provide a valid email address.' });
-    return;
+function parsePreferenceUpdate(body = {}, { listIds = [] } = {}) {
+  const updates = {};
+  if (body.lists !== undefined) {
+    if (
+      !Array.isArray(body.lists) ||
+      body.lists.length === 0 ||
+      body.lists.some((listId) => !listIds.includes(listId))
+    ) {
+      return { error: 'Pick at least one list, or unsubscribe instead.' };
+    }
+    updates.lists = [...new Set(body.lists)];
   }
-
-  const canonicalEmail = extractEmailAddress(email);
-  const sanitizedName = sanitizeName(typeof name === 'string' ? name : '');
-  const normalizedEmail = normalizeEmail(canonicalEmail);
-
-  try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-if (await subscriberExists(canonicalEmail)) {
-      logSubscriberEvent('warn', 'Attempt to add duplicate subscriber.', { email: normalizedEmail });
-      res.status(409).json({
-        message: 'This email is already subscribed.',
-        storage: subscriberStoreMode,
-        kvConnectionHealthy,
-      });
-      return;
+  if (body.name !== undefined) {
+    updates.name = sanitizeName(typeof body.name === 'string' ? body.name : '');
+  }
+  if (body.topics !== undefined) {
+    const knownTopics = NEWSLETTER_TOPICS.map((topic) => topic.id);
+    if (!Array.isArray(body.topics) || body.topics.some((topic) => !knownTopics.includes(topic))) {
+      return { error: 'Pick topics from the list.' };
+    }
+    updates.topics = [...new Set(body.topics)];
+  }
+  if (body.frequency !== undefined) {
+    if (!SUBSCRIBER_FREQUENCIES.includes(body.frequency)) {
+      return { error: `Frequency must be one of: ${SUBSCRIBER_FREQUENCIES.join(', ')}.` };
+    }
+    updates.frequency = body.frequency;
+  }
+  if (body.pauseDays !== undefined) {
+    const pauseDays = Number(body.pauseDays);
+    if (pauseDays === 0) {
+      updates.pausedUntil = '';
+    } else if (PAUSE_DURATION_DAYS.includes(pauseDays)) {
+      updates.pausedUntil = new Date(Date.now() + pauseDays * 24 * 60 * 60 * 1000).toISOString();
+    } else {
+      return { error: `Pauses last ${PAUSE_DURATION_DAYS.join(', ')} days, or 0 to resume.` };
     }
+  }
+  if (Object.keys(updates).length === 0) {
+    return { error: 'Nothing to update.' };
+  }
+  updates.preferencesUpdatedAt = new Date().toISOString();
+  return { updates };
+}
 
-    const newSubscriber = await addSubscriber(canonicalEmail, sanitizedName || null);
-    const verification = await verifySubscriberPersistence(normalizedEmail);
+/**
+ * Mailing lists. A subscriber record lists the ids it belongs to in `lists`; the list records hold
+ * the display name and the sender name used in the From header. The default list always exists,
+ * stored only once it has been edited.
+ */
+function defaultMailingList() {
+  return { id: DEFAULT_LIST_ID, name: DEFAULT_LIST_NAME, senderName: '', createdAt: null };
+}
 
-    if (!verification.verified) {
-      logSubscriberEvent('error', 'Subscriber persistence verification failed.', {
-        email: normalizedEmail,
-        attempts: verification.attempts,
-      });
-      res.status(500).json({
-        message:
-          'Subscriber could not be persisted to storage. Please try again once the storage service is available.',
-        storage: subscriberStoreMode,
-        kvConnectionHealthy,
-        verification,
-      });
-      return;
-    }
+async function getMailingLists() {
+  let stored;
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    const ids = await withKvRetries(() => kvClient.smembers(MAILING_LISTS_SET_KEY), 'smembers-lists');
+    const records = await Promise.all(
+      (ids || []).map((id) =>
+        withKvRetries(() => kvClient.get(`${MAILING_LIST_PREFIX}${id}`), 'get-list'),
+      ),
+    );
+    stored = records
+      .map((raw) => {
+        try {
+          return typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+          logger.warn('Failed to parse mailing list.', { message: error?.message });
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } else {
+    stored = Array.from(inMemoryMailingLists.values()).map((list) => ({ ...list }));
+  }
+  const others = stored
+    .filter((list) => list.id !== DEFAULT_LIST_ID)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return [stored.find((list) => list.id === DEFAULT_LIST_ID) || defaultMailingList(), ...others];
+}
 
-    const totalCount = await getSubscriberCount({ record: false });
+async function getMailingList(id) {
+  return (await getMailingLists()).find((list) => list.id === id) || null;
+}
 
-    logSubscriberEvent('info', 'Subscriber added via API.', {
-      email: normalizedEmail,
-      count: totalCount,
-      verified: verification.verified,
-    });
+async function saveMailingList(list) {
+  const record = { ...list, updatedAt: new Date().toISOString() };
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    await withKvRetries(
+      () => kvClient.set(`${MAILING_LIST_PREFIX}${record.id}`, JSON.stringify(record)),
+      'set-list',
+    );
+    await withKvRetries(() => kvClient.sadd(MAILING_LISTS_SET_KEY, record.id), 'sadd-list');
+  } else {
+    inMemoryMailingLists.set(record.id, record);
+  }
+  recordStorageOperation('save-mailing-list', { id: record.id });
+  return record;
+}
 
-    await recordSubscriberGrowthSnapshot(totalCount);
+async function deleteMailingList(id) {
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    await withKvRetries(() => kvClient.del(`${MAILING_LIST_PREFIX}${id}`), 'del-list');
+    await withKvRetries(() => kvClient.srem(MAILING_LISTS_SET_KEY, id), 'srem-list');
+  } else {
+    inMemoryMailingLists.delete(id);
+  }
+  recordStorageOperation('delete-mailing-list', { id });
+}
 
-    res.status(201).json({
-      subscriber: verification.record || newSubscriber,
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
-      verification,
-      count: totalCount,
-    });
-  } catch (error) {
-    logSubscriberEvent('error', 'Failed to add subscriber.', {
-      email: normalizedEmail,
-      message: error?.message,
-      code: error?.code,
-    });
-    const message =
-      error instanceof SubscriberStorageError
-        ? 'Could not add subscriber because storage is unavailable. Please verify the Vercel KV connection.'
-        : 'Could not add subscriber. Please try again later.';
-    res.status(500).json({
-      message,
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
-      details: error?.message,
-    });
+function subscriberInLists(subscriber, listIds) {
+  return subscriber.lists.some((listId) => listIds.includes(listId));
+}
+
+/**
+ * Add an existing subscriber to more lists. Returns true when the membership changed.
+ */
+async function addSubscriberToLists(subscriber, listIds) {
+  const lists = [...new Set([...subscriber.lists, ...listIds])];
+  if (lists.length === subscriber.lists.length) {
+    return false;
   }
-});
+  await writeSubscriberFields(normalizeEmail(subscriber.email), { lists }, 'hset-subscriber-lists');
+  logSubscriberEvent('info', 'Subscriber added to mailing lists.', {
+    email: normalizeEmail(subscriber.email),
+    lists,
+  });
+  return true;
+}
 
 /**
- * Remove an existing subscriber.
+ * The From header for a list: its sender name in front of SENDER_EMAIL, or the bare address.
  */
-app.delete('/api/subscribers/:encodedEmail', ensureAuthenticatedApi, async (req, res) => {
-  const email = decodeURIComponent(req.params.encodedEmail);
-  const normalizedTarget = extractEmailAddress(email);
+function formatListSender(list) {
+  const name = (list?.senderName || '').replace(/["<>]/g, '').trim();
+  return name ? `"${name}" <${extractEmailAddress(senderEmail)}>` : senderEmail;
+}
 
-  if (!normalizedTarget) {
-    res.status(400).json({
-      message: 'Invalid email address provided.',
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
-    });
-    return;
+/**
+ * Custom fields. Definitions give each key a label and a type; subscriber records keep their values
+ * in `customFields`, keyed by field key. Fields marked `public` may be filled in by sign-up forms.
+ */
+async function getCustomFields() {
+  let stored;
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    const keys = await withKvRetries(() => kvClient.smembers(CUSTOM_FIELDS_SET_KEY), 'smembers-fields');
+    const records = await Promise.all(
+      (keys || []).map((key) =>
+        withKvRetries(() => kvClient.get(`${CUSTOM_FIELD_PREFIX}${key}`), 'get-field'),
+      ),
+    );
+    stored = records
+      .map((raw) => {
+        try {
+          return typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+          logger.warn('Failed to parse custom field.', { message: error?.message });
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } else {
+    stored = Array.from(inMemoryCustomFields.values()).map((field) => ({ ...field }));
   }
+  return stored.sort((a, b) => a.label.localeCompare(b.label));
+}
 
-  try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-const removed = await removeSubscriber(normalizedTarget);
-    if (!removed) {
-      res.status(404).json({
-        message: 'Subscriber not found.',
-        storage: subscriberStoreMode,
-        kvConnectionHealthy,
-      });
-      return;
-    }
+async function getCustomField(key) {
+  return (await getCustomFields()).find((field) => field.key === key) || null;
+}
 
-    const verification = await verifySubscriberRemoval(normalizedTarget);
-    if (!verification.confirmed) {
+async function saveCustomField(field) {
+  const record = { ...field, updatedAt: new Date().toISOString() };
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    await withKvRetries(
+      () => kvClient.set(`${CUSTOM_FIELD_PREFIX}${record.key}`, JSON.stringify(record)),
+      'set-field',
+    );
+    await withKvRetries(() => kvClient.sadd(CUSTOM_FIELDS_SET_KEY, record.key), 'sadd-field');
+  } else {
+    inMemoryCustomFields.set(record.key, record);
+  }
+  recordStorageOperation('save-custom-field', { key: record.key });
+  return record;
+}
+
+async function deleteCustomField(key) {
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    await withKvRetries(() => kvClient.del(`${CUSTOM_FIELD_PREFIX}${key}`), 'del-field');
+    await withKvRetries(() => kvClient.srem(CUSTOM_FIELDS_SET_KEY, key), 'srem-field');
+  } else {
+    inMemoryCustomFields.delete(key);
+  }
+  recordStorageOperation('delete-custom-field', { key });
+}
+
+/**
+ * Convert a submitted value to the field's type. Empty values clear the field and come back as
+ * `{ value: null }`; anything that does not fit the type returns `{ error }`.
+ */
+function coerceCustomFieldValue(field, rawValue) {
+  if (rawValue === null || rawValue === undefined || rawValue === '') {
+    return { value: null };
+  }
+  switch (field.type) {
+    case 'number': {
+      const value = typeof rawValue === 'number' ? rawValue : Number(String(rawValue).trim());
+      if (!Number.isFinite(value) || String(rawValue).trim() === '') {
+        return { error: `${field.label} must be a number.` };
+      }
+      return { value };
+    }
+    case 'date': {
+      const value = String(rawValue).trim();
+      const parsed = new Date(`${value}T00:00:00Z`);
+      // Rejects impossible dates such as 2024-02-30, which Date would roll over.
+      if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+        return { error: `${field.label} must be a date in YYYY-MM-DD format.` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof rawValue === 'boolean') {
+        return { value: rawValue };
+      }
+      const value = String(rawValue).trim().toLowerCase();
+      if (['true', 'on', 'yes', '1'].includes(value)) {
+        return { value: true };
+      }
+      if (['false', 'off', 'no', '0'].includes(value)) {
+        return { value: false };
+      }
+      return { error: `${field.label} must be true or false.` };
+    }
+    default: {
+      if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+        return { error: `${field.label} must be text.` };
+      }
+      const value = String(rawValue).replace(/<[^>]*>/g, '').trim();
+      if (value.length > CUSTOM_FIELD_TEXT_MAX_LENGTH) {
+        return { error: `${field.label} can be at most ${CUSTOM_FIELD_TEXT_MAX_LENGTH} characters.` };
+      }
+      return { value: value || null };
+    }
+  }
+}
+
+/**
+ * Validate submitted custom field values against the definitions. Returns `{ values }`, where null
+ * means "clear this field", or `{ error }`. With `publicOnly`, fields not marked public are dropped
+ * instead of rejected so a form can post more than it is allowed to set.
+ */
+function parseCustomFieldValues(input, definitions, { publicOnly = false } = {}) {
+  if (input === undefined || input === null) {
+    return { values: {} };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Custom fields must be an object of field keys and values.' };
+  }
+  const values = {};
+  for (const [key, rawValue] of Object.entries(input)) {
+    const field = definitions.find((definition) => definition.key === key);
+    if (!field || (publicOnly && !field.public)) {
+      if (publicOnly) {
+        continue;
+      }
+      return { error: `Unknown custom field "${key}".` };
+    }
+    const { value, error } = coerceCustomFieldValue(field, rawValue);
+    if (error) {
+      return { error };
+    }
+    values[key] = value;
+  }
+  return { values };
+}
+
+/**
+ * Apply parsed values to a subscriber's stored custom fields, dropping the cleared ones.
+ */
+function applyCustomFieldValues(customFields, values) {
+  const merged = { ...customFields, ...values };
+  Object.keys(merged).forEach((key) => {
+    if (merged[key] === null) {
+      delete merged[key];
+    }
+  });
+  return merged;
+}
+
+/**
+ * Tags are free-form labels stored lowercased and dashed, e.g. "Early adopter" becomes "early-adopter".
+ */
+function normalizeTag(tag) {
+  return typeof tag === 'string' ? slugifyArchiveTitle(tag).slice(0, 40).replace(/-+$/, '') : '';
+}
+
+/**
+ * Accepts an array or a comma-separated string. Returns `{ tags }` or `{ error }`.
+ */
+function parseTagList(input, { limit = SUBSCRIBER_TAG_LIMIT } = {}) {
+  if (input === undefined || input === null || input === '') {
+    return { tags: [] };
+  }
+  const rawTags = typeof input === 'string' ? input.split(',') : input;
+  if (!Array.isArray(rawTags)) {
+    return { error: 'Tags must be a list or a comma-separated string.' };
+  }
+  const submitted = rawTags.filter((tag) => typeof tag !== 'string' || tag.trim());
+  if (submitted.some((tag) => !normalizeTag(tag))) {
+    return { error: 'Each tag needs at least one letter or digit.' };
+  }
+  const tags = [...new Set(submitted.map(normalizeTag))];
+  if (tags.length > limit) {
+    return { error: `At most ${limit} tags can be set at once.` };
+  }
+  return { tags };
+}
+
+/**
+ * The tags and custom field values a sign-up carries, merged into an existing subscriber's.
+ * Returns only the record fields that change.
+ */
+function mergeSignupAttributes(subscriber, metadata = {}) {
+  const updates = {};
+  const tags = [...new Set([...subscriber.tags, ...(metadata.tags || [])])].slice(0, SUBSCRIBER_TAG_LIMIT);
+  if (tags.length !== subscriber.tags.length) {
+    updates.tags = tags;
+  }
+  if (metadata.customFields && Object.keys(metadata.customFields).length) {
+    updates.customFields = { ...subscriber.customFields, ...metadata.customFields };
+  }
+  return updates;
+}
+
+/**
+ * Double opt-in: a public sign-up is stored with status `pending` and a confirmation request (the
+ * target of the signed link) that expires on its own in KV. The expiry index, keyed by address,
+ * lets the purge timer delete sign-ups that were never confirmed.
+ */
+function pendingSubscriberKey(pendingId) {
+  return `${PENDING_SUBSCRIBER_PREFIX}${pendingId}`;
+}
+
+function pendingSubscriberEmailKey(email) {
+  return `${PENDING_SUBSCRIBER_EMAIL_PREFIX}${normalizeEmail(email)}`;
+}
+
+function buildConfirmationToken(pendingId, expiresAtMs) {
+  return `${pendingId}.${expiresAtMs}.${signTrackingPayload('confirm', pendingId, expiresAtMs)}`;
+}
+
+/**
+ * Returns `{ pendingId }` for a valid token, or `{ error }` ('invalid' or 'expired').
+ */
+function parseConfirmationToken(token) {
+  const [pendingId, expiresAt, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!pendingId || !expiresAt || !verifyTrackingSignature(signature, 'confirm', pendingId, expiresAt)) {
+    return { error: 'invalid' };
+  }
+  if (Number(expiresAt) < Date.now()) {
+    return { error: 'expired' };
+  }
+  return { pendingId };
+}
+
+/**
+ * Double opt-in applies unless it is switched off or the sign-up carries the secret key of a form in
+ * SINGLE_OPT_IN_FORMS. A form listed without a key never skips confirmation.
+ */
+function shouldRequireConfirmation(formId, formKey) {
+  if (!DOUBLE_OPT_IN_ENABLED) {
+    return false;
+  }
+  const expectedKey = typeof formId === 'string' ? SINGLE_OPT_IN_FORMS.get(formId.trim()) : '';
+  if (!expectedKey || typeof formKey !== 'string') {
+    return true;
+  }
+  const expectedDigest = crypto.createHash('sha256').update(expectedKey).digest();
+  const providedDigest = crypto.createHash('sha256').update(formKey).digest();
+  return !crypto.timingSafeEqual(expectedDigest, providedDigest);
+}
+
+async function savePendingSubscriber(record) {
+  const ttlSeconds = Math.max(Math.ceil((Date.parse(record.expiresAt) - Date.now()) / 1000), 1);
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    await withKvRetries(
+      () => kvClient.set(pendingSubscriberKey(record.id), JSON.stringify(record), { ex: ttlSeconds }),
+      'pending-subscriber-set',
+    );
+    await withKvRetries(
+      () =>
+        kvClient.zadd(PENDING_SUBSCRIBERS_ZSET_KEY, {
+          score: Date.parse(record.expiresAt),
+          member: normalizeEmail(record.email),
+        }),
+      'pending-subscriber-zadd',
+    );
+    await withKvRetries(
+      () => kvClient.set(pendingSubscriberEmailKey(record.email), record.id, { ex: ttlSeconds }),
+      'pending-subscriber-email-set',
+    );
+    return record;
+  }
+  inMemoryPendingSubscribers.set(record.id, { ...record });
+  return record;
+}
+
+/**
+ * The address's still-valid confirmation request, if it has one.
+ */
+async function findPendingSubscriberByEmail(email) {
+  const normalized = normalizeEmail(email);
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    const pendingId = await withKvRetries(
+      () => kvClient.get(pendingSubscriberEmailKey(normalized)),
+      'pending-subscriber-email-get',
+    );
+    return pendingId ? getPendingSubscriber(String(pendingId)) : null;
+  }
+  const now = Date.now();
+  const requests = Array.from(inMemoryPendingSubscribers.values()).filter(
+    (request) => normalizeEmail(request.email) === normalized && Date.parse(request.expiresAt) >= now,
+  );
+  return requests.length ? { ...requests[requests.length - 1] } : null;
+}
+
+async function getPendingSubscriber(pendingId) {
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    const raw = await withKvRetries(
+      () => kvClient.get(pendingSubscriberKey(pendingId)),
+      'pending-subscriber-get',
+    );
+    if (!raw) {
+      return null;
+    }
+    try {
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn('Failed to parse pending subscriber.', { pendingId, message: error?.message });
+      return null;
+    }
+  }
+  const record = inMemoryPendingSubscribers.get(pendingId);
+  if (!record || Date.parse(record.expiresAt) < Date.now()) {
+    return null;
+  }
+  return { ...record };
+}
+
+async function deletePendingSubscriber(pending) {
+  if (subscriberStoreMode === 'kv' && kvClient) {
+    await withKvRetries(() => kvClient.del(pendingSubscriberKey(pending.id)), 'pending-subscriber-del');
+    await withKvRetries(
+      () => kvClient.zrem(PENDING_SUBSCRIBERS_ZSET_KEY, normalizeEmail(pending.email)),
+      'pending-subscriber-zrem',
+    );
+    const indexedId = await withKvRetries(
+      () => kvClient.get(pendingSubscriberEmailKey(pending.email)),
+      'pending-subscriber-email-get',
+    );
+    if (String(indexedId) === pending.id) {
+      await withKvRetries(
+        () => kvClient.del(pendingSubscriberEmailKey(pending.email)),
+        'pending-subscriber-email-del',
+      );
+    }
+    return;
+  }
+  inMemoryPendingSubscribers.delete(pending.id);
+}
+
+/**
+ * Delete sign-ups that are still `pending` after their confirmation window. Returns how many were removed.
+ */
+async function purgeExpiredPendingSubscribers() {
+  const now = Date.now();
+  let purged = 0;
+  try {
+    let expiredEmails;
+    if (subscriberStoreMode === 'kv' && kvClient) {
+      expiredEmails = await withKvRetries(
+        () => kvClient.zrange(PENDING_SUBSCRIBERS_ZSET_KEY, 0, now, { byScore: true }),
+        'pending-subscriber-expired',
+      );
+      await withKvRetries(
+        () => kvClient.zremrangebyscore(PENDING_SUBSCRIBERS_ZSET_KEY, '-inf', now),
+        'pending-subscriber-purge',
+      );
+    } else {
+      const requests = Array.from(inMemoryPendingSubscribers.values());
+      const stillOpen = new Set(
+        requests
+          .filter((request) => Date.parse(request.expiresAt) >= now)
+          .map((request) => normalizeEmail(request.email)),
+      );
+      expiredEmails = [];
+      for (const request of requests) {
+        if (Date.parse(request.expiresAt) < now) {
+          inMemoryPendingSubscribers.delete(request.id);
+          if (!stillOpen.has(normalizeEmail(request.email))) {
+            expiredEmails.push(normalizeEmail(request.email));
+          }
+        }
+      }
+    }
+    for (const email of new Set((expiredEmails || []).map(String))) {
+      // eslint-disable-next-line no-await-in-loop
+      const record = await fetchSubscriberRecord(email);
+      if (record?.status === 'pending') {
+        // eslint-disable-next-line no-await-in-loop
+        await removeSubscriber(email);
+        purged += 1;
+      }
+    }
+    if (purged > 0) {
+      logSubscriberEvent('info', 'Purged unconfirmed subscribers.', { count: purged });
+    }
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to purge unconfirmed subscribers.', { message: error?.message });
+  }
+  pendingPurgeState.lastPurgeAt = new Date(now).toISOString();
+  pendingPurgeState.lastPurged = purged;
+  return purged;
+}
+
+function startPendingSubscriberPurge() {
+  if (pendingPurgeState.timer) {
+    return;
+  }
+  pendingPurgeState.timer = setInterval(purgeExpiredPendingSubscribers, PENDING_PURGE_INTERVAL_MS);
+  logger.info('Pending subscriber purge started.', { intervalMs: PENDING_PURGE_INTERVAL_MS });
+  setImmediate(purgeExpiredPendingSubscribers);
+}
+
+function buildConfirmationEmail({ email, name, confirmUrl, expiresAt }, list = null) {
+  const safeUrl = escapeHtml(confirmUrl);
+  const validUntil = new Date(expiresAt).toUTCString();
+  const listName = list && list.id !== DEFAULT_LIST_ID ? list.name : 'our newsletter';
+  const content = `
+    <p>Please confirm that you want to receive ${escapeHtml(listName)} at ${escapeHtml(email)}.</p>
+    <p style="margin:24px 0;">
+      <a href="${safeUrl}" style="display:inline-block;padding:12px 20px;border-radius:8px;background-color:#2563eb;color:#ffffff;text-decoration:none;font-weight:600;">Confirm subscription</a>
+    </p>
+    <p>This link is valid until ${escapeHtml(validUntil)}. If you did not sign up, ignore this email and you will not be added.</p>
+  `;
+  return {
+    from: formatListSender(list),
+    to: [email],
+    subject: 'Please confirm your subscription',
+    html: buildEmailTemplate('Confirm your subscription', content, 'One click to confirm your subscription.', '', name || ''),
+    text: `Please confirm that you want to receive ${listName} at ${email}.
+
+Confirm subscription: ${confirmUrl}
+
+This link is valid until ${validUntil}. If you did not sign up, ignore this email and you will not be added.`,
+  };
+}
+
+/**
+ * Email a signed confirmation link. A new address is stored as `pending` until it is confirmed; an
+ * existing one (say, unsubscribed) keeps its status until then.
+ *
+ * Repeat sign-ups don't mint a new request each time. Within CONFIRMATION_RESEND_INTERVAL_MS of the
+ * last email nothing is sent (`throttled`); after that, a still-valid request for the same lists gets
+ * its link resent, and one for other lists is replaced.
+ */
+async function requestSubscriptionConfirmation(email, name, metadata = {}, list = null) {
+  const open = await findPendingSubscriberByEmail(email);
+  const reused =
+    Boolean(open) &&
+    JSON.stringify(open.metadata?.lists || []) === JSON.stringify(metadata.lists || []);
+  if (open && Date.now() - Date.parse(open.sentAt || open.requestedAt) < CONFIRMATION_RESEND_INTERVAL_MS) {
+    // The email already on its way still confirms the same lists; a request for other lists must wait.
+    return { record: open, sent: reused, throttled: true };
+  }
+
+  const existing = await fetchSubscriberRecord(normalizeEmail(email));
+  if (!existing) {
+    await addSubscriber(email, name, {
+      ...metadata,
+      status: 'pending',
+      statusReason: 'awaiting-confirmation',
+    });
+  }
+
+  const requestedAt = new Date();
+  const expiresAtMs = reused
+    ? Date.parse(open.expiresAt)
+    : requestedAt.getTime() + CONFIRMATION_TOKEN_TTL_HOURS * 60 * 60 * 1000;
+  const record = reused
+    ? { ...open, sentAt: requestedAt.toISOString() }
+    : {
+        id: crypto.randomBytes(16).toString('hex'),
+        email,
+        ...(name ? { name } : {}),
+        metadata,
+        requestedAt: requestedAt.toISOString(),
+        sentAt: requestedAt.toISOString(),
+        expiresAt: new Date(expiresAtMs).toISOString(),
+      };
+  await savePendingSubscriber(record);
+
+  const token = buildConfirmationToken(record.id, expiresAtMs);
+  const confirmUrl = `${appUrl.replace(/\/$/, '')}/confirm?token=${encodeURIComponent(token)}`;
+  const sendResult = await sendEmail(buildConfirmationEmail({ ...record, confirmUrl }, list), {
+    endpoint: 'subscribe-confirmation',
+    target: email,
+  });
+  if (!sendResult.success && !reused) {
+    await deletePendingSubscriber(record).catch(() => {});
+    if (!existing) {
+      await removeSubscriber(email).catch(() => {});
+    }
+  }
+  return { record, sent: sendResult.success, error: sendResult.error };
+}
+
+/**
+ * Render the personalized email for one subscriber. Returns `{ error }` when the stored address is unusable.
+ */
+function buildSubscriberEmail(subscriber, options) {
+  const {
+    title,
+    sanitizedContent,
+    previewSnippet,
+    strippedContent,
+    unsubscribeBase,
+    campaignId,
+    trackedLinks = [],
+    archiveUrl = '',
+    senders = new Map(),
+  } = options;
+
+  const recipientEmail = normalizeEmail(subscriber.email);
+  if (!recipientEmail) {
+    return { recipientEmail: subscriber.email, error: new Error('Stored subscriber email is invalid.') };
+  }
+  if (!subscriber.linkId) {
+    return { recipientEmail, error: new Error('Subscriber has no link id for unsubscribe links.') };
+  }
+
+  const unsubscribeLink = buildUnsubscribeUrl(
+    unsubscribeBase,
+    subscriber.linkId,
+    campaignId || '',
+    subscriber.list || '',
+  );
+  const preferencesLink = buildPreferencesUrl(unsubscribeBase, subscriber.linkId);
+  const oneClickUnsubscribeUrl = buildOneClickUnsubscribeUrl(
+    unsubscribeBase,
+    subscriber.linkId,
+    campaignId || '',
+    subscriber.list || '',
+  );
+
+  const bodyHtml =
+    ENABLE_CLICK_TRACKING && campaignId
+      ? rewriteLinksForRecipient(sanitizedContent, trackedLinks, {
+          baseUrl: unsubscribeBase,
+          newsletterId: campaignId,
+          recipientEmail,
+        })
+      : sanitizedContent;
+
+  let personalizedHtml = buildEmailTemplate(
+    title,
+    bodyHtml,
+    previewSnippet,
+    unsubscribeLink,
+    subscriber.name || '',
+    archiveUrl,
+    preferencesLink,
+  );
+  if (ENABLE_OPEN_TRACKING && campaignId) {
+    const pixelUrl = buildOpenTrackingUrl(unsubscribeBase, campaignId, recipientEmail);
+    personalizedHtml = personalizedHtml.replace(
+      '</body>',
+      `<img src="${pixelUrl}" width="1" height="1" alt="" style="display:block;border:0;width:1px;height:1px;" />
+  </body>`,
+    );
+  }
+
+  const plainTextBody = `${archiveUrl ? `View in browser: ${archiveUrl}
+
+` : ''}${
+    previewSnippet ? `${previewSnippet}
+
+` : ''
+  }${strippedContent}
+
+Manage preferences: ${preferencesLink}
+Unsubscribe: ${unsubscribeLink}`;
+
+  return {
+    recipientEmail,
+    unsubscribeLink,
+    payload: {
+      from: senders.get(subscriber.list) || senderEmail,
+      to: [recipientEmail],
+      subject: title,
+      html: personalizedHtml,
+      text: plainTextBody,
+      headers: {
+        'List-Unsubscribe': `<${oneClickUnsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+      // Echoed back on Resend webhook events so they can be tied to the campaign.
+      ...(campaignId ? { tags: [{ name: 'campaign_id', value: campaignId }] } : {}),
+    },
+  };
+}
+
+/**
+ * Send up to RESEND_BATCH_API_MAX_EMAILS personalized emails in one transport batch call.
+ * `data` holds one `{ id }` per payload, in request order. When the transport reports per-item
+ * problems they are returned as `itemErrors` keyed by payload index.
+ */
+async function sendEmailBatch(payloads, context = {}) {
+  const start = performance.now();
+
+  logger.info('Email batch send initiated.', {
+    context,
+    transport: emailTransport.name,
+    emailCount: payloads.length,
+    subject: payloads[0]?.subject,
+  });
+
+  try {
+    const { data, errors, error } = await emailTransport.sendBatch(payloads);
+    const durationMs = Math.round(performance.now() - start);
+
+    if (error) {
+      logger.error('Email batch transport error response.', {
+        context,
+        durationMs,
+        message: error?.message,
+        statusCode: error?.statusCode,
+        name: error?.name,
+      });
+
+      if (error?.statusCode === 401 || error?.statusCode === 403) {
+        emailTransportStatus = {
+          valid: false,
+          checkedAt: new Date().toISOString(),
+          error: error?.message || 'Authentication failed.',
+        };
+      }
+
+      return { success: false, durationMs, error, data: [], itemErrors: {} };
+    }
+
+    const items = data;
+    const itemErrors = {};
+    errors.forEach((itemError) => {
+      if (Number.isInteger(itemError?.index)) {
+        itemErrors[itemError.index] = itemError;
+      }
+    });
+
+    logger.info('Email batch transport success response.', {
+      context,
+      durationMs,
+      accepted: items.length,
+      rejected: Object.keys(itemErrors).length,
+    });
+
+    emailTransportStatus = {
+      valid: true,
+      checkedAt: new Date().toISOString(),
+      error: null,
+    };
+
+    return { success: true, durationMs, error: null, data: items, itemErrors };
+  } catch (error) {
+    const durationMs = Math.round(performance.now() - start);
+
+    logger.error('Unexpected failure while sending an email batch.', {
+      context,
+      durationMs,
+      message: error?.message,
+      statusCode: error?.statusCode,
+      name: error?.name,
+      stack: error?.stack,
+    });
+
+    return { success: false, durationMs, error, data: [], itemErrors: {} };
+  }
+}
+
+/**
+ * Deliver the newsletter to a group of subscribers with a single batch call, retrying the whole
+ * call on rate limits. Returns one result per subscriber, in order, shaped like a single send:
+ * `{ success, recipientEmail, data, error, attempt, retryDelays, durationMs, unsubscribeLink }`.
+ */
+async function sendNewsletterBatch(subscribers, options) {
+  const prepared = subscribers.map((subscriber) => buildSubscriberEmail(subscriber, options));
+  const results = new Array(prepared.length);
+  const sendable = [];
+
+  prepared.forEach((email, index) => {
+    if (email.error) {
+      results[index] = {
+        success: false,
+        error: email.error,
+        durationMs: 0,
+        attempt: 0,
+        retryDelays: [],
+        unsubscribeLink: null,
+        recipientEmail: email.recipientEmail,
+      };
+    } else {
+      sendable.push({ ...email, index });
+    }
+  });
+
+  if (!sendable.length) {
+    return results;
+  }
+
+  const baseContext = {
+    endpoint: 'send-newsletter',
+    subject: options.title,
+    recipients: sendable.length,
+    previewTextLength: options.previewSnippet.length,
+  };
+
+  let attempt = 0;
+  const retryDelays = [];
+  let batchResult = null;
+
+  while (attempt <= RESEND_MAX_RATE_LIMIT_RETRIES) {
+    batchResult = await sendEmailBatch(
+      sendable.map((email) => email.payload),
+      { ...baseContext, attempt: attempt + 1 },
+    );
+    if (batchResult.success || !isRateLimitError(batchResult.error)) {
+      break;
+    }
+    if (attempt >= RESEND_MAX_RATE_LIMIT_RETRIES) {
+      break;
+    }
+    const backoffMs =
+      RATE_LIMIT_BACKOFF_SCHEDULE_MS[attempt] ||
+      RATE_LIMIT_BACKOFF_SCHEDULE_MS[RATE_LIMIT_BACKOFF_SCHEDULE_MS.length - 1];
+    retryDelays.push(backoffMs);
+    logger.warn('Rate limit encountered; batch retry scheduled.', {
+      recipients: sendable.length,
+      attempt: attempt + 1,
+      backoffMs,
+    });
+    await sleep(backoffMs);
+    attempt += 1;
+  }
+
+  sendable.forEach((email, position) => {
+    const base = {
+      durationMs: batchResult.durationMs,
+      attempt: attempt + 1,
+      retryDelays: [...retryDelays],
+      unsubscribeLink: email.unsubscribeLink,
+      recipientEmail: email.recipientEmail,
+    };
+    const itemError = batchResult.itemErrors[position];
+    const item = batchResult.data[position];
+    if (batchResult.success && !itemError && item?.id) {
+      results[email.index] = { ...base, success: true, data: item };
+      return;
+    }
+    const error = batchResult.success
+      ? Object.assign(
+          new Error(itemError?.message || 'The email transport did not return an id for this email.'),
+          { statusCode: itemError?.statusCode },
+        )
+      : batchResult.error || new Error('Unknown email transport error.');
+    results[email.index] = { ...base, success: false, error, resendResponse: itemError || null };
+  });
+
+  return results;
+}
+
+/**
+ * Extract the actual email address from a value that may include a display name.
+ */
+function extractEmailAddress(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  const hasLt = trimmed.includes('<');
+  const hasGt = trimmed.includes('>');
+
+  if (!hasLt && !hasGt) {
+    return trimmed;
+  }
+
+  if (!hasLt || !hasGt) {
+    return null;
+  }
+
+  const start = trimmed.lastIndexOf('<');
+  const end = trimmed.indexOf('>', start);
+
+  if (start === -1 || end === -1 || end <= start) {
+    return null;
+  }
+
+  const suffix = trimmed.slice(end + 1).trim();
+  if (suffix.length > 0) {
+    return null;
+  }
+
+  const email = trimmed.slice(start + 1, end).trim();
+  return email || null;
+}
+
+/**
+ * Validate an email address, allowing optional display name wrapper.
+ */
+function isValidEmail(value) {
+  const email = extractEmailAddress(value);
+  if (!email) {
+    return false;
+  }
+  return /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/.test(email);
+}
+
+/**
+ * GET subscribers list.
+ */
+app.get('/api/session', ensureAuthenticatedApi, (req, res) => {
+  res.json({
+    sessionId: req.sessionID,
+    isAuthenticated: Boolean(req.session?.isAuthenticated),
+    username: req.session?.username || null,
+    rememberMe: Boolean(req.session?.rememberMe),
+    loginAt: req.session?.loginAt || null,
+    createdAt: req.session?.createdAt || null,
+    cookie: {
+      maxAge: req.session?.cookie?.maxAge ?? null,
+      expires: req.session?.cookie?.expires ?? null,
+      secure: req.session?.cookie?.secure ?? process.env.NODE_ENV === 'production',
+      sameSite: req.session?.cookie?.sameSite ?? 'lax',
+      httpOnly: true,
+    },
+    store: {
+      mode: sessionStoreMode,
+      ready: sessionHealth.ready,
+      error: sessionHealth.error,
+      lastErrorAt: sessionHealth.lastErrorAt,
+      lastConnectedAt: sessionHealth.lastConnectedAt,
+      redisUrlPresent: sessionHealth.redisUrlPresent,
+    },
+    lifecycle: { ...sessionLifecycle },
+  });
+});
+
+/**
+ * GET subscribers list.
+ */
+app.get('/api/subscribers', ensureAuthenticatedApi, async (_, res) => {
+  try {
+    const sendStartedAt = new Date();
+    const campaignId = generateCampaignId();
+const subscribers = await getSubscribers();
+    const suppressed = await getSuppressedSubscribers();
+    const statusCounts = Object.fromEntries(SUBSCRIBER_STATUSES.map((status) => [status, 0]));
+    subscribers.forEach((subscriber) => {
+      statusCounts[subscriber.status] += 1;
+    });
+    res.json({
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+      lastOperation: storageLastOperationDetails,
+      subscribers: subscribers.map((subscriber) => ({
+        ...subscriber,
+        flagged: suppressed.get(normalizeEmail(subscriber.email)) || null,
+      })),
+      count: statusCounts.active,
+      statusCounts,
+      flaggedCount: subscribers.filter((subscriber) => suppressed.has(normalizeEmail(subscriber.email)))
+        .length,
+    });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to read subscribers for API response.', {
+      message: error?.message,
+      code: error?.code,
+    });
+    const message =
+      error instanceof SubscriberStorageError
+        ? 'Unable to load subscribers from storage. Please verify the Vercel KV configuration.'
+        : 'Failed to load subscribers.';
+    res.status(500).json({ message });
+  }
+});
+
+/**
+ * Add a new subscriber.
+ */
+app.post('/api/subscribers', ensureAuthenticatedApi, async (req, res) => {
+  const { email, name, list } = req.body;
+  const listId = typeof list === 'string' && list.trim() ? list.trim() : DEFAULT_LIST_ID;
+
+  if (!email || !isValidEmail(email)) {
+    res.status(400).json({ message: 'Please provide a valid email address.' });
+    return;
+  }
+
+  const canonicalEmail = extractEmailAddress(email);
+  const sanitizedName = sanitizeName(typeof name === 'string' ? name : '');
+  const normalizedEmail = normalizeEmail(canonicalEmail);
+
+  try {
+    const sendStartedAt = new Date();
+    const campaignId = generateCampaignId();
+const mailingList = await getMailingList(listId);
+    if (!mailingList) {
+      res.status(400).json({ message: 'This mailing list does not exist.' });
+      return;
+    }
+
+    const existing = await fetchSubscriberRecord(normalizedEmail);
+    if (existing?.status === 'active' && !existing.lists.includes(listId)) {
+      await addSubscriberToLists(existing, [listId]);
+      res.json({
+        message: `${existing.email} was added to ${mailingList.name}.`,
+        subscriber: { ...existing, lists: [...existing.lists, listId] },
+        count: await getSubscriberCount({ record: false }),
+      });
+      return;
+    }
+    if (existing) {
+      logSubscriberEvent('warn', 'Attempt to add duplicate subscriber.', {
+        email: normalizedEmail,
+        status: existing.status,
+      });
+      res.status(409).json({
+        message:
+          existing.status === 'active'
+            ? `This email is already on ${mailingList.name}.`
+            : `This email is ${existing.status}. Change its status in the table only if they asked to be added back.`,
+        status: existing.status,
+        storage: subscriberStoreMode,
+        kvConnectionHealthy,
+      });
+      return;
+    }
+
+    const newSubscriber = await addSubscriber(canonicalEmail, sanitizedName || null, {
+      lists: [listId],
+    });
+    const verification = await verifySubscriberPersistence(normalizedEmail);
+
+    if (!verification.verified) {
+      logSubscriberEvent('error', 'Subscriber persistence verification failed.', {
+        email: normalizedEmail,
+        attempts: verification.attempts,
+      });
+      res.status(500).json({
+        message:
+          'Subscriber could not be persisted to storage. Please try again once the storage service is available.',
+        storage: subscriberStoreMode,
+        kvConnectionHealthy,
+        verification,
+      });
+      return;
+    }
+
+    const totalCount = await getSubscriberCount({ record: false });
+
+    logSubscriberEvent('info', 'Subscriber added via API.', {
+      email: normalizedEmail,
+      count: totalCount,
+      verified: verification.verified,
+    });
+
+    await recordSubscriberGrowthSnapshot(totalCount);
+
+    res.status(201).json({
+      subscriber: verification.record || newSubscriber,
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+      verification,
+      count: totalCount,
+    });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to add subscriber.', {
+      email: normalizedEmail,
+      message: error?.message,
+      code: error?.code,
+    });
+    const message =
+      error instanceof SubscriberStorageError
+        ? 'Could not add subscriber because storage is unavailable. Please verify the Vercel KV connection.'
+        : 'Could not add subscriber. Please try again later.';
+    res.status(500).json({
+      message,
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+      details: error?.message,
+    });
+  }
+});
+
+/**
+ * Lift a bounce/complaint flag so the subscriber is mailed again.
+ */
+app.delete('/api/subscribers/:encodedEmail/flag', ensureAuthenticatedApi, async (req, res) => {
+  const email = normalizeEmail(decodeURIComponent(req.params.encodedEmail));
+  if (!email) {
+    res.status(400).json({ message: 'Invalid email address provided.' });
+    return;
+  }
+  try {
+    const suppressed = await getSuppressedSubscribers();
+    if (!suppressed.has(email)) {
+      res.status(404).json({ message: 'Subscriber is not flagged.' });
+      return;
+    }
+    await unflagSubscriberEmail(email);
+    const record = await fetchSubscriberRecord(email);
+    if (['bounced', 'complained'].includes(record?.status)) {
+      await setSubscriberStatus(email, 'active', { reason: 'unflagged' });
+    }
+    logSubscriberEvent('info', 'Subscriber unflagged.', {
+      email,
+      previousReason: suppressed.get(email).reason,
+    });
+    res.json({ message: `${email} will receive campaigns again.`, email });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to unflag subscriber.', { email, message: error?.message });
+    res.status(500).json({ message: 'Could not unflag subscriber.', details: error?.message });
+  }
+});
+
+/**
+ * Mailing lists, each with the number of active subscribers on it.
+ */
+app.get('/api/lists', ensureAuthenticatedApi, async (_, res) => {
+  try {
+    const [lists, subscribers] = await Promise.all([getMailingLists(), getSubscribers()]);
+    const active = subscribers.filter(isActiveSubscriber);
+    res.json({
+      lists: lists.map((list) => ({
+        ...list,
+        subscriberCount: active.filter((subscriber) => subscriber.lists.includes(list.id)).length,
+      })),
+    });
+  } catch (error) {
+    logger.error('Failed to load mailing lists.', { message: error?.message });
+    res.status(500).json({ message: 'Failed to load mailing lists.', details: error?.message });
+  }
+});
+
+/**
+ * Validate the editable fields of a mailing list. Returns `{ fields }` or `{ error }`.
+ */
+function parseMailingListFields(body = {}, { requireName = false } = {}) {
+  const fields = {};
+  if (body.name !== undefined || requireName) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 80) {
+      return { error: 'List names are required and can be at most 80 characters.' };
+    }
+    fields.name = name;
+  }
+  if (body.senderName !== undefined) {
+    const senderName = typeof body.senderName === 'string' ? body.senderName.trim() : '';
+    if (senderName.length > 80) {
+      return { error: 'Sender names can be at most 80 characters.' };
+    }
+    fields.senderName = senderName;
+  }
+  return { fields };
+}
+
+app.post('/api/lists', ensureAuthenticatedApi, async (req, res) => {
+  const { fields, error: validationError } = parseMailingListFields(req.body, { requireName: true });
+  if (validationError) {
+    res.status(400).json({ message: validationError });
+    return;
+  }
+  const id = typeof req.body.id === 'string' && req.body.id ? req.body.id : slugifyArchiveTitle(fields.name);
+  if (!MAILING_LIST_ID_PATTERN.test(id)) {
+    res.status(400).json({
+      message: 'List ids use lowercase letters, digits and dashes, at most 40 characters.',
+    });
+    return;
+  }
+  try {
+    if (await getMailingList(id)) {
+      res.status(409).json({ message: `A list with the id "${id}" already exists.` });
+      return;
+    }
+    const list = await saveMailingList({
+      id,
+      senderName: '',
+      ...fields,
+      createdAt: new Date().toISOString(),
+    });
+    logger.info('Mailing list created.', { id });
+    res.status(201).json({ list });
+  } catch (error) {
+    logger.error('Failed to create mailing list.', { id, message: error?.message });
+    res.status(500).json({ message: 'Could not create the mailing list.', details: error?.message });
+  }
+});
+
+app.patch('/api/lists/:id', ensureAuthenticatedApi, async (req, res) => {
+  const { fields, error: validationError } = parseMailingListFields(req.body);
+  if (validationError) {
+    res.status(400).json({ message: validationError });
+    return;
+  }
+  try {
+    const existing = await getMailingList(req.params.id);
+    if (!existing) {
+      res.status(404).json({ message: 'Mailing list not found.' });
+      return;
+    }
+    const list = await saveMailingList({ ...existing, ...fields });
+    res.json({ list });
+  } catch (error) {
+    logger.error('Failed to update mailing list.', { id: req.params.id, message: error?.message });
+    res.status(500).json({ message: 'Could not update the mailing list.', details: error?.message });
+  }
+});
+
+/**
+ * Delete an empty mailing list. The default list cannot be deleted.
+ */
+app.delete('/api/lists/:id', ensureAuthenticatedApi, async (req, res) => {
+  const { id } = req.params;
+  if (id === DEFAULT_LIST_ID) {
+    res.status(400).json({ message: 'The default list cannot be deleted.' });
+    return;
+  }
+  try {
+    if (!(await getMailingList(id))) {
+      res.status(404).json({ message: 'Mailing list not found.' });
+      return;
+    }
+    const members = (await getSubscribers()).filter((subscriber) => subscriber.lists.includes(id));
+    if (members.length > 0) {
+      res.status(409).json({
+        message: `Move or remove the ${members.length} subscriber(s) on this list before deleting it.`,
+      });
+      return;
+    }
+    await deleteMailingList(id);
+    logger.info('Mailing list deleted.', { id });
+    res.json({ message: 'Mailing list deleted.' });
+  } catch (error) {
+    logger.error('Failed to delete mailing list.', { id, message: error?.message });
+    res.status(500).json({ message: 'Could not delete the mailing list.', details: error?.message });
+  }
+});
+
+/**
+ * Custom field definitions, each with the number of subscribers that have a value for it.
+ */
+app.get('/api/custom-fields', ensureAuthenticatedApi, async (_, res) => {
+  try {
+    const [fields, subscribers] = await Promise.all([getCustomFields(), getSubscribers()]);
+    res.json({
+      types: CUSTOM_FIELD_TYPES,
+      fields: fields.map((field) => ({
+        ...field,
+        valueCount: subscribers.filter((subscriber) => field.key in subscriber.customFields).length,
+      })),
+    });
+  } catch (error) {
+    logger.error('Failed to load custom fields.', { message: error?.message });
+    res.status(500).json({ message: 'Failed to load custom fields.', details: error?.message });
+  }
+});
+
+/**
+ * Validate the editable parts of a custom field definition. Returns `{ definition }` or `{ error }`.
+ */
+function parseCustomFieldDefinition(body = {}, { creating = false } = {}) {
+  const definition = {};
+  if (body.label !== undefined || creating) {
+    const label = typeof body.label === 'string' ? body.label.trim() : '';
+    if (!label || label.length > 80) {
+      return { error: 'Field labels are required and can be at most 80 characters.' };
+    }
+    definition.label = label;
+  }
+  if (creating) {
+    if (!CUSTOM_FIELD_TYPES.includes(body.type)) {
+      return { error: `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}.` };
+    }
+    definition.type = body.type;
+  } else if (body.type !== undefined) {
+    return { error: 'The type of a field cannot be changed; create a new field instead.' };
+  }
+  if (body.public !== undefined) {
+    definition.public = body.public === true;
+  }
+  return { definition };
+}
+
+app.post('/api/custom-fields', ensureAuthenticatedApi, async (req, res) => {
+  const { definition, error: validationError } = parseCustomFieldDefinition(req.body, {
+    creating: true,
+  });
+  if (validationError) {
+    res.status(400).json({ message: validationError });
+    return;
+  }
+  const key =
+    typeof req.body.key === 'string' && req.body.key
+      ? req.body.key
+      : slugifyArchiveTitle(definition.label).replace(/-/g, '_').slice(0, 40);
+  if (!CUSTOM_FIELD_KEY_PATTERN.test(key)) {
+    res.status(400).json({
+      message:
+        'Field keys start with a letter and use lowercase letters, digits and underscores, at most 40 characters.',
+    });
+    return;
+  }
+  try {
+    if (await getCustomField(key)) {
+      res.status(409).json({ message: `A field with the key "${key}" already exists.` });
+      return;
+    }
+    const field = await saveCustomField({
+      key,
+      public: false,
+      ...definition,
+      createdAt: new Date().toISOString(),
+    });
+    logger.info('Custom field created.', { key, type: field.type });
+    res.status(201).json({ field });
+  } catch (error) {
+    logger.error('Failed to create custom field.', { key, message: error?.message });
+    res.status(500).json({ message: 'Could not create the custom field.', details: error?.message });
+  }
+});
+
+app.patch('/api/custom-fields/:key', ensureAuthenticatedApi, async (req, res) => {
+  const { definition, error: validationError } = parseCustomFieldDefinition(req.body);
+  if (validationError) {
+    res.status(400).json({ message: validationError });
+    return;
+  }
+  try {
+    const existing = await getCustomField(req.params.key);
+    if (!existing) {
+      res.status(404).json({ message: 'Custom field not found.' });
+      return;
+    }
+    const field = await saveCustomField({ ...existing, ...definition });
+    res.json({ field });
+  } catch (error) {
+    logger.error('Failed to update custom field.', { key: req.params.key, message: error?.message });
+    res.status(500).json({ message: 'Could not update the custom field.', details: error?.message });
+  }
+});
+
+/**
+ * Delete a custom field definition together with every subscriber's value for it.
+ */
+app.delete('/api/custom-fields/:key', ensureAuthenticatedApi, async (req, res) => {
+  const { key } = req.params;
+  try {
+    if (!(await getCustomField(key))) {
+      res.status(404).json({ message: 'Custom field not found.' });
+      return;
+    }
+    const holders = (await getSubscribers()).filter((subscriber) => key in subscriber.customFields);
+    for (const subscriber of holders) {
+      // eslint-disable-next-line no-await-in-loop
+      await writeSubscriberFields(
+        normalizeEmail(subscriber.email),
+        { customFields: applyCustomFieldValues(subscriber.customFields, { [key]: null }) },
+        'hset-subscriber-custom-fields',
+      );
+    }
+    await deleteCustomField(key);
+    logger.info('Custom field deleted.', { key, clearedValues: holders.length });
+    res.json({ message: `Custom field deleted and cleared from ${holders.length} subscriber(s).` });
+  } catch (error) {
+    logger.error('Failed to delete custom field.', { key, message: error?.message });
+    res.status(500).json({ message: 'Could not delete the custom field.', details: error?.message });
+  }
+});
+
+/**
+ * Add tags to a subscriber. Tags they already have are ignored.
+ */
+app.post('/api/subscribers/:encodedEmail/tags', ensureAuthenticatedApi, async (req, res) => {
+  const email = normalizeEmail(decodeURIComponent(req.params.encodedEmail));
+  if (!email) {
+    res.status(400).json({ message: 'Invalid email address provided.' });
+    return;
+  }
+  const { tags: added, error: validationError } = parseTagList(req.body?.tags);
+  if (validationError || added.length === 0) {
+    res.status(400).json({ message: validationError || 'Provide at least one tag in `tags`.' });
+    return;
+  }
+  try {
+    const existing = await fetchSubscriberRecord(email);
+    if (!existing) {
+      res.status(404).json({ message: 'Subscriber not found.' });
+      return;
+    }
+    const tags = [...new Set([...existing.tags, ...added])];
+    if (tags.length > SUBSCRIBER_TAG_LIMIT) {
+      res.status(400).json({ message: `Subscribers can have at most ${SUBSCRIBER_TAG_LIMIT} tags.` });
+      return;
+    }
+    await writeSubscriberFields(email, { tags }, 'hset-subscriber-tags');
+    logSubscriberEvent('info', 'Subscriber tagged by an admin.', { email, added });
+    res.json({ message: `Tagged ${email}.`, subscriber: { ...existing, tags } });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to tag subscriber.', { email, message: error?.message });
+    res.status(500).json({ message: 'Could not tag subscriber.', details: error?.message });
+  }
+});
+
+app.delete('/api/subscribers/:encodedEmail/tags/:tag', ensureAuthenticatedApi, async (req, res) => {
+  const email = normalizeEmail(decodeURIComponent(req.params.encodedEmail));
+  const tag = normalizeTag(req.params.tag);
+  if (!email) {
+    res.status(400).json({ message: 'Invalid email address provided.' });
+    return;
+  }
+  try {
+    const existing = await fetchSubscriberRecord(email);
+    if (!existing) {
+      res.status(404).json({ message: 'Subscriber not found.' });
+      return;
+    }
+    if (!existing.tags.includes(tag)) {
+      res.status(404).json({ message: `${email} is not tagged "${tag}".` });
+      return;
+    }
+    const tags = existing.tags.filter((existingTag) => existingTag !== tag);
+    await writeSubscriberFields(email, { tags }, 'hset-subscriber-tags');
+    logSubscriberEvent('info', 'Subscriber tag removed by an admin.', { email, tag });
+    res.json({ message: `Removed "${tag}" from ${email}.`, subscriber: { ...existing, tags } });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to remove subscriber tag.', { email, message: error?.message });
+    res.status(500).json({ message: 'Could not remove the tag.', details: error?.message });
+  }
+});
+
+/**
+ * Set custom field values for a subscriber. Fields left out are kept; empty values clear them.
+ */
+app.patch('/api/subscribers/:encodedEmail/fields', ensureAuthenticatedApi, async (req, res) => {
+  const email = normalizeEmail(decodeURIComponent(req.params.encodedEmail));
+  if (!email) {
+    res.status(400).json({ message: 'Invalid email address provided.' });
+    return;
+  }
+  try {
+    const { values, error: validationError } = parseCustomFieldValues(
+      req.body?.fields,
+      await getCustomFields(),
+    );
+    if (validationError) {
+      res.status(400).json({ message: validationError });
+      return;
+    }
+    const existing = await fetchSubscriberRecord(email);
+    if (!existing) {
+      res.status(404).json({ message: 'Subscriber not found.' });
+      return;
+    }
+    const customFields = applyCustomFieldValues(existing.customFields, values);
+    await writeSubscriberFields(email, { customFields }, 'hset-subscriber-custom-fields');
+    logSubscriberEvent('info', 'Subscriber custom fields changed by an admin.', {
+      email,
+      fields: Object.keys(values),
+    });
+    res.json({ message: `Updated the fields for ${email}.`, subscriber: { ...existing, customFields } });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to change subscriber custom fields.', {
+      email,
+      message: error?.message,
+    });
+    res.status(500).json({ message: 'Could not change custom fields.', details: error?.message });
+  }
+});
+
+/**
+ * Replace the lists a subscriber belongs to. At least one list is required; to stop mailing someone,
+ * change their status instead.
+ */
+app.patch('/api/subscribers/:encodedEmail/lists', ensureAuthenticatedApi, async (req, res) => {
+  const email = normalizeEmail(decodeURIComponent(req.params.encodedEmail));
+  const { lists } = req.body || {};
+  if (!email) {
+    res.status(400).json({ message: 'Invalid email address provided.' });
+    return;
+  }
+  if (!Array.isArray(lists) || lists.length === 0) {
+    res.status(400).json({ message: 'Provide at least one list id in `lists`.' });
+    return;
+  }
+  try {
+    const knownIds = (await getMailingLists()).map((list) => list.id);
+    const unknown = lists.filter((listId) => !knownIds.includes(listId));
+    if (unknown.length > 0) {
+      res.status(400).json({ message: `Unknown mailing lists: ${unknown.join(', ')}.` });
+      return;
+    }
+    const existing = await fetchSubscriberRecord(email);
+    if (!existing) {
+      res.status(404).json({ message: 'Subscriber not found.' });
+      return;
+    }
+    const updates = { lists: [...new Set(lists)] };
+    await writeSubscriberFields(email, updates, 'hset-subscriber-lists');
+    logSubscriberEvent('info', 'Subscriber lists changed by an admin.', { email, lists: updates.lists });
+    res.json({ message: `Updated the lists for ${email}.`, subscriber: { ...existing, ...updates } });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to change subscriber lists.', {
+      email,
+      message: error?.message,
+    });
+    res.status(500).json({ message: 'Could not change subscriber lists.', details: error?.message });
+  }
+});
+
+/**
+ * Change a subscriber's status by hand, e.g. to reactivate someone who asked to be added back.
+ */
+app.patch('/api/subscribers/:encodedEmail/status', ensureAuthenticatedApi, async (req, res) => {
+  const email = normalizeEmail(decodeURIComponent(req.params.encodedEmail));
+  const { status } = req.body || {};
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
+  if (!email) {
+    res.status(400).json({ message: 'Invalid email address provided.' });
+    return;
+  }
+  if (!ADMIN_SUBSCRIBER_STATUSES.includes(status)) {
+    res.status(400).json({
+      message: `Status must be one of: ${ADMIN_SUBSCRIBER_STATUSES.join(', ')}.`,
+    });
+    return;
+  }
+  try {
+    const result = await setSubscriberStatus(email, status, { reason: reason || 'admin' });
+    if (!result) {
+      res.status(404).json({ message: 'Subscriber not found.' });
+      return;
+    }
+    const count = await getSubscriberCount({ record: false });
+    if (result.changed) {
+      await recordSubscriberGrowthSnapshot(count);
+    }
+    res.json({
+      message: result.changed ? `${email} is now ${status}.` : `${email} is already ${status}.`,
+      subscriber: result.record,
+      count,
+    });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to change subscriber status.', {
+      email,
+      status,
+      message: error?.message,
+    });
+    res.status(500).json({ message: 'Could not change subscriber status.', details: error?.message });
+  }
+});
+
+/**
+ * Delete a subscriber record outright (for erasure requests). Unlike an unsubscribe, nothing is kept.
+ */
+app.delete('/api/subscribers/:encodedEmail', ensureAuthenticatedApi, async (req, res) => {
+  const email = decodeURIComponent(req.params.encodedEmail);
+  const normalizedTarget = extractEmailAddress(email);
+
+  if (!normalizedTarget) {
+    res.status(400).json({
+      message: 'Invalid email address provided.',
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+    });
+    return;
+  }
+
+  try {
+    const sendStartedAt = new Date();
+    const campaignId = generateCampaignId();
+const removed = await removeSubscriber(normalizedTarget);
+    if (!removed) {
+      res.status(404).json({
+        message: 'Subscriber not found.',
+        storage: subscriberStoreMode,
+        kvConnectionHealthy,
+      });
+      return;
+    }
+
+    const verification = await verifySubscriberRemoval(normalizedTarget);
+    if (!verification.confirmed) {
       logSubscriberEvent('error', 'Subscriber removal verification failed.', {
         email: normalizeEmail(normalizedTarget),
         attempts: verification.attempts,
       });
-      res.status(500).json({
-        message:
-          'Unable to confirm subscriber removal from storage. Please retry once the storage service is available.',
-        storage: subscriberStoreMode,
-        kvConnectionHealthy,
-        verification,
+      res.status(500).json({
+        message:
+          'Unable to confirm subscriber removal from storage. Please retry once the storage service is available.',
+        storage: subscriberStoreMode,
+        kvConnectionHealthy,
+        verification,
+      });
+      return;
+    }
+
+    const totalCount = await getSubscriberCount({ record: false });
+
+    logSubscriberEvent('info', 'Subscriber removed via API.', {
+      email: normalizeEmail(normalizedTarget),
+      count: totalCount,
+      confirmed: verification.confirmed,
+    });
+
+    await recordSubscriberGrowthSnapshot(totalCount);
+
+    res.status(200).json({
+      message: 'Subscriber removed.',
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+      verification,
+      count: totalCount,
+    });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to remove subscriber.', {
+      email: normalizeEmail(normalizedTarget),
+      message: error?.message,
+      code: error?.code,
+    });
+    const message =
+      error instanceof SubscriberStorageError
+        ? 'Unable to remove subscriber because storage is unavailable. Please verify the Vercel KV connection.'
+        : 'Could not remove subscriber.';
+    res.status(500).json({
+      message,
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+      details: error?.message,
+    });
+  }
+});
+
+/**
+ * Public subscription endpoint for external sites.
+ */
+app.post('/api/public/subscribe', async (req, res) => {
+  const ip = req.ip;
+  const { email, name, formId, formKey, list, tags, fields } = req.body || {};
+  const sanitizedName = sanitizeName(typeof name === 'string' ? name : '');
+  const listId = typeof list === 'string' && list.trim() ? list.trim() : DEFAULT_LIST_ID;
+  const honeypotValue =
+    (req.body && (req.body.honeypot || req.body.hp || req.body.botField)) || '';
+
+  logger.info('Public subscribe attempt received.', {
+    ip,
+    email,
+    name: sanitizedName,
+    formId,
+    list: listId,
+  });
+
+  if (honeypotValue) {
+    recordSuspiciousAttempt(ip, 'honeypot-triggered', { email, name: sanitizedName });
+    res.status(200).json({ success: false, error: 'Unable to process the request.' });
+    return;
+  }
+
+  if (!email || !isValidEmail(email)) {
+    recordSuspiciousAttempt(ip, 'invalid-email', { email });
+    res.status(400).json({ success: false, error: 'Please provide a valid email address.' });
+    return;
+  }
+
+  const { tags: signupTags, error: tagError } = parseTagList(tags, {
+    limit: PUBLIC_SUBSCRIBE_TAG_LIMIT,
+  });
+  if (tagError) {
+    res.status(400).json({ success: false, error: tagError });
+    return;
+  }
+
+  const normalizedEmail = normalizeEmail(email);
+  const canonicalEmail = extractEmailAddress(email);
+  const subscriberMetadata = {
+    source: 'public-api',
+    ...(typeof formId === 'string' && formId.trim() ? { formId: formId.trim() } : {}),
+    lists: [listId],
+    ...(signupTags.length ? { tags: signupTags } : {}),
+  };
+  try {
+    const sendStartedAt = new Date();
+    const campaignId = generateCampaignId();
+const mailingList = await getMailingList(listId);
+    if (!mailingList) {
+      recordSuspiciousAttempt(ip, 'unknown-mailing-list', { email, list: listId });
+      res.status(400).json({ success: false, error: 'This mailing list does not exist.' });
+      return;
+    }
+    const { values: signupFields, error: fieldError } = parseCustomFieldValues(
+      fields,
+      await getCustomFields(),
+      { publicOnly: true },
+    );
+    if (fieldError) {
+      res.status(400).json({ success: false, error: fieldError });
+      return;
+    }
+    const customFields = applyCustomFieldValues({}, signupFields);
+    if (Object.keys(customFields).length) {
+      subscriberMetadata.customFields = customFields;
+    }
+
+    const existing = await fetchSubscriberRecord(normalizedEmail);
+    if (existing?.status === 'active' && existing.lists.includes(listId)) {
+      logger.info('Public subscribe duplicate attempt.', { ip, email: normalizedEmail, list: listId });
+      res.status(200).json({
+        success: false,
+        error: 'Email already subscribed',
+        storage: subscriberStoreMode,
+        kvConnectionHealthy,
+      });
+      return;
+    }
+    if (existing?.status === 'active' && !shouldRequireConfirmation(formId, formKey)) {
+      // Tags and fields only land on new records or through /api/public/confirm, so a sign-up that
+      // names someone else's address cannot rewrite their profile.
+      await addSubscriberToLists(existing, [listId]);
+      res.json({ success: true, message: `Successfully subscribed to ${mailingList.name}!` });
+      return;
+    }
+
+    // Coming back after unsubscribing, bouncing or complaining always needs fresh confirmation, and
+    // so does joining another list from a form that requires it.
+    if (existing || shouldRequireConfirmation(formId, formKey)) {
+      const confirmation = await requestSubscriptionConfirmation(
+        canonicalEmail,
+        sanitizedName || null,
+        subscriberMetadata,
+        mailingList,
+      );
+      if (confirmation.throttled && !confirmation.sent) {
+        res.status(429).json({
+          success: false,
+          error: 'We just sent you a confirmation email. Please confirm it or try again in a few minutes.',
+        });
+        return;
+      }
+      if (!confirmation.sent) {
+        res.status(502).json({
+          success: false,
+          error: 'We could not send the confirmation email. Please try again later.',
+        });
+        return;
+      }
+      logSubscriberEvent('info', 'Public subscribe awaiting confirmation.', {
+        email: normalizedEmail,
+        expiresAt: confirmation.record.expiresAt,
+      });
+      res.status(202).json({
+        success: true,
+        pending: true,
+        message: 'Almost there! Check your inbox for a link to confirm your subscription.',
+        expiresAt: confirmation.record.expiresAt,
+      });
+      return;
+    }
+
+    await addSubscriber(canonicalEmail, sanitizedName || null, subscriberMetadata);
+    const verification = await verifySubscriberPersistence(normalizedEmail);
+
+    if (!verification.verified) {
+      logSubscriberEvent('error', 'Public subscribe verification failed.', {
+        email: normalizedEmail,
+        attempts: verification.attempts,
+      });
+      res.status(500).json({
+        success: false,
+        error:
+          'We could not confirm your subscription due to a storage issue. Please try again once the service is available.',
+        storage: subscriberStoreMode,
+        kvConnectionHealthy,
+        verification,
+      });
+      return;
+    }
+
+    const totalCount = await getSubscriberCount({ record: false });
+
+    logger.info('Public subscribe success.', { ip, email: normalizedEmail, name: sanitizedName });
+    logSubscriberEvent('info', 'Subscriber added via public API.', {
+      email: normalizedEmail,
+      count: totalCount,
+      verified: verification.verified,
+    });
+
+    await recordSubscriberGrowthSnapshot(totalCount);
+
+    res.json({
+      success: true,
+      message: 'Successfully subscribed!',
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+      verification,
+      count: totalCount,
+    });
+  } catch (error) {
+    logger.error('Public subscribe failed.', {
+      ip,
+      email: normalizedEmail,
+      message: error?.message,
+      code: error?.code,
+    });
+    logSubscriberEvent('error', 'Public subscribe failed.', {
+      email: normalizedEmail,
+      message: error?.message,
+      code: error?.code,
+    });
+    const errorMessage =
+      error instanceof SubscriberStorageError
+        ? 'Subscriber storage is unavailable. Please try again after the Vercel KV connection is restored.'
+        : 'We could not process your subscription right now. Please try again later.';
+    res.status(500).json({
+      success: false,
+      error: errorMessage,
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+    });
+  }
+});
+
+/**
+ * Double opt-in confirmation. Activates the pending sign-up behind a signed, unexpired token.
+ * The `/confirm` page posts here so link scanners that prefetch the email link do not confirm on their own.
+ */
+app.post('/api/public/confirm', async (req, res) => {
+  const ip = req.ip;
+  const { token } = req.body || {};
+  const parsed = parseConfirmationToken(token);
+
+  if (parsed.error) {
+    if (parsed.error === 'invalid') {
+      recordSuspiciousAttempt(ip, 'invalid-confirm-token');
+    }
+    res.status(parsed.error === 'expired' ? 410 : 400).json({
+      success: false,
+      error:
+        parsed.error === 'expired'
+          ? 'This confirmation link has expired. Please subscribe again to get a new one.'
+          : 'This confirmation link is not valid.',
+    });
+    return;
+  }
+
+  try {
+    const pending = await getPendingSubscriber(parsed.pendingId);
+    if (!pending) {
+      res.status(410).json({
+        success: false,
+        error: 'This confirmation link has already been used or has expired. Please subscribe again.',
+      });
+      return;
+    }
+
+    const normalizedEmail = normalizeEmail(pending.email);
+    const requestedLists = pending.metadata?.lists || [DEFAULT_LIST_ID];
+    const existing = await fetchSubscriberRecord(normalizedEmail);
+    if (existing?.status === 'active') {
+      const joined = await addSubscriberToLists(existing, requestedLists);
+      const attributes = mergeSignupAttributes(existing, pending.metadata);
+      if (Object.keys(attributes).length) {
+        await writeSubscriberFields(normalizedEmail, attributes, 'hset-subscriber-attributes');
+      }
+      await deletePendingSubscriber(pending);
+      res.json({
+        success: true,
+        message: joined
+          ? 'Thanks! Your subscription is confirmed.'
+          : 'Your subscription is already confirmed.',
+      });
+      return;
+    }
+
+    const confirmationFields = {
+      confirmedAt: new Date().toISOString(),
+      confirmationRequestedAt: pending.requestedAt,
+    };
+    if (existing) {
+      // A returning subscriber only rejoins the lists they asked for this time.
+      await setSubscriberStatus(normalizedEmail, 'active', {
+        reason: 'confirmed',
+        fields: {
+          ...confirmationFields,
+          ...mergeSignupAttributes(existing, pending.metadata),
+          lists: requestedLists,
+          ...(pending.name ? { name: pending.name } : {}),
+        },
+      });
+    } else {
+      await addSubscriber(pending.email, pending.name || null, {
+        ...(pending.metadata || {}),
+        ...confirmationFields,
+        statusReason: 'confirmed',
+      });
+    }
+    const verification = await verifySubscriberPersistence(normalizedEmail);
+    if (!verification.verified) {
+      res.status(500).json({
+        success: false,
+        error: 'We could not confirm your subscription due to a storage issue. Please try again shortly.',
+      });
+      return;
+    }
+    await deletePendingSubscriber(pending);
+
+    const totalCount = await getSubscriberCount({ record: false });
+    logSubscriberEvent('info', 'Subscriber confirmed via double opt-in.', {
+      email: normalizedEmail,
+      count: totalCount,
+    });
+    await recordSubscriberGrowthSnapshot(totalCount);
+
+    res.json({ success: true, message: 'Thanks! Your subscription is confirmed.' });
+  } catch (error) {
+    logSubscriberEvent('error', 'Subscription confirmation failed.', {
+      pendingId: parsed.pendingId,
+      message: error?.message,
+      code: error?.code,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'We could not confirm your subscription right now. Please try again later.',
+    });
+  }
+});
+
+/**
+ * Mark an address as unsubscribed and credit the unsubscribe to the campaign whose link was used.
+ * With `listId` (the list the email was sent for) only that membership is removed; the address is
+ * unsubscribed altogether when it was the last list it was on.
+ * Returns `{ found, changed, count, leftList }`; `changed` is false when the address had already
+ * unsubscribed or left the list, and `leftList` is the list id when other lists were kept.
+ * A bounced or complained address is already never mailed and keeps that status, so the
+ * suppression reason is not overwritten.
+ */
+async function unsubscribeAddress(
+  email,
+  { campaignId = null, reason = 'unsubscribe-link', listId = null } = {},
+) {
+  const normalized = normalizeEmail(email);
+  const record = await fetchSubscriberRecord(normalized);
+  if (!record) {
+    return { found: false, changed: false };
+  }
+  if (['bounced', 'complained'].includes(record.status)) {
+    return { found: true, changed: false };
+  }
+  if (listId) {
+    const remainingLists = record.lists.filter((id) => id !== listId);
+    if (record.status === 'active' && remainingLists.length === record.lists.length) {
+      return { found: true, changed: false };
+    }
+    if (record.status === 'active' && remainingLists.length) {
+      await writeSubscriberFields(normalized, { lists: remainingLists }, 'hset-subscriber-lists');
+      logSubscriberEvent('info', 'Subscriber left a mailing list.', {
+        email: normalized,
+        list: listId,
+        reason,
+      });
+      if (campaignId) {
+        await recordUnsubscribeMetric(campaignId, normalized);
+      }
+      return { found: true, changed: true, leftList: listId };
+    }
+  }
+  const result = await setSubscriberStatus(email, 'unsubscribed', { reason });
+  if (!result) {
+    return { found: false, changed: false };
+  }
+  if (!result.changed) {
+    return { found: true, changed: false };
+  }
+  const count = await getSubscriberCount({ record: false });
+  if (campaignId) {
+    await recordUnsubscribeMetric(campaignId, normalized);
+  }
+  await recordSubscriberGrowthSnapshot(count);
+  return { found: true, changed: true, count };
+}
+
+/**
+ * Public unsubscribe endpoint. Takes the signed `token` from an unsubscribe link; a bare `email` is
+ * refused, since anyone could post someone else's address.
+ */
+app.post('/api/public/unsubscribe', async (req, res) => {
+  const ip = req.ip;
+  const { token } = req.body || {};
+  const honeypotValue =
+    (req.body && (req.body.honeypot || req.body.hp || req.body.botField)) || '';
+
+  logger.info('Public unsubscribe attempt received.', { ip });
+
+  if (honeypotValue) {
+    recordSuspiciousAttempt(ip, 'honeypot-triggered-unsubscribe');
+    res.status(200).json({ success: false, error: 'Unable to process the request.' });
+    return;
+  }
+
+  if (!token) {
+    if (req.body?.email) {
+      recordSuspiciousAttempt(ip, 'email-only-unsubscribe-rejected', { email: req.body.email });
+    }
+    res.status(403).json({
+      success: false,
+      error: 'Please use the unsubscribe link at the bottom of one of our emails.',
+    });
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = await resolveUnsubscribeToken(token);
+  } catch (error) {
+    logger.error('Failed to resolve unsubscribe token.', { ip, message: error?.message });
+    res.status(500).json({
+      success: false,
+      error: 'We could not process your unsubscribe request right now. Please try again later.',
+    });
+    return;
+  }
+  if (!parsed) {
+    recordSuspiciousAttempt(ip, 'invalid-unsubscribe-token');
+    res.status(400).json({ success: false, error: 'This unsubscribe link is not valid.' });
+    return;
+  }
+  if (!parsed.email) {
+    // The subscriber behind this link has been erased, so there is nobody left to unsubscribe.
+    res.json({ success: true, message: 'You are already unsubscribed.' });
+    return;
+  }
+  const { email, campaignId: linkCampaignId, listId: linkListId } = parsed;
+
+  const normalizedEmail = normalizeEmail(email);
+  const canonicalEmail = extractEmailAddress(email);
+
+  try {
+    const sendStartedAt = new Date();
+    const campaignId = generateCampaignId();
+    const { changed, count: totalCount, leftList } = await unsubscribeAddress(canonicalEmail, {
+      campaignId: linkCampaignId,
+      listId: linkListId,
+      reason: 'unsubscribe-link',
+    });
+    if (!changed) {
+      // A link that was already used (or an address an admin has since deleted): report success again.
+      res.json({ success: true, message: 'You are already unsubscribed.' });
+      return;
+    }
+
+    if (leftList) {
+      const list = await getMailingList(leftList);
+      logger.info('Public list unsubscribe success.', { ip, email: normalizedEmail, list: leftList });
+      res.json({
+        success: true,
+        message: `You will no longer receive ${list?.name || 'this list'}.`,
+        list: leftList,
+      });
+      return;
+    }
+
+    logger.info('Public unsubscribe success.', {
+      ip,
+      email: normalizedEmail,
+      campaignId: linkCampaignId,
+    });
+    logSubscriberEvent('info', 'Subscriber unsubscribed via public API.', {
+      email: normalizedEmail,
+      count: totalCount,
+    });
+    res.json({
+      success: true,
+      message: 'Successfully unsubscribed',
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+      count: totalCount,
+    });
+  } catch (error) {
+    logger.error('Public unsubscribe failed.', {
+      ip,
+      email: normalizedEmail,
+      message: error?.message,
+      code: error?.code,
+    });
+    logSubscriberEvent('error', 'Public unsubscribe failed.', {
+      email: normalizedEmail,
+      message: error?.message,
+      code: error?.code,
+    });
+    res.status(500).json({
+      success: false,
+      error:
+        error instanceof SubscriberStorageError
+          ? 'Subscriber storage is unavailable. Please try again after the Vercel KV connection is restored.'
+          : 'We could not process your unsubscribe request right now. Please try again later.',
+      storage: subscriberStoreMode,
+      kvConnectionHealthy,
+    });
+  }
+});
+
+/**
+ * Preference center API. Every call carries the signed `token` from the "Manage preferences" link
+ * in a newsletter. Responds itself and returns null when the token is not valid (400), has expired
+ * (410) or belongs to nobody any more (404). Callers run it inside their try block.
+ */
+async function resolvePreferencesEmail(req, res, token) {
+  const parsed = parsePreferencesToken(token);
+  if (parsed.error) {
+    if (parsed.error === 'invalid') {
+      recordSuspiciousAttempt(req.ip, 'invalid-preferences-token');
+    }
+    res.status(parsed.error === 'expired' ? 410 : 400).json({
+      success: false,
+      error:
+        parsed.error === 'expired'
+          ? 'This preferences link has expired. Please use the link in a more recent email.'
+          : 'This preferences link is not valid.',
+    });
+    return null;
+  }
+  const email = await findEmailByLinkId(parsed.linkId);
+  if (!email) {
+    res.status(404).json({ success: false, error: 'We could not find this subscription.' });
+  }
+  return email;
+}
+
+app.get('/api/public/preferences', async (req, res) => {
+  let email = null;
+  try {
+    email = await resolvePreferencesEmail(req, res, req.query.token);
+    if (!email) {
+      return;
+    }
+    const record = await fetchSubscriberRecord(email);
+    if (!record) {
+      res.status(404).json({ success: false, error: 'We could not find this subscription.' });
+      return;
+    }
+    res.json({
+      success: true,
+      preferences: serializeSubscriberPreferences(record),
+      lists: (await getMailingLists()).map(({ id, name }) => ({ id, name })),
+      topics: NEWSLETTER_TOPICS,
+      frequencies: SUBSCRIBER_FREQUENCIES,
+      pauseDurations: PAUSE_DURATION_DAYS,
+    });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to load subscriber preferences.', {
+      email,
+      message: error?.message,
+      code: error?.code,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'We could not load your preferences right now. Please try again later.',
+    });
+  }
+});
+
+app.post('/api/public/preferences', async (req, res) => {
+  const { token, ...changes } = req.body || {};
+  let email = null;
+  try {
+    email = await resolvePreferencesEmail(req, res, token);
+    if (!email) {
+      return;
+    }
+    const listIds = (await getMailingLists()).map((list) => list.id);
+    const { updates, error: validationError } = parsePreferenceUpdate(changes, { listIds });
+    if (validationError) {
+      res.status(400).json({ success: false, error: validationError });
+      return;
+    }
+
+    const record = await fetchSubscriberRecord(email);
+    if (!record) {
+      res.status(404).json({ success: false, error: 'We could not find this subscription.' });
+      return;
+    }
+    if (!isActiveSubscriber(record)) {
+      res.status(409).json({
+        success: false,
+        error: 'This address is no longer subscribed, so there is nothing to update.',
+        preferences: serializeSubscriberPreferences(record),
+      });
+      return;
+    }
+
+    await writeSubscriberFields(email, updates, 'hset-subscriber-preferences');
+    logSubscriberEvent('info', 'Subscriber preferences updated.', {
+      email,
+      fields: Object.keys(updates),
+    });
+    recordStorageOperation('update-subscriber-preferences', { email });
+    res.json({
+      success: true,
+      message: 'Your preferences have been saved.',
+      preferences: serializeSubscriberPreferences({ ...record, ...updates }),
+    });
+  } catch (error) {
+    logSubscriberEvent('error', 'Failed to update subscriber preferences.', {
+      email,
+      message: error?.message,
+      code: error?.code,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'We could not save your preferences right now. Please try again later.',
+    });
+  }
+});
+
+app.post('/api/public/preferences/unsubscribe', async (req, res) => {
+  let email = null;
+  try {
+    email = await resolvePreferencesEmail(req, res, req.body?.token);
+    if (!email) {
+      return;
+    }
+    const { found, changed } = await unsubscribeAddress(email, { reason: 'preference-center' });
+    if (!found) {
+      res.status(404).json({ success: false, error: 'We could not find this subscription.' });
+      return;
+    }
+    logSubscriberEvent('info', 'Subscriber unsubscribed from the preference center.', {
+      email,
+      alreadyUnsubscribed: !changed,
+    });
+    res.json({
+      success: true,
+      message: changed ? 'Successfully unsubscribed' : 'You are already unsubscribed.',
+    });
+  } catch (error) {
+    logSubscriberEvent('error', 'Preference center unsubscribe failed.', {
+      email,
+      message: error?.message,
+      code: error?.code,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'We could not process your unsubscribe request right now. Please try again later.',
+    });
+  }
+});
+
+/**
+ * Lightweight status endpoint for external integrations.
+ */
+app.get('/api/test-subscribe', (req, res) => {
+  res.json({
+    status: 'ok',
+    message: 'Newsletter subscription API is reachable.',
+    cors: '*',
+    rateLimit: '10 requests per IP per hour',
+    endpoints: {
+      subscribe: '/api/public/subscribe',
+      unsubscribe: '/api/public/unsubscribe',
+    },
+    example: {
+      subscribe: {
+        method: 'POST',
+        url: '/api/public/subscribe',
+        body: { email: 'user@example.com', name: 'Sample Name' },
+      },
+      unsubscribe: {
+        method: 'POST',
+        url: '/api/public/unsubscribe',
+        body: { token: '<token from the unsubscribe link>' },
+      },
+    },
+  });
+});
+
+/**
+ * Handle image uploads for the newsletter editor by streaming to Cloudinary.
+ */
+app.post(
+  '/api/upload-image',
+  ensureAuthenticatedApi,
+  upload.single('image'),
+  async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ message: 'No image uploaded.' });
+    return;
+  }
+
+  try {
+    const sendStartedAt = new Date();
+    const campaignId = generateCampaignId();
+const uploadResult = await cloudinary.uploader.upload(
+      `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`,
+      {
+        folder: 'newsletter/uploads',
+        use_filename: true,
+        unique_filename: true,
+        resource_type: 'image',
+        transformation: [{ quality: 'auto', fetch_format: 'auto' }],
+      },
+    );
+
+    if (!uploadResult?.secure_url) {
+      throw new Error('Cloudinary did not return a secure URL.');
+    }
+
+    res.status(201).json({ imageUrl: uploadResult.secure_url });
+  } catch (error) {
+    logger.error('Failed to upload image to Cloudinary:', error);
+    res.status(502).json({
+      message: 'Image upload failed. Please try again later.',
+      details: 'Cloud storage is temporarily unavailable.',
+    });
+  }
+  },
+);
+
+/**
+ * Persist a send job so the worker can pick it up (and resume it after a restart).
+ * The job itself only holds the cursor, counters and a short progress history, so a checkpoint
+ * stays small on large lists: recipients are stored once at enqueue time (saveSendJobRecipients)
+ * and per-recipient results live in the campaign's recipient outcomes.
+ * A finished job expires SEND_JOB_RETENTION_DAYS after its last write; the campaign record keeps
+ * the content and results after that.
+ */
+async function saveSendJob(job) {
+  if (!job?.id) {
+    return;
+  }
+  job.updatedAt = new Date().toISOString();
+  const finished = SEND_JOB_FINAL_STATUSES.includes(job.status);
+  job.expiresAt = finished
+    ? new Date(Date.now() + SEND_JOB_RETENTION_SECONDS * 1000).toISOString()
+    : null;
+  const { recipients, ...stored } = job;
+  let summary = null;
+  if (job.summary) {
+    // Jobs queued before outcomes moved out of the job still carry these lists.
+    const { successes, failures, skipped, ...counters } = job.summary;
+    summary = {
+      ...counters,
+      progressUpdates: (job.summary.progressUpdates || []).slice(-SEND_JOB_PROGRESS_HISTORY),
+    };
+  }
+  const payload = { ...stored, summary };
+  if (analyticsUsesKv()) {
+    await withKvRetries(
+      () =>
+        kvClient.set(
+          `${SEND_JOB_PREFIX}${job.id}`,
+          JSON.stringify(payload),
+          finished ? { ex: SEND_JOB_RETENTION_SECONDS } : undefined,
+        ),
+      'send-job-set',
+    );
+    if (finished) {
+      await withKvRetries(
+        () => kvClient.expire(`${SEND_JOB_RECIPIENTS_PREFIX}${job.id}`, SEND_JOB_RETENTION_SECONDS),
+        'send-job-recipients-expire',
+      );
+    }
+    return;
+  }
+  inMemorySendQueue.jobs.set(job.id, JSON.parse(JSON.stringify(payload)));
+}
+
+/**
+ * Store a job's recipient snapshot. Written once when the job is queued; checkpoints never touch it.
+ */
+async function saveSendJobRecipients(jobId, recipients = []) {
+  if (analyticsUsesKv()) {
+    await withKvRetries(
+      () => kvClient.set(`${SEND_JOB_RECIPIENTS_PREFIX}${jobId}`, JSON.stringify(recipients)),
+      'send-job-recipients-set',
+    );
+    return;
+  }
+  inMemorySendQueue.recipients.set(jobId, JSON.parse(JSON.stringify(recipients)));
+}
+
+/**
+ * The recipient snapshot of a job. Jobs queued before recipients were stored on their own carry
+ * them inline.
+ */
+async function getSendJobRecipients(job) {
+  if (Array.isArray(job?.recipients)) {
+    return job.recipients;
+  }
+  if (!job?.id) {
+    return [];
+  }
+  if (analyticsUsesKv()) {
+    const raw = await withKvRetries(
+      () => kvClient.get(`${SEND_JOB_RECIPIENTS_PREFIX}${job.id}`),
+      'send-job-recipients-get',
+    );
+    try {
+      const recipients = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      return Array.isArray(recipients) ? recipients : [];
+    } catch (error) {
+      logger.warn('Failed to parse stored send job recipients.', { jobId: job.id, message: error?.message });
+      return [];
+    }
+  }
+  const recipients = inMemorySendQueue.recipients.get(job.id);
+  return recipients ? JSON.parse(JSON.stringify(recipients)) : [];
+}
+
+async function getSendJob(jobId) {
+  if (!jobId) {
+    return null;
+  }
+  if (analyticsUsesKv()) {
+    const raw = await withKvRetries(
+      () => kvClient.get(`${SEND_JOB_PREFIX}${jobId}`),
+      'send-job-get',
+    );
+    if (!raw) {
+      return null;
+    }
+    try {
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn('Failed to parse stored send job.', { jobId, message: error?.message });
+      return null;
+    }
+  }
+  const job = inMemorySendQueue.jobs.get(jobId);
+  if (job?.expiresAt && Date.parse(job.expiresAt) <= Date.now()) {
+    inMemorySendQueue.jobs.delete(jobId);
+    inMemorySendQueue.recipients.delete(jobId);
+    inMemorySendQueue.controls.delete(jobId);
+    return null;
+  }
+  return job ? JSON.parse(JSON.stringify(job)) : null;
+}
+
+async function enqueueSendJob(job) {
+  await saveSendJobRecipients(job.id, job.recipients);
+  await saveSendJob(job);
+  if (analyticsUsesKv()) {
+    await withKvRetries(() => kvClient.rpush(SEND_QUEUE_KEY, job.id), 'send-queue-push');
+  } else {
+    inMemorySendQueue.queue.push(job.id);
+  }
+  logger.info('Send job enqueued.', { jobId: job.id, recipients: job.recipients?.length || 0 });
+  scheduleSendQueueTick();
+}
+
+async function listQueuedSendJobIds() {
+  if (analyticsUsesKv()) {
+    const ids = await withKvRetries(
+      () => kvClient.lrange(SEND_QUEUE_KEY, 0, -1),
+      'send-queue-list',
+    );
+    return Array.isArray(ids) ? ids.map(String) : [];
+  }
+  return [...inMemorySendQueue.queue];
+}
+
+async function removeSendJobFromQueue(jobId) {
+  if (analyticsUsesKv()) {
+    await withKvRetries(() => kvClient.lrem(SEND_QUEUE_KEY, 0, jobId), 'send-queue-remove');
+    return;
+  }
+  inMemorySendQueue.queue = inMemorySendQueue.queue.filter((id) => id !== jobId);
+}
+
+/**
+ * Pause/cancel requests are stored beside the job rather than on it, so the worker's
+ * checkpoint writes cannot overwrite a request that arrives mid-batch.
+ * A cancel is final: it has its own key, wins over a pause, and is never cleared, so a worker that
+ * claims or resumes the job later still sees it. Passing `null` only withdraws a pause.
+ */
+function sendJobCancelKey(jobId) {
+  return `${SEND_JOB_CONTROL_PREFIX}${jobId}:cancel`;
+}
+
+async function setSendJobControl(jobId, action) {
+  if (analyticsUsesKv()) {
+    if (action === 'cancel') {
+      await withKvRetries(
+        () => kvClient.set(sendJobCancelKey(jobId), action, { ex: SEND_JOB_RETENTION_SECONDS }),
+        'send-job-cancel-set',
+      );
+    } else if (action) {
+      await withKvRetries(
+        () => kvClient.set(`${SEND_JOB_CONTROL_PREFIX}${jobId}`, action),
+        'send-job-control-set',
+      );
+    } else {
+      await withKvRetries(
+        () => kvClient.del(`${SEND_JOB_CONTROL_PREFIX}${jobId}`),
+        'send-job-control-del',
+      );
+    }
+    return;
+  }
+  if (inMemorySendQueue.controls.get(jobId) === 'cancel') {
+    return;
+  }
+  if (action) {
+    inMemorySendQueue.controls.set(jobId, action);
+  } else {
+    inMemorySendQueue.controls.delete(jobId);
+  }
+}
+
+async function getSendJobControl(jobId) {
+  const action = analyticsUsesKv()
+    ? await withKvRetries(
+        async () =>
+          (await kvClient.get(sendJobCancelKey(jobId))) ||
+          kvClient.get(`${SEND_JOB_CONTROL_PREFIX}${jobId}`),
+        'send-job-control-get',
+      )
+    : inMemorySendQueue.controls.get(jobId);
+  return SEND_JOB_CONTROL_ACTIONS.includes(action) ? action : null;
+}
+
+/**
+ * Record every recipient from `fromIndex` onwards as never attempted.
+ */
+async function markRemainingRecipientsSkipped(job, fromIndex, reason) {
+  const remaining = (await getSendJobRecipients(job)).slice(fromIndex);
+  job.summary.skippedCount = (job.summary.skippedCount || 0) + remaining.length;
+  if (job.retryOf) {
+    // A retry's outcomes belong to the original campaign; "skipped" must not hide an earlier failure.
+    return;
+  }
+  await recordRecipientOutcomes(
+    job.id,
+    remaining.map((subscriber) => ({ email: subscriber.email, status: 'skipped', reason, jobId: job.id })),
+  );
+}
+
+/**
+ * Older stored jobs kept per-recipient lists in the summary instead of counters.
+ */
+function ensureSendJobCounters(summary) {
+  summary.sentCount = summary.sentCount ?? summary.successes?.length ?? 0;
+  summary.failedCount = summary.failedCount ?? summary.failures?.length ?? 0;
+  summary.skippedCount = summary.skippedCount ?? summary.skipped?.length ?? 0;
+  summary.recentFailures = summary.recentFailures || (summary.failures || []).slice(-SEND_JOB_RECENT_FAILURES);
+  summary.progressUpdates = summary.progressUpdates || [];
+}
+
+/**
+ * A worker owns a job only while it holds the job's lease key. The key is taken with SET NX so two
+ * workers can never claim the same job, and it expires on its own if the holder dies mid-send.
+ */
+async function acquireSendJobLease(jobId) {
+  if (analyticsUsesKv()) {
+    const result = await withKvRetries(
+      () =>
+        kvClient.set(`${SEND_JOB_LEASE_PREFIX}${jobId}`, SEND_WORKER_ID, {
+          nx: true,
+          px: SEND_JOB_LEASE_MS,
+        }),
+      'send-job-lease-acquire',
+    );
+    return result === 'OK';
+  }
+  const lease = inMemorySendQueue.leases.get(jobId);
+  if (lease && lease.expiresAt > Date.now()) {
+    return false;
+  }
+  inMemorySendQueue.leases.set(jobId, {
+    workerId: SEND_WORKER_ID,
+    expiresAt: Date.now() + SEND_JOB_LEASE_MS,
+  });
+  return true;
+}
+
+/**
+ * Extend a lease this worker still holds. Returns false when the lease was lost (it expired and
+ * another worker took the job), in which case the caller must stop sending.
+ */
+async function renewSendJobLease(jobId) {
+  const key = `${SEND_JOB_LEASE_PREFIX}${jobId}`;
+  if (analyticsUsesKv()) {
+    const holder = await withKvRetries(() => kvClient.get(key), 'send-job-lease-get');
+    if (holder !== SEND_WORKER_ID) {
+      return false;
+    }
+    const result = await withKvRetries(
+      () => kvClient.set(key, SEND_WORKER_ID, { xx: true, px: SEND_JOB_LEASE_MS }),
+      'send-job-lease-renew',
+    );
+    return result === 'OK';
+  }
+  const lease = inMemorySendQueue.leases.get(jobId);
+  if (lease?.workerId !== SEND_WORKER_ID) {
+    return false;
+  }
+  lease.expiresAt = Date.now() + SEND_JOB_LEASE_MS;
+  return true;
+}
+
+async function releaseSendJobLease(jobId) {
+  const key = `${SEND_JOB_LEASE_PREFIX}${jobId}`;
+  if (analyticsUsesKv()) {
+    const holder = await withKvRetries(() => kvClient.get(key), 'send-job-lease-get');
+    if (holder === SEND_WORKER_ID) {
+      await withKvRetries(() => kvClient.del(key), 'send-job-lease-release');
+    }
+    return;
+  }
+  if (inMemorySendQueue.leases.get(jobId)?.workerId === SEND_WORKER_ID) {
+    inMemorySendQueue.leases.delete(jobId);
+  }
+}
+
+/**
+ * Find the oldest job that is waiting, whose daily-limit deferral is over, or that is still marked
+ * running but whose worker lease expired (e.g. the process restarted mid-send). Jobs with a cancel
+ * request are never claimed; the cancel route closes them out.
+ */
+async function claimNextSendJob() {
+  const ids = await listQueuedSendJobIds();
+  const now = Date.now();
+  for (const id of ids) {
+    // eslint-disable-next-line no-await-in-loop
+    const job = await getSendJob(id);
+    if (!job) {
+      // eslint-disable-next-line no-await-in-loop
+      await removeSendJobFromQueue(id);
+      continue;
+    }
+    if (SEND_JOB_FINAL_STATUSES.includes(job.status)) {
+      // eslint-disable-next-line no-await-in-loop
+      await removeSendJobFromQueue(id);
+      continue;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    if (job.status !== 'running' && (await getSendJobControl(id)) === 'cancel') {
+      continue;
+    }
+    const deferralOver = job.status === 'deferred' && Date.parse(job.deferredUntil) <= now;
+    if (job.status !== 'queued' && !deferralOver && job.status !== 'running') {
+      continue;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    if (!(await acquireSendJobLease(id))) {
+      continue;
+    }
+    // Re-read under the lease: the previous holder may have finished or paused the job meanwhile.
+    // eslint-disable-next-line no-await-in-loop
+    const claimed = await getSendJob(id);
+    const stillClaimable =
+      claimed &&
+      (claimed.status === 'queued' ||
+        claimed.status === 'running' ||
+        (claimed.status === 'deferred' && Date.parse(claimed.deferredUntil) <= now));
+    if (!stillClaimable) {
+      // eslint-disable-next-line no-await-in-loop
+      await releaseSendJobLease(id);
+      continue;
+    }
+    if (claimed.status === 'running') {
+      logger.warn('Resuming send job after an interrupted worker.', {
+        jobId: claimed.id,
+        cursor: claimed.cursor,
+      });
+    }
+    claimed.status = 'running';
+    claimed.workerAttempts = (claimed.workerAttempts || 0) + 1;
+    claimed.startedAt = claimed.startedAt || new Date().toISOString();
+    // eslint-disable-next-line no-await-in-loop
+    await saveSendJob(claimed);
+    return claimed;
+  }
+  return null;
+}
+
+/**
+ * Deliver one queued campaign: personalized emails in rate-limited batches, checkpointing
+ * progress to storage so an interrupted job continues from its cursor instead of starting over.
+ */
+async function runSendJob(job, lease = { lost: false }) {
+  const { title, sanitizedContent, previewSnippet, unsubscribeBase } = job;
+  const strippedContent = stripHtml(sanitizedContent);
+  if (Array.isArray(job.recipients)) {
+    // Move an inline recipient list to its own key before the first checkpoint drops it from the job.
+    await saveSendJobRecipients(job.id, job.recipients);
+  }
+  const recipients = await getSendJobRecipients(job);
+  const totalSubscribers = recipients.length;
+  const summary = job.summary;
+  ensureSendJobCounters(summary);
+  const batchesEstimated = summary.batchesEstimated;
+  const queueStart = performance.now();
+  let processed = Math.max(0, Number(job.cursor) || 0);
+  let lastCheckpointAt = processed;
+  let haltAction = null;
+  let deferredUntil = null;
+  // Retries report into the original campaign and must never re-send to an address that already got it.
+  const outcomeCampaignId = job.retryOf || job.id;
+  // Read once per run; a deferred or resumed job picks up flags added in the meantime.
+  const suppressed = await getSuppressedSubscribers();
+  // Also covers a resumed job: a batch that went out after the last checkpoint is not sent twice.
+  // Maps each delivered address to the job that sent it.
+  const alreadyDelivered = new Map();
+  Object.values(await getRecipientOutcomes(outcomeCampaignId)).forEach((outcome) => {
+    if (outcome.status === 'sent') {
+      alreadyDelivered.set(outcome.email, outcome.jobId);
+    }
+  });
+
+  const trackedLinks = extractTrackableLinks(sanitizedContent);
+  // From headers by list id, read per run so a renamed sender applies to the rest of a deferred send.
+  const senders = new Map((await getMailingLists()).map((list) => [list.id, formatListSender(list)]));
+  let campaignRecord = await getCampaignRecord(outcomeCampaignId);
+  // Checked before anything is published: a campaign paused or cancelled before its first batch
+  // must not appear in the archive.
+  haltAction = await getSendJobControl(job.id);
+  if (!haltAction && !job.retryOf && !campaignRecord) {
+    // Published before the first batch so the "view in browser" link works as soon as mail lands.
+    let archiveSlug = null;
+    try {
+      archiveSlug = (
+        await publishCampaignToArchive({
+          campaignId: job.id,
+          title,
+          previewText: previewSnippet,
+          content: sanitizedContent,
+          excluded: job.excludeFromArchive,
+        })
+      ).slug;
+    } catch (error) {
+      logger.warn('Failed to publish campaign to the archive.', { jobId: job.id, message: error?.message });
+    }
+    // Snapshot the content and audience here: finished send jobs expire, while the campaign report
+    // and "retry failures" keep working from the record.
+    campaignRecord = {
+      id: job.id,
+      title,
+      previewText: previewSnippet || '',
+      content: sanitizedContent,
+      lists: job.lists || [],
+      topic: job.topic || '',
+      digest: Boolean(job.digest),
+      unsubscribeBase,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt || new Date().toISOString(),
+      recipients: totalSubscribers,
+      status: 'sending',
+      links: trackedLinks,
+      archiveSlug,
+      excludeFromArchive: Boolean(job.excludeFromArchive),
+      metrics: createEmptyMetricSnapshot(),
+    };
+    await saveCampaignRecord(campaignRecord);
+  }
+  const archiveUrl = campaignRecord?.archiveSlug && !campaignRecord.excludeFromArchive
+    ? buildArchiveUrl(unsubscribeBase, campaignRecord.archiveSlug)
+    : '';
+
+  logger.info('Send job started.', {
+    jobId: job.id,
+    totalSubscribers,
+    resumeFrom: processed,
+    batchSize: RESEND_BATCH_SIZE,
+  });
+
+  while (!haltAction && processed < totalSubscribers) {
+    if (lease.lost) {
+      break;
+    }
+    haltAction = await getSendJobControl(job.id);
+    if (haltAction) {
+      break;
+    }
+
+    const quota = await getDailySendQuota();
+    if (quota.enforced && quota.remaining <= 0) {
+      deferredUntil = quota.resetsAt;
+      break;
+    }
+
+    const batchIndex = Math.floor(processed / RESEND_BATCH_SIZE);
+    const batchSize = quota.enforced ? Math.min(RESEND_BATCH_SIZE, quota.remaining) : RESEND_BATCH_SIZE;
+    const batchEnd = Math.min(processed + batchSize, totalSubscribers);
+    const batch = recipients.slice(processed, batchEnd);
+    // The recipient list is a snapshot; anyone who unsubscribed, was cleaned or paused since is dropped here.
+    const unsendable = await findUnsendableRecipients(
+      batch.map((subscriber) => normalizeEmail(subscriber.email)).filter(Boolean),
+    );
+
+    const pending = [];
+    const outcomes = [];
+    batch.forEach((subscriber, offset) => {
+      const queueIndex = processed + offset + 1;
+      const suppression = suppressed.get(normalizeEmail(subscriber.email));
+      const currentStatus = unsendable.get(normalizeEmail(subscriber.email));
+      let skip = null;
+      if (alreadyDelivered.has(normalizeEmail(subscriber.email))) {
+        // Sent by this job before an interrupted worker could checkpoint it, or by an earlier job.
+        if (alreadyDelivered.get(normalizeEmail(subscriber.email)) === job.id) {
+          summary.sentCount += 1;
+        } else {
+          summary.skippedCount += 1;
+        }
+      } else if (currentStatus) {
+        skip = { reason: currentStatus };
+      } else if (suppression) {
+        skip = { reason: suppression.reason, detail: suppression.detail };
+      } else {
+        pending.push({ subscriber, queueIndex });
+      }
+      if (skip) {
+        summary.skippedCount += 1;
+        // A retry reports into the original campaign, where the address keeps its failed outcome.
+        if (!job.retryOf) {
+          outcomes.push({ email: subscriber.email, status: 'skipped', ...skip, jobId: job.id });
+        }
+      }
+    });
+    // Jobs queued before link ids existed snapshot recipients without one.
+    for (const { subscriber } of pending.filter((entry) => !entry.subscriber.linkId)) {
+      // eslint-disable-next-line no-await-in-loop
+      await ensureSubscriberLinkId(subscriber);
+    }
+
+    const results = pending.length
+      ? await sendNewsletterBatch(
+          pending.map((entry) => entry.subscriber),
+          {
+            title,
+            sanitizedContent,
+            previewSnippet,
+            strippedContent,
+            unsubscribeBase,
+            campaignId: outcomeCampaignId,
+            trackedLinks,
+            archiveUrl,
+            senders,
+          },
+        )
+      : [];
+
+    results.forEach((result, position) => {
+      const { queueIndex } = pending[position];
+      let failure = null;
+
+      if (result.success) {
+        summary.sentCount += 1;
+        outcomes.push({
+          email: result.recipientEmail,
+          status: 'sent',
+          jobId: job.id,
+          attempts: result.attempt,
+          messageId: result.data?.id,
+        });
+      } else {
+        const failureMessage = result.error?.message || 'Unknown email transport error.';
+        failure = {
+          email: result.recipientEmail,
+          error: failureMessage,
+          statusCode: result.error?.statusCode || result.error?.response?.statusCode || undefined,
+          attempts: result.attempt,
+          retryBackoffMs: result.retryDelays,
+          response: result.resendResponse,
+          suggestions: buildResendSuggestions(failureMessage),
+          batch: batchIndex + 1,
+          queueIndex,
+          rateLimitExceeded: isRateLimitError(result.error),
+          unsubscribeLink: result.unsubscribeLink,
+        };
+        summary.failedCount += 1;
+        summary.recentFailures = [...summary.recentFailures, failure].slice(-SEND_JOB_RECENT_FAILURES);
+        outcomes.push({
+          email: result.recipientEmail,
+          status: 'failed',
+          jobId: job.id,
+          attempts: result.attempt,
+          error: failure.error,
+          statusCode: failure.statusCode,
+        });
+      }
+
+      const progressEntry = {
+        processed: queueIndex,
+        sent: summary.sentCount,
+        failed: summary.failedCount,
+        total: totalSubscribers,
+        batch: batchIndex + 1,
+        timestamp: new Date().toISOString(),
+        message: `Processed ${queueIndex}/${totalSubscribers} (sent ${summary.sentCount}, failed ${summary.failedCount}).`,
+      };
+      summary.progressUpdates.push(progressEntry);
+      if (summary.progressUpdates.length > SEND_JOB_PROGRESS_HISTORY) {
+        summary.progressUpdates.shift();
+      }
+
+      emitCampaignEvent(job.id, 'progress', {
+        ...progressEntry,
+        email: result.recipientEmail,
+        success: result.success,
+        ...(failure ? { error: failure.error, statusCode: failure.statusCode } : {}),
+      });
+    });
+
+    await recordRecipientOutcomes(outcomeCampaignId, outcomes);
+    await updateWarmupCounter(results.length);
+    processed = batchEnd;
+
+    logger.info('Newsletter send progress update.', {
+      jobId: job.id,
+      processed,
+      total: totalSubscribers,
+      sent: summary.sentCount,
+      failed: summary.failedCount,
+      batch: batchIndex + 1,
+      batchSize: batch.length,
+      progressMessage: `Sent ${summary.sentCount}/${totalSubscribers} emails...`,
+    });
+
+    job.cursor = processed;
+    if (processed - lastCheckpointAt >= SEND_JOB_CHECKPOINT_INTERVAL || processed >= totalSubscribers) {
+      await saveSendJob(job);
+      lastCheckpointAt = processed;
+    }
+
+    if (processed < totalSubscribers) {
+      logger.info('Rate limit pause between batches.', {
+        jobId: job.id,
+        completedBatch: batchIndex + 1,
+        delayMs: RESEND_BATCH_DELAY_MS,
+      });
+      await sleep(RESEND_BATCH_DELAY_MS);
+    }
+  }
+
+  if (lease.lost) {
+    // Another worker owns the job now and resumes it from the stored checkpoint.
+    logger.warn('Send job lease lost; stopping this worker.', { jobId: job.id, processed });
+    return;
+  }
+
+  const elapsedMs = Math.round(performance.now() - queueStart);
+  summary.elapsedMs = (summary.elapsedMs || 0) + elapsedMs;
+  job.cursor = processed;
+
+  if (haltAction === 'pause' && (await getSendJobControl(job.id)) === 'cancel') {
+    // A cancel that arrived while the last batch was sending wins over the pause.
+    haltAction = 'cancel';
+  }
+
+  if (haltAction === 'pause') {
+    job.status = 'paused';
+    job.pausedAt = new Date().toISOString();
+    await saveSendJob(job);
+    await setSendJobControl(job.id, null);
+    logger.info('Send job paused.', { jobId: job.id, processed, total: totalSubscribers });
+    emitCampaignEvent(job.id, 'status', buildCampaignStatusPayload(job));
+    return;
+  }
+
+  if (deferredUntil) {
+    job.status = 'deferred';
+    job.deferredUntil = deferredUntil;
+    job.deferrals = (job.deferrals || 0) + 1;
+    await saveSendJob(job);
+    logger.info('Daily send limit reached; deferring the rest of the campaign.', {
+      jobId: job.id,
+      processed,
+      remaining: totalSubscribers - processed,
+      deferredUntil,
+    });
+    emitCampaignEvent(job.id, 'status', buildCampaignStatusPayload(job));
+    return;
+  }
+
+  if (haltAction === 'cancel') {
+    await markRemainingRecipientsSkipped(job, processed, 'cancelled');
+  }
+
+  await finalizeSendJob(job, { cancelled: haltAction === 'cancel' });
+}
+
+/**
+ * The archive copy is published before the first batch so "view in browser" links work. A campaign
+ * that was cancelled or failed outright is taken back out, the same way as `excluded` from the
+ * campaign report, which can publish it again.
+ */
+async function withdrawCampaignFromArchive(campaignId) {
+  const record = await getCampaignRecord(campaignId);
+  const issue = record?.archiveSlug ? await getArchivedIssue(record.archiveSlug) : null;
+  if (!issue || issue.excluded) {
+    return;
+  }
+  await saveArchivedIssue({ ...issue, excluded: true });
+  await saveCampaignRecord({ ...record, excludeFromArchive: true });
+  logger.info('Campaign withdrawn from the archive.', { campaignId, slug: issue.slug });
+}
+
+/**
+ * Close out a send job: compute the summary totals, store campaign analytics and mark the job final.
+ * Recipients a cancelled job never reached are already recorded as skipped outcomes.
+ */
+async function finalizeSendJob(job, { cancelled = false } = {}) {
+  const { title } = job;
+  const summary = job.summary;
+  const recipients = await getSendJobRecipients(job);
+  const totalSubscribers = recipients.length;
+  const processed = Math.max(0, Number(job.cursor) || 0);
+
+  summary.completedBatches = Math.ceil(processed / RESEND_BATCH_SIZE);
+  summary.completedAt = new Date().toISOString();
+  summary.totalProcessed = processed;
+  summary.successRate = processed > 0 ? Number((summary.sentCount / processed).toFixed(4)) : 0;
+
+  let campaignStatus =
+    summary.failedCount === 0 ? 'success' : summary.sentCount === 0 ? 'failed' : 'partial';
+  if (cancelled) {
+    campaignStatus = 'cancelled';
+  }
+  summary.status = campaignStatus;
+
+  logger.info(cancelled ? 'Newsletter send cancelled.' : 'Newsletter send completed.', {
+    jobId: job.id,
+    totalSubscribers,
+    sent: summary.sentCount,
+    failed: summary.failedCount,
+    skipped: summary.skippedCount,
+    elapsedMs: summary.elapsedMs,
+    batchesProcessed: summary.completedBatches,
+  });
+
+  try {
+    if (job.retryOf) {
+      await applyRetryToCampaignSummary(job);
+    } else {
+      await storeCampaignSummary({
+        id: job.id,
+        title,
+        sentAt: summary.completedAt,
+        recipients: totalSubscribers,
+        delivered: summary.sentCount,
+        skipped: summary.skippedCount,
+        failed: summary.failedCount,
+        successCount: summary.sentCount,
+        failureCount: summary.failedCount,
+        status: campaignStatus,
+      });
+      const campaignRecord = await getCampaignRecord(job.id);
+      if (campaignRecord) {
+        await saveCampaignRecord({
+          ...campaignRecord,
+          sentAt: summary.completedAt,
+          completedAt: summary.completedAt,
+          elapsedMs: summary.elapsedMs,
+          status: campaignStatus,
+          skipped: summary.skippedCount,
+          metrics: {
+            ...campaignRecord.metrics,
+            sent: processed,
+            delivered: DELIVERY_WEBHOOKS_ENABLED ? campaignRecord.metrics.delivered : summary.sentCount,
+            failed: summary.failedCount,
+          },
+        });
+      }
+      const aggregateMetrics = await getAggregateMetrics();
+      aggregateMetrics.sent = Math.max(0, (aggregateMetrics.sent || 0) + processed);
+      if (!DELIVERY_WEBHOOKS_ENABLED) {
+        aggregateMetrics.delivered = Math.max(0, (aggregateMetrics.delivered || 0) + summary.sentCount);
+      }
+      aggregateMetrics.failed = Math.max(0, (aggregateMetrics.failed || 0) + summary.failedCount);
+      await saveAggregateMetrics(aggregateMetrics);
+    }
+  } catch (analyticsError) {
+    logger.warn('Failed to persist campaign summary analytics.', {
+      jobId: job.id,
+      message: analyticsError?.message,
+    });
+  }
+
+  if (!job.retryOf && (cancelled || campaignStatus === 'failed')) {
+    await withdrawCampaignFromArchive(job.id).catch((error) => {
+      logger.warn('Failed to withdraw campaign from the archive.', { jobId: job.id, message: error?.message });
+    });
+  }
+
+  lastEmailDiagnostic = {
+    timestamp: new Date().toISOString(),
+    status: campaignStatus === 'failed' ? 'error' : campaignStatus,
+    context: 'send-newsletter',
+    campaignId: job.id,
+    recipients: recipients.map((subscriber) => normalizeEmail(subscriber.email)).filter(Boolean),
+    durationMs: summary.elapsedMs,
+    response: summary,
+  };
+
+  job.status = cancelled ? 'cancelled' : 'completed';
+  job.completedAt = summary.completedAt;
+  await saveSendJob(job);
+  await removeSendJobFromQueue(job.id);
+  emitCampaignEvent(job.id, 'complete', buildCampaignStatusPayload(job));
+}
+
+/**
+ * Fold a finished retry job back into the original campaign: recount delivered/failed from the
+ * stored recipient outcomes and move recovered addresses from `failed` to `delivered` in the aggregates.
+ */
+async function applyRetryToCampaignSummary(job) {
+  const original = await getCampaignSummary(job.retryOf);
+  const outcomes = Object.values(await getRecipientOutcomes(job.retryOf));
+  const delivered = outcomes.filter((outcome) => outcome.status === 'sent').length;
+  const failed = outcomes.filter((outcome) => outcome.status === 'failed').length;
+  const status =
+    original?.status === 'cancelled'
+      ? 'cancelled'
+      : failed === 0
+        ? 'success'
+        : delivered === 0
+          ? 'failed'
+          : 'partial';
+  if (original) {
+    await storeCampaignSummary({
+      ...original,
+      delivered,
+      failed,
+      successCount: delivered,
+      failureCount: failed,
+      status,
+    });
+  }
+  const campaignRecord = await getCampaignRecord(job.retryOf);
+  if (campaignRecord) {
+    await saveCampaignRecord({
+      ...campaignRecord,
+      status,
+      metrics: {
+        ...campaignRecord.metrics,
+        delivered: DELIVERY_WEBHOOKS_ENABLED ? campaignRecord.metrics.delivered : delivered,
+        failed,
+      },
+    });
+  }
+  const recovered = job.summary.sentCount;
+  const aggregateMetrics = await getAggregateMetrics();
+  if (!DELIVERY_WEBHOOKS_ENABLED) {
+    aggregateMetrics.delivered = Math.max(0, (aggregateMetrics.delivered || 0) + recovered);
+  }
+  aggregateMetrics.failed = Math.max(0, (aggregateMetrics.failed || 0) - recovered);
+  await saveAggregateMetrics(aggregateMetrics);
+  logger.info('Retry folded into original campaign.', {
+    campaignId: job.retryOf,
+    retryJobId: job.id,
+    recovered,
+    stillFailing: failed,
+  });
+}
+
+async function processSendQueue() {
+  if (sendQueueState.busy) {
+    return;
+  }
+  sendQueueState.busy = true;
+  sendQueueState.lastTickAt = new Date().toISOString();
+  try {
+    let job = await claimNextSendJob();
+    while (job) {
+      sendQueueState.activeJobId = job.id;
+      const jobId = job.id;
+      const lease = { lost: false };
+      // Renewed on a timer so a slow batch or a long rate-limit pause never lets the lease lapse.
+      const leaseTimer = setInterval(() => {
+        renewSendJobLease(jobId)
+          .then((held) => {
+            if (!held) {
+              lease.lost = true;
+            }
+          })
+          .catch((error) => {
+            logger.warn('Failed to renew send job lease.', { jobId, message: error?.message });
+          });
+      }, SEND_JOB_LEASE_RENEW_MS);
+      leaseTimer.unref?.();
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await runSendJob(job, lease);
+      } catch (error) {
+        logger.error('Send job failed unexpectedly.', {
+          jobId: job.id,
+          message: error?.message,
+          stack: error?.stack,
+          code: error?.code,
+        });
+        job.status = 'failed';
+        job.error = { message: error?.message || 'Unknown error occurred.', code: error?.code };
+        job.completedAt = new Date().toISOString();
+        lastEmailDiagnostic = {
+          timestamp: new Date().toISOString(),
+          status: 'error',
+          context: 'send-newsletter',
+          campaignId: job.id,
+          recipients: [],
+          error: { message: error?.message, statusCode: error?.statusCode },
+        };
+        // eslint-disable-next-line no-await-in-loop
+        await saveSendJob(job).catch(() => {});
+        // eslint-disable-next-line no-await-in-loop
+        await removeSendJobFromQueue(job.id).catch(() => {});
+        emitCampaignEvent(job.id, 'complete', buildCampaignStatusPayload(job));
+      } finally {
+        clearInterval(leaseTimer);
+        // eslint-disable-next-line no-await-in-loop
+        await releaseSendJobLease(jobId).catch(() => {});
+      }
+      sendQueueState.activeJobId = null;
+      // eslint-disable-next-line no-await-in-loop
+      job = await claimNextSendJob();
+    }
+  } catch (error) {
+    logger.error('Send queue tick failed.', { message: error?.message });
+  } finally {
+    sendQueueState.busy = false;
+  }
+}
+
+function emitCampaignEvent(campaignId, type, data) {
+  if (!campaignId) {
+    return;
+  }
+  campaignEvents.emit(campaignId, { type, data });
+}
+
+function scheduleSendQueueTick() {
+  setImmediate(() => {
+    processSendQueue();
+  });
+}
+
+function startSendQueueWorker() {
+  if (sendQueueState.timer) {
+    return;
+  }
+  sendQueueState.timer = setInterval(processSendQueue, SEND_QUEUE_POLL_INTERVAL_MS);
+  logger.info('Send queue worker started.', {
+    pollIntervalMs: SEND_QUEUE_POLL_INTERVAL_MS,
+    storage: analyticsUsesKv() ? 'kv' : 'memory',
+  });
+  scheduleSendQueueTick();
+}
+
+/**
+ * Shape a stored send job into the payload polled by the dashboard.
+ */
+function buildCampaignStatusPayload(job) {
+  const summary = job.summary || {};
+  const progressUpdates = summary.progressUpdates || [];
+  const finished = SEND_JOB_FINAL_STATUSES.includes(job.status);
+  return {
+    campaignId: job.id,
+    retryOf: job.retryOf || null,
+    status: job.status,
+    campaignStatus: summary.status || null,
+    title: job.title,
+    total: job.recipients?.length ?? summary.total ?? 0,
+    processed: Number(job.cursor) || 0,
+    sent: summary.sentCount ?? summary.successes?.length ?? 0,
+    failed: summary.failedCount ?? summary.failures?.length ?? 0,
+    skipped: summary.skippedCount ?? summary.skipped?.length ?? 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    pausedAt: job.status === 'paused' ? job.pausedAt || null : null,
+    deferredUntil: job.status === 'deferred' ? job.deferredUntil || null : null,
+    completedAt: job.completedAt || null,
+    updatedAt: job.updatedAt || null,
+    progress: progressUpdates[progressUpdates.length - 1] || null,
+    recentFailures: (summary.recentFailures || summary.failures || [])
+      .slice(-SEND_JOB_RECENT_FAILURES)
+      .map((failure) => ({
+        email: failure.email,
+        error: failure.error,
+        statusCode: failure.statusCode,
+      })),
+    error: job.error || null,
+    summary: finished ? summary : undefined,
+  };
+}
+
+/**
+ * Load the active subscribers on the campaign's `lists` (every list when empty) whose preferences
+ * match its `{ topic, digest }` audience, and make sure they can be mailed. Paused subscribers are
+ * left out, and an address on several of the lists is only included once.
+ * Throws CampaignSendError when the list is empty or contains invalid addresses.
+ */
+async function loadSendableSubscribers(audience = {}) {
+  const listIds = audience.lists || [];
+  const byEmail = new Map();
+  (await getSubscribers()).forEach((subscriber) => {
+    if (isActiveSubscriber(subscriber) && (!listIds.length || subscriberInLists(subscriber, listIds))) {
+      byEmail.set(normalizeEmail(subscriber.email), subscriber);
+    }
+  });
+  const active = Array.from(byEmail.values());
+  if (active.length === 0) {
+    throw new CampaignSendError('No subscribers available to send the newsletter.', {
+      code: 'no-subscribers',
+    });
+  }
+  const subscribers = active.filter((subscriber) => subscriberWantsCampaign(subscriber, audience));
+  if (subscribers.length === 0) {
+    throw new CampaignSendError(
+      'None of your active subscribers want this issue. Check the topic and digest setting, or whether readers have paused.',
+      { code: 'no-subscribers' },
+    );
+  }
+  const invalidList = subscribers
+    .filter((subscriber) => !isValidEmail(subscriber.email))
+    .map((subscriber) => subscriber.email);
+  if (invalidList.length > 0) {
+    throw new CampaignSendError(
+      'One or more subscriber email addresses are invalid. Please fix them and try again.',
+      { code: 'invalid-subscribers', details: { invalidEmails: invalidList } },
+    );
+  }
+  for (const subscriber of subscribers.filter((candidate) => !candidate.linkId)) {
+    // eslint-disable-next-line no-await-in-loop
+    await ensureSubscriberLinkId(subscriber);
+  }
+  return subscribers;
+}
+
+/**
+ * Validate the optional `lists`, `topic` and `digest` of a send request.
+ * Throws CampaignSendError for an unknown list or topic.
+ */
+async function parseCampaignAudience({ lists, topic, digest } = {}) {
+  const listIds = Array.isArray(lists) ? [...new Set(lists)] : [];
+  if (listIds.length) {
+    const knownIds = (await getMailingLists()).map((list) => list.id);
+    const unknown = listIds.filter((listId) => !knownIds.includes(listId));
+    if (unknown.length) {
+      throw new CampaignSendError(`Unknown mailing lists: ${unknown.join(', ')}.`, {
+        code: 'invalid-list',
       });
-      return;
     }
+  }
+  const topicId = typeof topic === 'string' ? topic.trim() : '';
+  if (topicId && !NEWSLETTER_TOPICS.some((entry) => entry.id === topicId)) {
+    throw new CampaignSendError(`Unknown topic "${topicId}".`, { code: 'invalid-topic' });
+  }
+  return { lists: listIds, topic: topicId, digest: digest === true };
+}
 
-    const totalCount = await getSubscriberCount({ record: false });
+/**
+ * Snapshot the recipients and rendered content into a queued send job.
+ */
+function buildSendJob(
+  campaignId,
+  subscribers,
+  {
+    title,
+    sanitizedContent,
+    previewSnippet,
+    excludeFromArchive = false,
+    lists = [],
+    topic = '',
+    digest = false,
+  },
+) {
+  const createdAt = new Date().toISOString();
+  const totalSubscribers = subscribers.length;
+  const batchesEstimated = Math.ceil(totalSubscribers / RESEND_BATCH_SIZE);
+  const estimatedDurationMs = Math.max(batchesEstimated - 1, 0) * RESEND_BATCH_DELAY_MS;
+  const estimatedCompletion = new Date(Date.now() + estimatedDurationMs).toISOString();
 
-    logSubscriberEvent('info', 'Subscriber removed via API.', {
-      email: normalizeEmail(normalizedTarget),
-      count: totalCount,
-      confirmed: verification.confirmed,
+  return {
+    id: campaignId,
+    status: 'queued',
+    createdAt,
+    title,
+    sanitizedContent,
+    previewSnippet,
+    excludeFromArchive: Boolean(excludeFromArchive),
+    lists,
+    topic,
+    digest,
+    unsubscribeBase: appUrl.replace(/\/$/, ''),
+    recipients: subscribers.map((subscriber) => {
+      // The list whose sender name the recipient sees: the first targeted list they are on.
+      const senderList =
+        subscriber.list ||
+        lists.find((listId) => subscriber.lists?.includes(listId)) ||
+        subscriber.lists?.[0];
+      return {
+        email: subscriber.email,
+        linkId: subscriber.linkId,
+        ...(subscriber.name ? { name: subscriber.name } : {}),
+        ...(senderList ? { list: senderList } : {}),
+      };
+    }),
+    cursor: 0,
+    summary: {
+      id: campaignId,
+      total: totalSubscribers,
+      batchSize: RESEND_BATCH_SIZE,
+      batchesEstimated,
+      delayMsBetweenBatches: RESEND_BATCH_DELAY_MS,
+      estimatedCompletion,
+      sentCount: 0,
+      failedCount: 0,
+      skippedCount: 0,
+      recentFailures: [],
+      progressUpdates: [],
+      startedAt: createdAt,
+      estimatedDurationMs,
+    },
+  };
+}
+
+/**
+ * Validate a requested send-at time. Returns the parsed Date or throws CampaignSendError.
+ */
+function parseSendAt(value) {
+  const sendAt = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(sendAt.getTime())) {
+    throw new CampaignSendError('sendAt must be an ISO 8601 date/time.', { code: 'invalid-send-at' });
+  }
+  const delta = sendAt.getTime() - Date.now();
+  if (delta <= 0) {
+    throw new CampaignSendError('sendAt must be in the future.', { code: 'send-at-in-past' });
+  }
+  if (delta > MAX_SCHEDULE_AHEAD_MS) {
+    throw new CampaignSendError('Campaigns can be scheduled at most one year ahead.', {
+      code: 'send-at-too-far',
     });
+  }
+  return sendAt;
+}
 
-    await recordSubscriberGrowthSnapshot(totalCount);
+async function saveScheduledCampaign(record) {
+  const payload = { ...record, updatedAt: new Date().toISOString() };
+  const isPending = payload.status === 'scheduled';
+  if (analyticsUsesKv()) {
+    await withKvRetries(
+      () => kvClient.set(`${SCHEDULED_CAMPAIGN_PREFIX}${payload.id}`, JSON.stringify(payload)),
+      'scheduled-campaign-set',
+    );
+    if (isPending) {
+      await withKvRetries(
+        () =>
+          kvClient.zadd(SCHEDULED_CAMPAIGN_ZSET_KEY, {
+            score: Date.parse(payload.sendAt),
+            member: payload.id,
+          }),
+        'scheduled-campaign-zadd',
+      );
+    } else {
+      await withKvRetries(
+        () => kvClient.zrem(SCHEDULED_CAMPAIGN_ZSET_KEY, payload.id),
+        'scheduled-campaign-zrem',
+      );
+    }
+    return payload;
+  }
+  inMemoryScheduledCampaigns.set(payload.id, payload);
+  return payload;
+}
 
-    res.status(200).json({
-      message: 'Subscriber removed.',
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
-      verification,
-      count: totalCount,
-    });
+async function getScheduledCampaign(campaignId) {
+  if (!campaignId) {
+    return null;
+  }
+  if (analyticsUsesKv()) {
+    const raw = await withKvRetries(
+      () => kvClient.get(`${SCHEDULED_CAMPAIGN_PREFIX}${campaignId}`),
+      'scheduled-campaign-get',
+    );
+    if (!raw) {
+      return null;
+    }
+    try {
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn('Failed to parse scheduled campaign.', { campaignId, message: error?.message });
+      return null;
+    }
+  }
+  const record = inMemoryScheduledCampaigns.get(campaignId);
+  return record ? { ...record } : null;
+}
+
+/**
+ * Pending scheduled campaigns ordered by send time. Pass `dueBefore` to only return due ones.
+ */
+async function listScheduledCampaigns({ dueBefore } = {}) {
+  const maxScore = dueBefore ? dueBefore.getTime() : Number.POSITIVE_INFINITY;
+  if (analyticsUsesKv()) {
+    const ids = await withKvRetries(
+      () =>
+        kvClient.zrange(SCHEDULED_CAMPAIGN_ZSET_KEY, 0, dueBefore ? maxScore : '+inf', {
+          byScore: true,
+        }),
+      'scheduled-campaign-zrange',
+    );
+    const records = [];
+    for (const id of ids || []) {
+      // eslint-disable-next-line no-await-in-loop
+      const record = await getScheduledCampaign(String(id));
+      if (record && record.status === 'scheduled') {
+        records.push(record);
+      }
+    }
+    return records;
+  }
+  return Array.from(inMemoryScheduledCampaigns.values())
+    .filter((record) => record.status === 'scheduled' && Date.parse(record.sendAt) <= maxScore)
+    .sort((a, b) => Date.parse(a.sendAt) - Date.parse(b.sendAt))
+    .map((record) => ({ ...record }));
+}
+
+/**
+ * Move due scheduled campaigns into the send queue, snapshotting the subscriber list at release time.
+ */
+async function releaseDueScheduledCampaigns() {
+  if (schedulerState.busy) {
+    return;
+  }
+  schedulerState.busy = true;
+  schedulerState.lastTickAt = new Date().toISOString();
+  try {
+    const due = await listScheduledCampaigns({ dueBefore: new Date() });
+    for (const record of due) {
+      try {
+        const audience = {
+          lists: record.lists || [],
+          topic: record.topic || '',
+          digest: Boolean(record.digest),
+        };
+        // The send job shares the campaign id, so a tick that queued it but then failed to save
+        // `released` finds it here and only retries the save instead of queueing a second send.
+        // eslint-disable-next-line no-await-in-loop
+        let job = await getSendJob(record.id);
+        if (!job) {
+          // eslint-disable-next-line no-await-in-loop
+          const subscribers = await loadSendableSubscribers(audience);
+          job = buildSendJob(record.id, subscribers, {
+            title: record.title,
+            sanitizedContent: record.sanitizedContent,
+            previewSnippet: record.previewText || '',
+            excludeFromArchive: record.excludeFromArchive,
+            ...audience,
+          });
+          // eslint-disable-next-line no-await-in-loop
+          await enqueueSendJob(job);
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await saveScheduledCampaign({
+          ...record,
+          status: 'released',
+          releasedAt: new Date().toISOString(),
+        });
+        logger.info('Scheduled campaign released to the send queue.', {
+          campaignId: record.id,
+          sendAt: record.sendAt,
+          recipients: job.recipients.length,
+        });
+      } catch (error) {
+        logger.error('Failed to release scheduled campaign.', {
+          campaignId: record.id,
+          message: error?.message,
+          code: error?.code,
+        });
+        if (error instanceof CampaignSendError) {
+          // eslint-disable-next-line no-await-in-loop
+          await saveScheduledCampaign({
+            ...record,
+            status: 'failed',
+            error: { message: error.message, code: error.code },
+          });
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Scheduler tick failed.', { message: error?.message });
+  } finally {
+    schedulerState.busy = false;
+  }
+}
+
+function startCampaignScheduler() {
+  if (schedulerState.timer) {
+    return;
+  }
+  schedulerState.timer = setInterval(releaseDueScheduledCampaigns, SCHEDULER_POLL_INTERVAL_MS);
+  logger.info('Campaign scheduler started.', { pollIntervalMs: SCHEDULER_POLL_INTERVAL_MS });
+  setImmediate(releaseDueScheduledCampaigns);
+}
+
+function serializeScheduledCampaign(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    previewText: record.previewText || '',
+    content: record.sanitizedContent,
+    excludeFromArchive: Boolean(record.excludeFromArchive),
+    lists: record.lists || [],
+    topic: record.topic || '',
+    digest: Boolean(record.digest),
+    sendAt: record.sendAt,
+    status: record.status,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    releasedAt: record.releasedAt || null,
+    cancelledAt: record.cancelledAt || null,
+    error: record.error || null,
+  };
+}
+
+/**
+ * Feed fetchers share one interface so the RSS automation never talks to the network directly:
+ *   fetch(url) -> resolves with the feed document as text, throws on network or HTTP errors
+ * Replace `rssAutomationState.fetcher`, or pass `fetcher` to pollRssFeed, to read a fixture instead.
+ */
+function createHttpFeedFetcher({ timeoutMs = RSS_FETCH_TIMEOUT_MS } = {}) {
+  return {
+    name: 'http',
+    async fetch(url) {
+      const response = await fetch(url, {
+        headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`Feed request failed with status ${response.status}.`);
+      }
+      return response.text();
+    },
+  };
+}
+
+rssAutomationState.fetcher = createHttpFeedFetcher();
+
+function decodeXmlText(value) {
+  return decodeHtmlAttribute(
+    value
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(Number.parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code))),
+  );
+}
+
+/**
+ * Text of the first `<tag>` in a feed fragment, with CDATA unwrapped and entities decoded.
+ */
+function readFeedTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  if (!match) {
+    return '';
+  }
+  return match[1]
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map((part) => (part.startsWith('<![CDATA[') ? part.slice(9, -3) : decodeXmlText(part)))
+    .join('')
+    .trim();
+}
+
+/**
+ * Minimal RSS 2.0 / Atom reader: only the fields an issue needs, newest-first as published.
+ */
+function parseFeedItems(xml) {
+  const blocks = xml.match(/<item\b[\s\S]*?<\/item>/gi) || xml.match(/<entry\b[\s\S]*?<\/entry>/gi) || [];
+  return blocks
+    .map((block) => {
+      const atomLink =
+        block.match(/<link\b(?=[^>]*rel="alternate")[^>]*href="([^"]+)"/i) ||
+        block.match(/<link\b(?![^>]*rel=)[^>]*href="([^"]+)"/i);
+      const link = readFeedTag(block, 'link') || (atomLink ? decodeXmlText(atomLink[1]) : '');
+      const summary = readFeedTag(block, 'description') || readFeedTag(block, 'summary');
+      const published =
+        readFeedTag(block, 'pubDate') || readFeedTag(block, 'published') || readFeedTag(block, 'updated');
+      return {
+        id: readFeedTag(block, 'guid') || readFeedTag(block, 'id') || link,
+        title: readFeedTag(block, 'title'),
+        link,
+        summary,
+        content: readFeedTag(block, 'content:encoded') || readFeedTag(block, 'content') || summary,
+        publishedAt: Number.isNaN(Date.parse(published)) ? null : new Date(published).toISOString(),
+      };
+    })
+    .filter((item) => item.id && item.title);
+}
+
+/**
+ * Body templates for feed items. The result is sanitized like composer content and wrapped in
+ * buildEmailTemplate by the send path, so the item title becomes the email heading.
+ */
+const RSS_ITEM_TEMPLATES = {
+  summary: (item, link) => `<p>${escapeHtml(stripHtml(item.summary || item.content))}</p>
+${link ? `<p><a href="${escapeHtml(link)}">Read the full post</a></p>` : ''}`,
+  full: (item, link) => `${item.content}
+${link ? `<p><a href="${escapeHtml(link)}">Read this post on the web</a></p>` : ''}`,
+};
+
+function renderFeedItemIssue(item, templateName = RSS_AUTOMATION_TEMPLATE) {
+  const render = RSS_ITEM_TEMPLATES[templateName] || RSS_ITEM_TEMPLATES.summary;
+  const link = /^https?:\/\//i.test(item.link) ? item.link : '';
+  return {
+    title: stripHtml(item.title).replace(/[<>]/g, '').slice(0, 150),
+    previewText: stripHtml(item.summary || item.content).slice(0, 150),
+    sanitizedContent: sanitizeHtml(render(item, link), sanitizerOptions),
+  };
+}
+
+async function getRssAutomationState() {
+  if (analyticsUsesKv()) {
+    const raw = await withKvRetries(() => kvClient.get(RSS_STATE_KEY), 'rss-state-get');
+    if (!raw) {
+      return null;
+    }
+    try {
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn('Failed to parse RSS automation state.', { message: error?.message });
+      return null;
+    }
+  }
+  return inMemoryRssAutomation.state ? { ...inMemoryRssAutomation.state } : null;
+}
+
+async function saveRssAutomationState(state) {
+  if (analyticsUsesKv()) {
+    await withKvRetries(() => kvClient.set(RSS_STATE_KEY, JSON.stringify(state)), 'rss-state-set');
+    return;
+  }
+  inMemoryRssAutomation.state = { ...state };
+}
+
+async function getSeenFeedItemIds() {
+  if (analyticsUsesKv()) {
+    const ids = await withKvRetries(() => kvClient.smembers(RSS_SEEN_SET_KEY), 'rss-seen-smembers');
+    return new Set((ids || []).map(String));
+  }
+  return new Set(inMemoryRssAutomation.seen);
+}
+
+async function markFeedItemSeen(id) {
+  if (analyticsUsesKv()) {
+    await withKvRetries(() => kvClient.sadd(RSS_SEEN_SET_KEY, id), 'rss-seen-sadd');
+    return;
+  }
+  inMemoryRssAutomation.seen.add(id);
+}
+
+async function saveRssDraft(draft, { isNew = false } = {}) {
+  if (analyticsUsesKv()) {
+    await withKvRetries(
+      () => kvClient.set(`${RSS_DRAFT_PREFIX}${draft.id}`, JSON.stringify(draft)),
+      'rss-draft-set',
+    );
+    if (isNew) {
+      await withKvRetries(() => kvClient.lpush(RSS_DRAFT_LIST_KEY, draft.id), 'rss-draft-lpush');
+      await withKvRetries(
+        () => kvClient.ltrim(RSS_DRAFT_LIST_KEY, 0, RSS_DRAFT_LIMIT - 1),
+        'rss-draft-ltrim',
+      );
+    }
+    return;
+  }
+  const index = inMemoryRssAutomation.drafts.findIndex((entry) => entry.id === draft.id);
+  if (index >= 0) {
+    inMemoryRssAutomation.drafts[index] = draft;
+    return;
+  }
+  inMemoryRssAutomation.drafts.unshift(draft);
+  inMemoryRssAutomation.drafts.length = Math.min(inMemoryRssAutomation.drafts.length, RSS_DRAFT_LIMIT);
+}
+
+async function getRssDraft(id) {
+  if (!id) {
+    return null;
+  }
+  if (analyticsUsesKv()) {
+    const raw = await withKvRetries(() => kvClient.get(`${RSS_DRAFT_PREFIX}${id}`), 'rss-draft-get');
+    if (!raw) {
+      return null;
+    }
+    try {
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      logger.warn('Failed to parse RSS draft.', { id, message: error?.message });
+      return null;
+    }
+  }
+  return inMemoryRssAutomation.drafts.find((entry) => entry.id === id) || null;
+}
+
+async function listPendingRssDrafts() {
+  let drafts;
+  if (analyticsUsesKv()) {
+    const ids = await withKvRetries(() => kvClient.lrange(RSS_DRAFT_LIST_KEY, 0, -1), 'rss-draft-lrange');
+    drafts = [];
+    for (const id of ids || []) {
+      // eslint-disable-next-line no-await-in-loop
+      const draft = await getRssDraft(String(id));
+      if (draft) {
+        drafts.push(draft);
+      }
+    }
+  } else {
+    drafts = [...inMemoryRssAutomation.drafts];
+  }
+  return drafts.filter((draft) => draft.status === 'pending');
+}
+
+/**
+ * Queue a feed issue for every active subscriber. Runs the same email configuration checks as
+ * `/api/send-newsletter`, so an unconfigured transport leaves the issue as a draft instead of a job
+ * that fails on its first batch.
+ */
+async function queueRssIssue(campaignId, issue) {
+  if (!emailTransport || !senderEmail) {
+    throw new CampaignSendError(
+      'Email service not configured. Please check your environment variables.',
+      { code: 'email-not-configured', statusCode: 500 },
+    );
+  }
+  if (!isValidEmail(senderEmail)) {
+    throw new CampaignSendError(
+      'SENDER_EMAIL is not a valid email address. Update your configuration and try again.',
+      { code: 'invalid-sender', statusCode: 500 },
+    );
+  }
+  const subscribers = await loadSendableSubscribers();
+  const job = buildSendJob(campaignId, subscribers, {
+    title: issue.title,
+    sanitizedContent: issue.sanitizedContent,
+    previewSnippet: issue.previewText,
+  });
+  await enqueueSendJob(job);
+  return job;
+}
+
+/**
+ * Fetch the feed and turn every item not seen before into an issue, oldest first: queued for
+ * sending in `send` mode, or stored as a pending draft in `draft` mode. The first poll only
+ * records what is already in the feed, so enabling the automation never mails the back catalogue.
+ * A send that cannot be queued (e.g. no subscribers, or no email transport) falls back to a draft so
+ * the post is not lost. An item is only marked as seen once its job or draft is stored, so a failed
+ * write is picked up again on the next poll.
+ */
+async function pollRssFeed({
+  fetcher = rssAutomationState.fetcher,
+  feedUrl = RSS_FEED_URL,
+  mode = RSS_AUTOMATION_MODE,
+  template = RSS_AUTOMATION_TEMPLATE,
+} = {}) {
+  const state = (await getRssAutomationState()) || {};
+  const items = parseFeedItems(await fetcher.fetch(feedUrl));
+  const seen = await getSeenFeedItemIds();
+  const baseline = !state.initializedAt;
+  const fresh = items
+    .filter((item) => !seen.has(item.id))
+    .sort((a, b) => (Date.parse(a.publishedAt) || 0) - (Date.parse(b.publishedAt) || 0));
+  const result = { fetched: items.length, newItems: baseline ? 0 : fresh.length, baseline, queued: [], drafts: [] };
+
+  for (const item of fresh) {
+    if (baseline) {
+      // eslint-disable-next-line no-await-in-loop
+      await markFeedItemSeen(item.id);
+      continue;
+    }
+    const issue = renderFeedItemIssue(item, template);
+    const campaignId = generateCampaignId();
+    const source = { feedUrl, itemId: item.id, link: item.link, publishedAt: item.publishedAt };
+    let queueError = null;
+    let queued = false;
+    if (mode === 'send') {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await queueRssIssue(campaignId, issue);
+        queued = true;
+      } catch (error) {
+        queueError = { message: error?.message, code: error?.code || null };
+        logger.warn('Feed item could not be queued; keeping it as a draft.', {
+          itemId: item.id,
+          message: error?.message,
+        });
+      }
+    }
+    if (queued) {
+      // eslint-disable-next-line no-await-in-loop
+      await markFeedItemSeen(item.id);
+      result.queued.push(campaignId);
+      logger.info('Feed item queued as a campaign.', { campaignId, itemId: item.id });
+      continue;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await saveRssDraft(
+      { id: campaignId, ...issue, source, status: 'pending', createdAt: new Date().toISOString(), error: queueError },
+      { isNew: true },
+    );
+    // eslint-disable-next-line no-await-in-loop
+    await markFeedItemSeen(item.id);
+    result.drafts.push(campaignId);
+  }
+
+  const now = new Date().toISOString();
+  await saveRssAutomationState({
+    ...state,
+    feedUrl,
+    initializedAt: state.initializedAt || now,
+    lastPolledAt: now,
+    lastError: null,
+    lastResult: result,
+  });
+  return result;
+}
+
+async function runRssAutomationTick() {
+  if (rssAutomationState.busy) {
+    return null;
+  }
+  rssAutomationState.busy = true;
+  rssAutomationState.lastTickAt = new Date().toISOString();
+  try {
+    const result = await pollRssFeed();
+    if (result.queued.length || result.drafts.length) {
+      logger.info('RSS automation created issues.', { queued: result.queued.length, drafts: result.drafts.length });
+    }
+    return result;
   } catch (error) {
-    logSubscriberEvent('error', 'Failed to remove subscriber.', {
-      email: normalizeEmail(normalizedTarget),
-      message: error?.message,
-      code: error?.code,
-    });
-    const message =
-      error instanceof SubscriberStorageError
-        ? 'Unable to remove subscriber because storage is unavailable. Please verify the Vercel KV connection.'
-        : 'Could not remove subscriber.';
-    res.status(500).json({
-      message,
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
-      details: error?.message,
-    });
+    logger.error('RSS automation poll failed.', { feedUrl: RSS_FEED_URL, message: error?.message });
+    const state = (await getRssAutomationState().catch(() => null)) || {};
+    await saveRssAutomationState({
+      ...state,
+      lastPolledAt: new Date().toISOString(),
+      lastError: error?.message || String(error),
+    }).catch(() => {});
+    throw error;
+  } finally {
+    rssAutomationState.busy = false;
   }
-});
+}
+
+function startRssAutomation() {
+  if (!RSS_FEED_URL || rssAutomationState.timer) {
+    return;
+  }
+  const tick = () => runRssAutomationTick().catch(() => {});
+  rssAutomationState.timer = setInterval(tick, RSS_POLL_INTERVAL_MS);
+  logger.info('RSS automation started.', {
+    feedUrl: RSS_FEED_URL,
+    mode: RSS_AUTOMATION_MODE,
+    template: RSS_AUTOMATION_TEMPLATE,
+    pollIntervalMs: RSS_POLL_INTERVAL_MS,
+  });
+  setImmediate(tick);
+}
 
 /**
- * Public subscription endpoint for external sites.
+ * Queue the newsletter for every subscriber and answer immediately, or store it for a later `sendAt`.
+ * Steps: sanitize content -> validate subscriber list -> snapshot recipients into a send job -> respond with its id.
  */
-app.post('/api/public/subscribe', async (req, res) => {
-  const ip = req.ip;
-  const { email, name } = req.body || {};
-  const sanitizedName = sanitizeName(typeof name === 'string' ? name : '');
-  const honeypotValue =
-    (req.body && (req.body.honeypot || req.body.hp || req.body.botField)) || '';
+app.post('/api/send-newsletter', ensureAuthenticatedApi, async (req, res) => {
+  const { title, content, previewText, sendAt } = req.body;
+  const excludeFromArchive = req.body.excludeFromArchive === true;
 
-  logger.info('Public subscribe attempt received.', { ip, email, name: sanitizedName });
+  if (!title || !content) {
+    res.status(400).json({ message: 'Title and content are required.' });
+    return;
+  }
 
-  if (honeypotValue) {
-    recordSuspiciousAttempt(ip, 'honeypot-triggered', { email, name: sanitizedName });
-    res.status(200).json({ success: false, error: 'Unable to process the request.' });
+  if (!emailTransport || !senderEmail) {
+    res.status(500).json({
+      message: 'Email service not configured. Please check your environment variables.',
+    });
     return;
   }
 
-  if (!email || !isValidEmail(email)) {
-    recordSuspiciousAttempt(ip, 'invalid-email', { email });
-    res.status(400).json({ success: false, error: 'Please provide a valid email address.' });
+  if (!isValidEmail(senderEmail)) {
+    logger.error('SENDER_EMAIL failed validation during send.', { senderEmail });
+    res.status(500).json({
+      message: 'SENDER_EMAIL is not a valid email address. Update your configuration and try again.',
+    });
     return;
   }
 
-  const normalizedEmail = normalizeEmail(email);
-  const canonicalEmail = extractEmailAddress(email);
   try {
-    const sendStartedAt = new Date();
     const campaignId = generateCampaignId();
-if (await subscriberExists(canonicalEmail)) {
-      logger.info('Public subscribe duplicate attempt.', { ip, email: normalizedEmail });
-      res.status(200).json({
-        success: false,
-        error: 'Email already subscribed',
-        storage: subscriberStoreMode,
-        kvConnectionHealthy,
-      });
-      return;
-    }
-
-    await addSubscriber(canonicalEmail, sanitizedName || null, { source: 'public-api' });
-    const verification = await verifySubscriberPersistence(normalizedEmail);
+    const sanitizedContent = sanitizeHtml(content, sanitizerOptions);
+    const previewSnippet = typeof previewText === 'string' ? previewText.trim() : '';
+    const audience = await parseCampaignAudience(req.body);
 
-    if (!verification.verified) {
-      logSubscriberEvent('error', 'Public subscribe verification failed.', {
-        email: normalizedEmail,
-        attempts: verification.attempts,
+    if (sendAt !== undefined && sendAt !== null && sendAt !== '') {
+      const scheduledFor = parseSendAt(sendAt);
+      const now = new Date().toISOString();
+      const record = await saveScheduledCampaign({
+        id: campaignId,
+        title,
+        sanitizedContent,
+        previewText: previewSnippet,
+        excludeFromArchive,
+        ...audience,
+        sendAt: scheduledFor.toISOString(),
+        status: 'scheduled',
+        createdAt: now,
       });
-      res.status(500).json({
-        success: false,
-        error:
-          'We could not confirm your subscription due to a storage issue. Please try again once the service is available.',
-        storage: subscriberStoreMode,
-        kvConnectionHealthy,
-        verification,
+      logger.info('Newsletter scheduled.', { campaignId, sendAt: record.sendAt });
+      res.status(201).json({
+        message: 'Newsletter scheduled.',
+        campaignId,
+        status: 'scheduled',
+        sendAt: record.sendAt,
+        campaign: serializeScheduledCampaign(record),
       });
       return;
     }
 
-    const totalCount = await getSubscriberCount({ record: false });
+    const subscribers = await loadSendableSubscribers(audience);
+    const job = buildSendJob(campaignId, subscribers, {
+      title,
+      sanitizedContent,
+      previewSnippet,
+      excludeFromArchive,
+      ...audience,
+    });
+    const { total: totalSubscribers, batchesEstimated, estimatedCompletion } = job.summary;
 
-    logger.info('Public subscribe success.', { ip, email: normalizedEmail, name: sanitizedName });
-    logSubscriberEvent('info', 'Subscriber added via public API.', {
-      email: normalizedEmail,
-      count: totalCount,
-      verified: verification.verified,
+    await enqueueSendJob(job);
+
+    const dailyQuota = await getDailySendQuota();
+    const deferredRecipients = dailyQuota.enforced
+      ? Math.max(0, totalSubscribers - dailyQuota.remaining)
+      : 0;
+
+    logger.info('Newsletter send queued with rate limiting.', {
+      campaignId,
+      totalSubscribers,
+      batchSize: RESEND_BATCH_SIZE,
+      batchesEstimated,
+      rateLimitDelayMs: RESEND_BATCH_DELAY_MS,
+      estimatedCompletion,
+      deferredRecipients,
     });
 
-    await recordSubscriberGrowthSnapshot(totalCount);
+    lastEmailDiagnostic = {
+      timestamp: new Date().toISOString(),
+      status: 'queued',
+      context: 'send-newsletter',
+      campaignId,
+      recipients: subscribers.map((subscriber) => normalizeEmail(subscriber.email)).filter(Boolean),
+    };
 
-    res.json({
-      success: true,
-      message: 'Successfully subscribed!',
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
-      verification,
-      count: totalCount,
+    res.status(202).json({
+      message:
+        deferredRecipients > 0
+          ? `Newsletter queued for delivery. ${deferredRecipients} recipient(s) are over today's send limit and will be sent after ${dailyQuota.resetsAt}.`
+          : 'Newsletter queued for delivery.',
+      campaignId,
+      jobId: campaignId,
+      status: 'queued',
+      statusUrl: `/api/campaigns/${encodeURIComponent(campaignId)}/status`,
+      total: totalSubscribers,
+      estimatedCompletion,
+      deferredRecipients,
+      dailyQuota,
     });
   } catch (error) {
-    logger.error('Public subscribe failed.', {
-      ip,
-      email: normalizedEmail,
-      message: error?.message,
-      code: error?.code,
-    });
-    logSubscriberEvent('error', 'Public subscribe failed.', {
-      email: normalizedEmail,
+    if (error instanceof CampaignSendError) {
+      if (error.code === 'no-subscribers' || error.code === 'invalid-subscribers') {
+        const invalidList = error.details.invalidEmails || [];
+        if (invalidList.length > 0) {
+          logger.warn('Invalid subscriber emails detected, aborting send.', { invalidList });
+        }
+        lastEmailDiagnostic = {
+          timestamp: new Date().toISOString(),
+          status: invalidList.length > 0 ? 'error' : 'skipped',
+          context: 'send-newsletter',
+          recipients: invalidList,
+          reason: error.code,
+        };
+      }
+      res.status(error.statusCode).json({
+        message: error.message,
+        ...(error.details.invalidEmails ? { invalidEmails: error.details.invalidEmails } : {}),
+      });
+      return;
+    }
+    logger.error('Failed to queue newsletter.', {
       message: error?.message,
+      statusCode: error?.statusCode,
+      name: error?.name,
+      response: error?.response,
+      stack: error?.stack,
       code: error?.code,
     });
-    const errorMessage =
+    const friendlyMessage =
       error instanceof SubscriberStorageError
-        ? 'Subscriber storage is unavailable. Please try again after the Vercel KV connection is restored.'
-        : 'We could not process your subscription right now. Please try again later.';
+        ? 'Unable to load subscribers from storage. Please verify the Vercel KV connection.'
+        : error?.response?.body?.message || error.message || 'Unknown error occurred.';
+
+    const suggestions =
+      error instanceof SubscriberStorageError
+        ? [
+            'Confirm KV_REST_API_URL and KV_REST_API_TOKEN are set and valid.',
+            'Verify the Vercel KV database is accessible from this environment.',
+          ]
+        : buildResendSuggestions(error?.message);
+
+    lastEmailDiagnostic = {
+      timestamp: new Date().toISOString(),
+      status: 'error',
+      context: 'send-newsletter',
+      recipients: [],
+      error: {
+        message: error?.message,
+        statusCode: error?.statusCode,
+        response: error?.response,
+      },
+    };
+
     res.status(500).json({
-      success: false,
-      error: errorMessage,
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
+      message: 'Failed to send newsletter.',
+      details: friendlyMessage,
+      meta: {
+        errorName: error?.name,
+        statusCode: error?.statusCode,
+        resendResponse: error?.response,
+      },
+      suggestions,
     });
   }
 });
 
 /**
- * Public unsubscribe endpoint.
+ * Today's warm-up/daily send allowance, shown in the compose view.
  */
-app.post('/api/public/unsubscribe', async (req, res) => {
-  const ip = req.ip;
-  const { email } = req.body || {};
-  const honeypotValue =
-    (req.body && (req.body.honeypot || req.body.hp || req.body.botField)) || '';
-
-  logger.info('Public unsubscribe attempt received.', { ip, email });
-
-  if (honeypotValue) {
-    recordSuspiciousAttempt(ip, 'honeypot-triggered-unsubscribe', { email });
-    res.status(200).json({ success: false, error: 'Unable to process the request.' });
-    return;
-  }
-
-  if (!email || !isValidEmail(email)) {
-    recordSuspiciousAttempt(ip, 'invalid-email-unsubscribe', { email });
-    res.status(400).json({
-      success: false,
-      error: 'Please provide a valid email address.',
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
-    });
-    return;
+app.get('/api/send-quota', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    res.json(await getDailySendQuota());
+  } catch (error) {
+    logger.error('Failed to load daily send quota.', { message: error?.message });
+    res.status(500).json({ message: 'Failed to load daily send quota.', details: error?.message });
   }
+});
 
-  const normalizedEmail = normalizeEmail(email);
-  const canonicalEmail = extractEmailAddress(email);
+/**
+ * Topics configured in NEWSLETTER_TOPICS, for the compose view's topic picker.
+ */
+app.get('/api/topics', ensureAuthenticatedApi, (_, res) => {
+  res.json({ topics: NEWSLETTER_TOPICS });
+});
 
+/**
+ * Poll the delivery status of a queued or running campaign.
+ */
+app.get('/api/campaigns/:id/status', ensureAuthenticatedApi, async (req, res) => {
   try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-const removed = await removeSubscriber(canonicalEmail);
-    if (!removed) {
-      logger.info('Public unsubscribe not found.', { ip, email: normalizedEmail });
-      recordSuspiciousAttempt(ip, 'unsubscribe-not-found', { email: normalizedEmail });
-      res.status(200).json({
-        success: false,
-        error: 'Email not found',
-        storage: subscriberStoreMode,
-        kvConnectionHealthy,
-      });
-      return;
-    }
-
-    const verification = await verifySubscriberRemoval(canonicalEmail);
-    if (!verification.confirmed) {
-      logSubscriberEvent('error', 'Public unsubscribe verification failed.', {
-        email: normalizedEmail,
-        attempts: verification.attempts,
-      });
-      res.status(500).json({
-        success: false,
-        error:
-          'Unable to confirm removal in storage. Please try again after the storage service recovers.',
-        storage: subscriberStoreMode,
-        kvConnectionHealthy,
-        verification,
-      });
+    const job = await getSendJob(req.params.id);
+    if (!job) {
+      const scheduled = await getScheduledCampaign(req.params.id);
+      if (scheduled) {
+        res.json({
+          campaignId: scheduled.id,
+          status: scheduled.status,
+          title: scheduled.title,
+          sendAt: scheduled.sendAt,
+          createdAt: scheduled.createdAt,
+          updatedAt: scheduled.updatedAt,
+          error: scheduled.error || null,
+        });
+        return;
+      }
+      res.status(404).json({ message: 'Campaign not found.' });
       return;
     }
-
-    const totalCount = await getSubscriberCount({ record: false });
-
-    logger.info('Public unsubscribe success.', { ip, email: normalizedEmail });
-    logSubscriberEvent('info', 'Subscriber removed via public API.', {
-      email: normalizedEmail,
-      count: totalCount,
-      confirmed: verification.confirmed,
-    });
-    await recordSubscriberGrowthSnapshot(totalCount);
-    res.json({
-      success: true,
-      message: 'Successfully unsubscribed',
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
-      verification,
-      count: totalCount,
-    });
+    res.json(buildCampaignStatusPayload(job));
   } catch (error) {
-    logger.error('Public unsubscribe failed.', {
-      ip,
-      email: normalizedEmail,
+    logger.error('Campaign status lookup failed.', {
+      campaignId: req.params.id,
       message: error?.message,
-      code: error?.code,
-    });
-    logSubscriberEvent('error', 'Public unsubscribe failed.', {
-      email: normalizedEmail,
-      message: error?.message,
-      code: error?.code,
     });
     res.status(500).json({
-      success: false,
-      error:
-        error instanceof SubscriberStorageError
-          ? 'Subscriber storage is unavailable. Please try again after the Vercel KV connection is restored.'
-          : 'We could not process your unsubscribe request right now. Please try again later.',
-      storage: subscriberStoreMode,
-      kvConnectionHealthy,
+      message: 'Failed to load campaign status.',
+      details: error?.message,
     });
   }
 });
 
 /**
- * Lightweight status endpoint for external integrations.
+ * Full report for one campaign: subject and content snapshot, send timing, and every count with
+ * its rate. Campaigns sent before analytics records existed fall back to their stored summary.
+ */
+/**
+ * Whether "retry failures" can run for a campaign: it has failures and its content is still stored,
+ * on the campaign record or, for records that predate the content snapshot, on the send job.
  */
-app.get('/api/test-subscribe', (req, res) => {
-  res.json({
-    status: 'ok',
-    message: 'Newsletter subscription API is reachable.',
-    cors: '*',
-    rateLimit: '10 requests per IP per hour',
-    endpoints: {
-      subscribe: '/api/public/subscribe',
-      unsubscribe: '/api/public/unsubscribe',
-    },
-    example: {
-      subscribe: {
-        method: 'POST',
-        url: '/api/public/subscribe',
-        body: { email: 'user@example.com', name: 'Sample Name' },
+async function campaignCanRetry(campaignId, record, failed) {
+  if (failed <= 0) {
+    return false;
+  }
+  if (record?.content) {
+    return true;
+  }
+  return Boolean((await getSendJob(campaignId))?.sanitizedContent);
+}
+
+app.get('/api/campaigns/:id', ensureAuthenticatedApi, async (req, res) => {
+  const campaignId = req.params.id;
+  try {
+    const [record, summary] = await Promise.all([
+      getCampaignRecord(campaignId),
+      getCampaignSummary(campaignId),
+    ]);
+    if (!record && !summary) {
+      res.status(404).json({ message: 'Campaign not found.' });
+      return;
+    }
+    const metrics = { ...createEmptyMetricSnapshot(), ...(record?.metrics || {}) };
+    const delivered = record ? Number(metrics.delivered) || 0 : Number(summary.delivered) || 0;
+    const failed = record ? Number(metrics.failed) || 0 : Number(summary.failed) || 0;
+    const sent = Number(metrics.sent) || delivered + failed;
+    const counts = {
+      sent,
+      delivered,
+      failed,
+      opened: Number(metrics.opens) || 0,
+      clicked: Number(metrics.clicks) || 0,
+      bounced: Number(metrics.bounces) || 0,
+      unsubscribed: Number(metrics.unsubscribes) || 0,
+    };
+
+    const job = record?.content ? null : await getSendJob(campaignId);
+    const subject = record?.title || summary?.title || job?.title || 'Untitled campaign';
+    const canRetry = await campaignCanRetry(campaignId, record, failed);
+    const previewText = record?.previewText ?? job?.previewSnippet ?? '';
+    const content = record?.content || job?.sanitizedContent || null;
+
+    res.json({
+      campaignId,
+      subject,
+      previewText,
+      status: summary?.status || record?.status || 'unknown',
+      content,
+      html: content ? buildEmailTemplate(subject, content, previewText) : null,
+      timing: {
+        queuedAt: record?.createdAt || null,
+        startedAt: record?.startedAt || null,
+        completedAt: record?.completedAt || summary?.sentAt || null,
+        elapsedMs: record?.elapsedMs ?? null,
       },
-      unsubscribe: {
-        method: 'POST',
-        url: '/api/public/unsubscribe',
-        body: { email: 'user@example.com' },
+      recipients: Number(record?.recipients ?? summary?.recipients) || 0,
+      skipped: Number(record?.skipped ?? summary?.skipped) || 0,
+      counts,
+      canRetry,
+      rates: {
+        delivery: computeRate(counts.delivered, counts.sent),
+        open: computeRate(counts.opened, counts.delivered),
+        click: computeRate(counts.clicked, counts.delivered),
+        clickToOpen: computeRate(counts.clicked, counts.opened),
+        bounce: computeRate(counts.bounced, counts.sent),
+        unsubscribe: computeRate(counts.unsubscribed, counts.delivered),
       },
-    },
-  });
+      deliveredSource: DELIVERY_WEBHOOKS_ENABLED ? 'webhooks' : 'accepted',
+      archive: record?.archiveSlug
+        ? {
+            slug: record.archiveSlug,
+            url: `/archive/${encodeURIComponent(record.archiveSlug)}`,
+            excluded: Boolean(record.excludeFromArchive),
+          }
+        : null,
+    });
+  } catch (error) {
+    logger.error('Failed to build the campaign report.', { campaignId, message: error?.message });
+    res.status(500).json({ message: 'Failed to load the campaign report.', details: error?.message });
+  }
 });
 
 /**
- * Handle image uploads for the newsletter editor by streaming to Cloudinary.
+ * Publish a sent campaign to the archive and feeds, or take it back out, with `{ excluded }`.
  */
-app.post(
-  '/api/upload-image',
-  ensureAuthenticatedApi,
-  upload.single('image'),
-  async (req, res) => {
-  if (!req.file) {
-    res.status(400).json({ message: 'No image uploaded.' });
+app.patch('/api/campaigns/:id/archive', ensureAuthenticatedApi, async (req, res) => {
+  const campaignId = req.params.id;
+  if (typeof req.body?.excluded !== 'boolean') {
+    res.status(400).json({ message: 'excluded must be true or false.' });
     return;
   }
-
   try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-const uploadResult = await cloudinary.uploader.upload(
-      `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`,
-      {
-        folder: 'newsletter/uploads',
-        use_filename: true,
-        unique_filename: true,
-        resource_type: 'image',
-        transformation: [{ quality: 'auto', fetch_format: 'auto' }],
-      },
-    );
-
-    if (!uploadResult?.secure_url) {
-      throw new Error('Cloudinary did not return a secure URL.');
+    const record = await getCampaignRecord(campaignId);
+    const issue = record?.archiveSlug ? await getArchivedIssue(record.archiveSlug) : null;
+    if (!issue) {
+      res.status(404).json({ message: 'This campaign has no archived copy.' });
+      return;
     }
-
-    res.status(201).json({ imageUrl: uploadResult.secure_url });
+    await saveArchivedIssue({ ...issue, excluded: req.body.excluded });
+    await saveCampaignRecord({ ...record, excludeFromArchive: req.body.excluded });
+    logger.info('Campaign archive visibility changed.', { campaignId, excluded: req.body.excluded });
+    res.json({ campaignId, slug: issue.slug, excluded: req.body.excluded });
   } catch (error) {
-    logger.error('Failed to upload image to Cloudinary:', error);
-    res.status(502).json({
-      message: 'Image upload failed. Please try again later.',
-      details: 'Cloud storage is temporarily unavailable.',
-    });
+    logger.error('Failed to update archive visibility.', { campaignId, message: error?.message });
+    res.status(500).json({ message: 'Failed to update the archive.', details: error?.message });
   }
-  },
-);
+});
 
 /**
- * Send the newsletter to all subscribers.
- * Steps: sanitize content -> validate subscriber list -> send personalized emails sequentially with diagnostics.
+ * Which links in a campaign were clicked: every distinct tracked URL with unique and total clicks,
+ * ranked by unique clicks, plus a rendered copy of the email with each anchor tagged by link index.
  */
-app.post('/api/send-newsletter', ensureAuthenticatedApi, async (req, res) => {
-  const { title, content, previewText } = req.body;
+app.get('/api/campaigns/:id/links', ensureAuthenticatedApi, async (req, res) => {
+  const campaignId = req.params.id;
+  try {
+    const record = await getCampaignRecord(campaignId);
+    if (!record) {
+      res.status(404).json({ message: 'No analytics are stored for this campaign.' });
+      return;
+    }
+    const links = Array.isArray(record.links) ? record.links : [];
+    const counts = await getLinkClickCounts(campaignId);
+    const delivered = Number(record.metrics?.delivered) || 0;
+    const report = links
+      .map((url, index) => {
+        const { total = 0, unique = 0 } = counts[index] || {};
+        return {
+          index,
+          url,
+          uniqueClicks: unique,
+          totalClicks: total,
+          clickRate: delivered > 0 ? Number((unique / delivered).toFixed(4)) : 0,
+        };
+      })
+      .sort((a, b) => b.uniqueClicks - a.uniqueClicks || b.totalClicks - a.totalClicks || a.index - b.index);
+
+    const job = record.content ? null : await getSendJob(campaignId);
+    const content = record.content || job?.sanitizedContent;
+    const html = content
+      ? buildEmailTemplate(
+          record.title,
+          annotateTrackedLinks(content, links),
+          record.previewText ?? job?.previewSnippet ?? '',
+        )
+      : null;
 
-  if (!title || !content) {
-    res.status(400).json({ message: 'Title and content are required.' });
-    return;
+    res.json({
+      campaignId,
+      title: record.title,
+      sentAt: record.sentAt || null,
+      delivered,
+      uniqueClicks: Number(record.metrics?.clicks) || 0,
+      clickRate: delivered > 0 ? Number(((Number(record.metrics?.clicks) || 0) / delivered).toFixed(4)) : 0,
+      links: report,
+      html,
+    });
+  } catch (error) {
+    logger.error('Failed to build the link click report.', { campaignId, message: error?.message });
+    res.status(500).json({ message: 'Failed to load the link click report.', details: error?.message });
   }
+});
 
-  if (!resendClient || !senderEmail) {
-    res.status(500).json({
-      message: 'Email service not configured. Please check your environment variables.',
+/**
+ * Ask the worker to stop a running campaign after the batch it is currently sending.
+ * A queued campaign is paused before its first recipient.
+ */
+app.post('/api/campaigns/:id/pause', ensureAuthenticatedApi, async (req, res) => {
+  const campaignId = req.params.id;
+  try {
+    const job = await getSendJob(campaignId);
+    if (!job) {
+      res.status(404).json({ message: 'Campaign not found.' });
+      return;
+    }
+    if ((await getSendJobControl(campaignId)) === 'cancel') {
+      res.status(409).json({ message: 'Campaign is being cancelled and cannot be paused.' });
+      return;
+    }
+    if (job.status === 'deferred') {
+      // Nothing is in flight, so a deferred campaign can be paused on the spot.
+      job.status = 'paused';
+      job.pausedAt = new Date().toISOString();
+      await saveSendJob(job);
+      logger.info('Deferred send job paused.', { jobId: campaignId, cursor: job.cursor });
+      emitCampaignEvent(campaignId, 'status', buildCampaignStatusPayload(job));
+      res.json({ message: 'Campaign paused.', ...buildCampaignStatusPayload(job) });
+      return;
+    }
+    if (job.status !== 'queued' && job.status !== 'running') {
+      res.status(409).json({ message: `Campaign is ${job.status} and cannot be paused.` });
+      return;
+    }
+    await setSendJobControl(campaignId, 'pause');
+    logger.info('Pause requested for send job.', { jobId: campaignId, cursor: job.cursor });
+    res.status(202).json({
+      message: 'Pause requested. The campaign stops after the batch it is currently sending.',
+      requestedAction: 'pause',
+      ...buildCampaignStatusPayload(job),
     });
-    return;
+  } catch (error) {
+    logger.error('Failed to pause campaign.', { campaignId, message: error?.message });
+    res.status(500).json({ message: 'Failed to pause campaign.', details: error?.message });
   }
+});
 
-  if (!isValidEmail(senderEmail)) {
-    logger.error('SENDER_EMAIL failed validation during send.', { senderEmail });
-    res.status(500).json({
-      message: 'SENDER_EMAIL is not a valid email address. Update your configuration and try again.',
-    });
-    return;
+app.post('/api/campaigns/:id/resume', ensureAuthenticatedApi, async (req, res) => {
+  const campaignId = req.params.id;
+  try {
+    const job = await getSendJob(campaignId);
+    if (!job) {
+      res.status(404).json({ message: 'Campaign not found.' });
+      return;
+    }
+    const pendingAction = await getSendJobControl(campaignId);
+    if (pendingAction === 'cancel') {
+      res.status(409).json({ message: 'Campaign is being cancelled and cannot be resumed.' });
+      return;
+    }
+    if (job.status === 'running' && pendingAction === 'pause') {
+      // The worker has not reached its next check yet; withdrawing the request is enough.
+      await setSendJobControl(campaignId, null);
+      res.json({ message: 'Pause request withdrawn.', ...buildCampaignStatusPayload(job) });
+      return;
+    }
+    if (job.status !== 'paused') {
+      res.status(409).json({ message: `Campaign is ${job.status} and cannot be resumed.` });
+      return;
+    }
+    job.status = 'queued';
+    job.resumedAt = new Date().toISOString();
+    await saveSendJob(job);
+    logger.info('Send job resumed.', { jobId: campaignId, cursor: job.cursor });
+    emitCampaignEvent(campaignId, 'status', buildCampaignStatusPayload(job));
+    scheduleSendQueueTick();
+    res.json({ message: 'Campaign resumed.', ...buildCampaignStatusPayload(job) });
+  } catch (error) {
+    logger.error('Failed to resume campaign.', { campaignId, message: error?.message });
+    res.status(500).json({ message: 'Failed to resume campaign.', details: error?.message });
   }
+});
 
+/**
+ * Cancel a campaign. Paused or queued campaigns are closed out immediately; a running one stops
+ * after the batch in flight. Either way, recipients never attempted are recorded as skipped.
+ * The cancel request is stored before the job is re-read, so a worker claiming the job at the same
+ * moment either sees the request or is seen running here; it is never both sent and closed out.
+ */
+app.post('/api/campaigns/:id/cancel', ensureAuthenticatedApi, async (req, res) => {
+  const campaignId = req.params.id;
   try {
-    const sendStartedAt = new Date();
-    const campaignId = generateCampaignId();
-    const sanitizedContent = sanitizeHtml(content, sanitizerOptions);
-    const subscribers = await getSubscribers();
+    let job = await getSendJob(campaignId);
+    if (!job) {
+      res.status(404).json({ message: 'Campaign not found.' });
+      return;
+    }
+    if (SEND_JOB_FINAL_STATUSES.includes(job.status)) {
+      res.status(409).json({ message: `Campaign is already ${job.status}.` });
+      return;
+    }
+    await setSendJobControl(campaignId, 'cancel');
+    job = await getSendJob(campaignId);
+    if (SEND_JOB_FINAL_STATUSES.includes(job.status)) {
+      res.status(409).json({ message: `Campaign is already ${job.status}.` });
+      return;
+    }
+    if (job.status === 'running') {
+      logger.info('Cancel requested for send job.', { jobId: campaignId, cursor: job.cursor });
+      res.status(202).json({
+        message: 'Cancel requested. The campaign stops after the batch it is currently sending.',
+        requestedAction: 'cancel',
+        ...buildCampaignStatusPayload(job),
+      });
+      return;
+    }
+    ensureSendJobCounters(job.summary);
+    await markRemainingRecipientsSkipped(job, Math.max(0, Number(job.cursor) || 0), 'cancelled');
+    await finalizeSendJob(job, { cancelled: true });
+    res.json({ message: 'Campaign cancelled.', ...buildCampaignStatusPayload(job) });
+  } catch (error) {
+    logger.error('Failed to cancel campaign.', { campaignId, message: error?.message });
+    res.status(500).json({ message: 'Failed to cancel campaign.', details: error?.message });
+  }
+});
 
-    if (subscribers.length === 0) {
-      lastEmailDiagnostic = {
-        timestamp: new Date().toISOString(),
-        status: 'skipped',
-        context: 'send-newsletter',
-        recipients: [],
-        reason: 'no-subscribers',
-      };
-      res.status(400).json({ message: 'No subscribers available to send the newsletter.' });
+/**
+ * Re-send a finished campaign's content to the recipients whose delivery failed.
+ * Addresses that already received it, or have since unsubscribed, are left out. Results are folded
+ * back into the original campaign's outcomes and summary when the retry job finishes.
+ * The content and audience come from the campaign record, so this keeps working after the original
+ * send job has expired.
+ */
+app.post('/api/campaigns/:id/retry-failures', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const requested = await getSendJob(req.params.id);
+    const campaignId = requested?.retryOf || req.params.id;
+    const [record, campaign] = await Promise.all([
+      getCampaignRecord(campaignId),
+      requested?.retryOf ? getSendJob(campaignId) : requested,
+    ]);
+    const content = record?.content || campaign?.sanitizedContent;
+    if (!content) {
+      res.status(404).json({ message: 'Campaign not found or its content is no longer stored.' });
+      return;
+    }
+    const stillSending = campaign
+      ? !SEND_JOB_FINAL_STATUSES.includes(campaign.status)
+      : record.status === 'sending';
+    if (stillSending) {
+      res.status(409).json({ message: 'Campaign is still sending. Retry once it has finished.' });
       return;
     }
+    const lastRetryJobId = record?.lastRetryJobId || campaign?.lastRetryJobId;
+    if (lastRetryJobId) {
+      const previousRetry = await getSendJob(lastRetryJobId);
+      if (previousRetry && !SEND_JOB_FINAL_STATUSES.includes(previousRetry.status)) {
+        res.status(409).json({
+          message: 'A retry for this campaign is already in progress.',
+          retryJobId: previousRetry.id,
+        });
+        return;
+      }
+    }
 
-    const invalidSubscribers = subscribers.filter(
-      (subscriber) => !isValidEmail(subscriber.email),
+    const outcomes = await getRecipientOutcomes(campaignId);
+    let failedEmails = Object.values(outcomes)
+      .filter((outcome) => outcome.status === 'failed')
+      .map((outcome) => outcome.email);
+    if (!Object.keys(outcomes).length) {
+      // Campaigns sent before outcomes were stored only have the job summary to go on.
+      const delivered = new Set(
+        (campaign?.summary?.successes || []).map((entry) => normalizeEmail(entry.email)),
+      );
+      failedEmails = (campaign?.summary?.failures || [])
+        .map((entry) => normalizeEmail(entry.email))
+        .filter((email) => email && !delivered.has(email));
+    }
+    const failedSet = new Set(failedEmails);
+    // Current records rather than the job's snapshot: the snapshot expires with the job.
+    const recipients = (await getSubscribers()).filter(
+      (subscriber) => isActiveSubscriber(subscriber) && failedSet.has(normalizeEmail(subscriber.email)),
     );
 
-    if (invalidSubscribers.length > 0) {
-      const invalidList = invalidSubscribers.map((subscriber) => subscriber.email);
-      logger.warn('Invalid subscriber emails detected, aborting send.', { invalidList });
-      lastEmailDiagnostic = {
-        timestamp: new Date().toISOString(),
-        status: 'error',
-        context: 'send-newsletter',
-        recipients: invalidList,
-        reason: 'invalid-subscribers',
-      };
+    if (!recipients.length) {
       res.status(400).json({
-        message: 'One or more subscriber email addresses are invalid. Please fix them and try again.',
-        invalidEmails: invalidList,
+        message: failedSet.size
+          ? 'None of the failed recipients are still subscribed.'
+          : 'This campaign has no failed recipients to retry.',
       });
       return;
     }
 
-    const unsubscribeBase = appUrl.replace(/\/$/, '');
-    const strippedContent = stripHtml(sanitizedContent);
-    const previewSnippet = typeof previewText === 'string' ? previewText.trim() : '';
-    const totalSubscribers = subscribers.length;
-    const batchesEstimated = Math.ceil(totalSubscribers / RESEND_BATCH_SIZE);
-    const estimatedDurationMs = Math.max(batchesEstimated - 1, 0) * RESEND_BATCH_DELAY_MS;
-    const estimatedCompletion =
-      totalSubscribers > 0
-        ? new Date(Date.now() + estimatedDurationMs).toISOString()
-        : new Date().toISOString();
+    const retryCount = (Number(record?.retryCount ?? campaign?.retryCount) || 0) + 1;
+    const retryJob = buildSendJob(`${campaignId}-retry-${retryCount}`, recipients, {
+      title: record?.title || campaign?.title,
+      sanitizedContent: content,
+      previewSnippet: record?.previewText ?? campaign?.previewSnippet ?? '',
+      lists: record?.lists || campaign?.lists || [],
+    });
+    retryJob.retryOf = campaignId;
+    retryJob.unsubscribeBase =
+      record?.unsubscribeBase || campaign?.unsubscribeBase || retryJob.unsubscribeBase;
 
-    logger.info('Newsletter send queued with rate limiting.', {
-      totalSubscribers,
-      batchSize: RESEND_BATCH_SIZE,
-      batchesEstimated,
-      rateLimitDelayMs: RESEND_BATCH_DELAY_MS,
-      estimatedCompletion,
+    if (record) {
+      await saveCampaignRecord({ ...record, retryCount, lastRetryJobId: retryJob.id });
+    }
+    if (campaign) {
+      campaign.retryCount = retryCount;
+      campaign.lastRetryJobId = retryJob.id;
+      await saveSendJob(campaign);
+    }
+    await enqueueSendJob(retryJob);
+
+    logger.info('Retry of failed recipients queued.', {
+      campaignId,
+      retryJobId: retryJob.id,
+      recipients: recipients.length,
+      noLongerSubscribed: failedSet.size - recipients.length,
     });
 
-    const summary = {
-      id: campaignId,
-      total: totalSubscribers,
-      batchSize: RESEND_BATCH_SIZE,
-      batchesEstimated,
-      delayMsBetweenBatches: RESEND_BATCH_DELAY_MS,
-      estimatedCompletion,
-      successes: [],
-      failures: [],
-      skipped: [],
-      progressUpdates: [],
-      startedAt: sendStartedAt.toISOString(),
-      estimatedDurationMs,
-    };
+    res.status(202).json({
+      message: `Retrying ${recipients.length} failed recipient${recipients.length === 1 ? '' : 's'}.`,
+      campaignId: retryJob.id,
+      retryOf: campaignId,
+      status: 'queued',
+      statusUrl: `/api/campaigns/${encodeURIComponent(retryJob.id)}/status`,
+      total: recipients.length,
+      noLongerSubscribed: failedSet.size - recipients.length,
+    });
+  } catch (error) {
+    logger.error('Failed to queue campaign retry.', {
+      campaignId: req.params.id,
+      message: error?.message,
+    });
+    res.status(500).json({ message: 'Failed to retry campaign.', details: error?.message });
+  }
+});
 
-    const queueStart = performance.now();
-    let processed = 0;
+/**
+ * List campaigns waiting for their scheduled send time, soonest first.
+ */
+app.get('/api/scheduled-campaigns', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const records = await listScheduledCampaigns();
+    res.json({ campaigns: records.map(serializeScheduledCampaign) });
+  } catch (error) {
+    logger.error('Failed to list scheduled campaigns.', { message: error?.message });
+    res.status(500).json({
+      message: 'Failed to load scheduled campaigns.',
+      details: error?.message,
+    });
+  }
+});
 
-    for (let batchIndex = 0; batchIndex < batchesEstimated; batchIndex += 1) {
-      const batchStart = batchIndex * RESEND_BATCH_SIZE;
-      const batch = subscribers.slice(batchStart, batchStart + RESEND_BATCH_SIZE);
+app.get('/api/scheduled-campaigns/:id', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const record = await getScheduledCampaign(req.params.id);
+    if (!record) {
+      res.status(404).json({ message: 'Scheduled campaign not found.' });
+      return;
+    }
+    res.json({ campaign: serializeScheduledCampaign(record) });
+  } catch (error) {
+    logger.error('Failed to load scheduled campaign.', {
+      campaignId: req.params.id,
+      message: error?.message,
+    });
+    res.status(500).json({
+      message: 'Failed to load scheduled campaign.',
+      details: error?.message,
+    });
+  }
+});
 
-      for (const subscriber of batch) {
-        processed += 1;
+/**
+ * Reschedule a pending campaign. Only `sendAt` can change; edit content by cancelling and scheduling again.
+ */
+app.patch('/api/scheduled-campaigns/:id', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const record = await getScheduledCampaign(req.params.id);
+    if (!record) {
+      res.status(404).json({ message: 'Scheduled campaign not found.' });
+      return;
+    }
+    if (record.status !== 'scheduled') {
+      res.status(409).json({ message: `Campaign is already ${record.status}.` });
+      return;
+    }
+    if (await getSendJob(record.id)) {
+      // Queued by a scheduler tick that could not save `released` yet.
+      res.status(409).json({ message: 'Campaign is already released.' });
+      return;
+    }
+    const scheduledFor = parseSendAt(req.body?.sendAt);
+    const updated = await saveScheduledCampaign({ ...record, sendAt: scheduledFor.toISOString() });
+    logger.info('Scheduled campaign rescheduled.', {
+      campaignId: record.id,
+      previousSendAt: record.sendAt,
+      sendAt: updated.sendAt,
+    });
+    res.json({ message: 'Campaign rescheduled.', campaign: serializeScheduledCampaign(updated) });
+  } catch (error) {
+    if (error instanceof CampaignSendError) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    logger.error('Failed to reschedule campaign.', {
+      campaignId: req.params.id,
+      message: error?.message,
+    });
+    res.status(500).json({ message: 'Failed to reschedule campaign.', details: error?.message });
+  }
+});
 
-        const result = await sendNewsletterToSubscriber(subscriber, {
-          title,
-          sanitizedContent,
-          previewSnippet,
-          strippedContent,
-          unsubscribeBase,
-        });
+app.delete('/api/scheduled-campaigns/:id', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const record = await getScheduledCampaign(req.params.id);
+    if (!record) {
+      res.status(404).json({ message: 'Scheduled campaign not found.' });
+      return;
+    }
+    if (record.status !== 'scheduled') {
+      res.status(409).json({ message: `Campaign is already ${record.status}.` });
+      return;
+    }
+    if (await getSendJob(record.id)) {
+      // Queued by a scheduler tick that could not save `released` yet.
+      res.status(409).json({ message: 'Campaign is already released.' });
+      return;
+    }
+    const updated = await saveScheduledCampaign({
+      ...record,
+      status: 'cancelled',
+      cancelledAt: new Date().toISOString(),
+    });
+    logger.info('Scheduled campaign cancelled.', { campaignId: record.id, sendAt: record.sendAt });
+    res.json({ message: 'Scheduled campaign cancelled.', campaign: serializeScheduledCampaign(updated) });
+  } catch (error) {
+    logger.error('Failed to cancel scheduled campaign.', {
+      campaignId: req.params.id,
+      message: error?.message,
+    });
+    res.status(500).json({ message: 'Failed to cancel scheduled campaign.', details: error?.message });
+  }
+});
 
-        if (result.success) {
-          summary.successes.push({
-            email: result.recipientEmail,
-            id: result.data?.id,
-            durationMs: result.durationMs,
-            attempts: result.attempt,
-            dns: result.data?.dns,
-            spf: result.data?.spf,
-            dkim: result.data?.dkim,
-            batch: batchIndex + 1,
-            queueIndex: processed,
-            retryBackoffMs: result.retryDelays,
-            unsubscribeLink: result.unsubscribeLink,
-          });
-        } else {
-          const failureMessage = result.error?.message || 'Unknown Resend error.';
-          summary.failures.push({
-            email: result.recipientEmail,
-            error: failureMessage,
-            statusCode:
-              result.error?.statusCode || result.error?.response?.statusCode || undefined,
-            attempts: result.attempt,
-            retryBackoffMs: result.retryDelays,
-            response: result.resendResponse,
-            suggestions: buildResendSuggestions(failureMessage),
-            batch: batchIndex + 1,
-            queueIndex: processed,
-            rateLimitExceeded: isRateLimitError(result.error),
-            unsubscribeLink: result.unsubscribeLink,
-          });
-        }
+/**
+ * RSS-to-email automation: configuration, last poll, and drafts waiting for approval.
+ */
+app.get('/api/automations/rss', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const [state, drafts] = await Promise.all([getRssAutomationState(), listPendingRssDrafts()]);
+    res.json({
+      enabled: Boolean(RSS_FEED_URL),
+      feedUrl: RSS_FEED_URL || null,
+      mode: RSS_AUTOMATION_MODE,
+      template: RSS_ITEM_TEMPLATES[RSS_AUTOMATION_TEMPLATE] ? RSS_AUTOMATION_TEMPLATE : 'summary',
+      pollIntervalMs: RSS_POLL_INTERVAL_MS,
+      lastPolledAt: state?.lastPolledAt || null,
+      lastError: state?.lastError || null,
+      lastResult: state?.lastResult || null,
+      drafts,
+    });
+  } catch (error) {
+    logger.error('Failed to load RSS automation status.', { message: error?.message });
+    res.status(500).json({ message: 'Failed to load the RSS automation.', details: error?.message });
+  }
+});
 
-        const progressEntry = {
-          processed,
-          sent: summary.successes.length,
-          failed: summary.failures.length,
-          total: totalSubscribers,
-          batch: batchIndex + 1,
-          timestamp: new Date().toISOString(),
-          message: `Processed ${processed}/${totalSubscribers} (sent ${summary.successes.length}, failed ${summary.failures.length}).`,
-        };
-        summary.progressUpdates.push(progressEntry);
+app.post('/api/automations/rss/run', ensureAuthenticatedApi, async (req, res) => {
+  if (!RSS_FEED_URL) {
+    res.status(503).json({ message: 'Set RSS_FEED_URL to enable the RSS automation.' });
+    return;
+  }
+  if (rssAutomationState.busy) {
+    res.status(409).json({ message: 'The feed is already being checked.' });
+    return;
+  }
+  try {
+    const result = await runRssAutomationTick();
+    res.json(result);
+  } catch (error) {
+    res.status(502).json({ message: 'Failed to check the feed.', details: error?.message });
+  }
+});
 
-        logger.info('Newsletter send progress update.', {
-          processed,
-          total: totalSubscribers,
-          sent: summary.successes.length,
-          failed: summary.failures.length,
-          batch: batchIndex + 1,
-          email: result.recipientEmail,
-          success: result.success,
-          progressMessage: `Sent ${summary.successes.length}/${totalSubscribers} emails...`,
-        });
-      }
+app.post('/api/automations/rss/drafts/:id/approve', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const draft = await getRssDraft(req.params.id);
+    if (!draft) {
+      res.status(404).json({ message: 'Draft not found.' });
+      return;
+    }
+    if (draft.status !== 'pending') {
+      res.status(409).json({ message: `Draft is already ${draft.status}.` });
+      return;
+    }
+    const job = await queueRssIssue(draft.id, draft);
+    await saveRssDraft({ ...draft, status: 'approved', approvedAt: new Date().toISOString(), error: null });
+    logger.info('RSS draft approved and queued.', { campaignId: draft.id, recipients: job.recipients.length });
+    res.status(202).json({
+      message: 'Draft approved and queued for delivery.',
+      campaignId: draft.id,
+      statusUrl: `/api/campaigns/${encodeURIComponent(draft.id)}/status`,
+      total: job.summary.total,
+    });
+  } catch (error) {
+    if (error instanceof CampaignSendError) {
+      res.status(error.statusCode).json({ message: error.message, code: error.code });
+      return;
+    }
+    logger.error('Failed to approve RSS draft.', { id: req.params.id, message: error?.message });
+    res.status(500).json({ message: 'Failed to approve the draft.', details: error?.message });
+  }
+});
 
-      if (batchIndex < batchesEstimated - 1) {
-        logger.info('Rate limit pause between batches.', {
-          completedBatch: batchIndex + 1,
-          delayMs: RESEND_BATCH_DELAY_MS,
-        });
-        await sleep(RESEND_BATCH_DELAY_MS);
-      }
+app.delete('/api/automations/rss/drafts/:id', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const draft = await getRssDraft(req.params.id);
+    if (!draft) {
+      res.status(404).json({ message: 'Draft not found.' });
+      return;
+    }
+    if (draft.status !== 'pending') {
+      res.status(409).json({ message: `Draft is already ${draft.status}.` });
+      return;
     }
+    await saveRssDraft({ ...draft, status: 'discarded', discardedAt: new Date().toISOString() });
+    logger.info('RSS draft discarded.', { id: draft.id });
+    res.json({ message: 'Draft discarded.' });
+  } catch (error) {
+    logger.error('Failed to discard RSS draft.', { id: req.params.id, message: error?.message });
+    res.status(500).json({ message: 'Failed to discard the draft.', details: error?.message });
+  }
+});
+
+/**
+ * Server-Sent Events stream of a campaign's progress entries.
+ * Emits `status` once on connect, `progress` per recipient, and `complete` when the job finishes.
+ */
+app.get('/api/campaigns/:id/events', ensureAuthenticatedApi, async (req, res) => {
+  const campaignId = req.params.id;
+  let job;
+  try {
+    job = await getSendJob(campaignId);
+  } catch (error) {
+    logger.error('Campaign event stream lookup failed.', { campaignId, message: error?.message });
+    res.status(500).json({ message: 'Failed to load campaign status.', details: error?.message });
+    return;
+  }
+  if (!job) {
+    res.status(404).json({ message: 'Campaign not found.' });
+    return;
+  }
 
-    const elapsedMs = Math.round(performance.now() - queueStart);
-    summary.elapsedMs = elapsedMs;
-    summary.sentCount = summary.successes.length;
-    summary.failedCount = summary.failures.length;
-    summary.skippedCount = summary.skipped.length;
-    summary.completedBatches = Math.ceil(processed / RESEND_BATCH_SIZE);
-    summary.completedAt = new Date().toISOString();
-    summary.totalProcessed = processed;
-    summary.successRate =
-      processed > 0 ? Number((summary.sentCount / processed).toFixed(4)) : 0;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-    const campaignStatus =
-      summary.failedCount === 0
-        ? 'success'
-        : summary.sentCount === 0
-        ? 'failed'
-        : 'partial';
-    summary.status = campaignStatus;
+  let closed = false;
+  let heartbeatTimer = null;
+  let relayTimer = null;
 
-    logger.info('Newsletter send completed.', {
-      totalSubscribers,
-      sent: summary.sentCount,
-      failed: summary.failedCount,
-      elapsedMs,
-      batchesProcessed: summary.completedBatches,
-    });
-    try {
-      await storeCampaignSummary({
-        id: campaignId,
-        title,
-        sentAt: summary.completedAt,
-        recipients: totalSubscribers,
-        delivered: summary.sentCount,
-        failed: summary.failedCount,
-        successCount: summary.sentCount,
-        failureCount: summary.failedCount,
-        status: campaignStatus,
-      });
-      const aggregateMetrics = await getAggregateMetrics();
-      aggregateMetrics.sent = Math.max(0, (aggregateMetrics.sent || 0) + totalSubscribers);
-      aggregateMetrics.delivered = Math.max(0, (aggregateMetrics.delivered || 0) + summary.sentCount);
-      aggregateMetrics.failed = Math.max(0, (aggregateMetrics.failed || 0) + summary.failedCount);
-      await saveAggregateMetrics(aggregateMetrics);
-    } catch (analyticsError) {
-      logger.warn('Failed to persist campaign summary analytics.', {
-        message: analyticsError?.message,
-      });
+  const writeEvent = (type, data) => {
+    if (!closed) {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
     }
+  };
 
-    lastEmailDiagnostic = {
-      timestamp: new Date().toISOString(),
-      status: campaignStatus === 'failed' ? 'error' : campaignStatus,
-      context: 'send-newsletter',
-      campaignId,
-      recipients: subscribers
-        .map((subscriber) => normalizeEmail(subscriber.email))
-        .filter(Boolean),
-      durationMs: elapsedMs,
-      response: summary,
-    };
-
-    if (summary.sentCount === 0 && summary.failedCount > 0) {
-      res.status(502).json({
-        message: 'Failed to send newsletter; all emails encountered errors.',
-        summary,
-      });
+  const cleanup = () => {
+    if (closed) {
       return;
     }
+    closed = true;
+    campaignEvents.removeListener(campaignId, handleEvent);
+    clearInterval(heartbeatTimer);
+    clearInterval(relayTimer);
+    res.end();
+  };
 
-    res.status(summary.failedCount > 0 ? 207 : 200).json({
-      message:
-        summary.failedCount > 0
-          ? 'Newsletter sent with some issues.'
-          : 'Newsletter sent successfully with rate limiting.',
-      campaignId,
-      summary,
-    });
-  } catch (error) {
-    logger.error('Failed to send newsletter.', {
-      message: error?.message,
-      statusCode: error?.statusCode,
-      name: error?.name,
-      response: error?.response,
-      stack: error?.stack,
-      code: error?.code,
-    });
-    const friendlyMessage =
-      error instanceof SubscriberStorageError
-        ? 'Unable to load subscribers from storage. Please verify the Vercel KV connection.'
-        : error?.response?.body?.message || error.message || 'Unknown error occurred.';
+  function handleEvent({ type, data }) {
+    writeEvent(type, data);
+    if (type === 'complete') {
+      cleanup();
+    }
+  }
 
-    const suggestions =
-      error instanceof SubscriberStorageError
-        ? [
-            'Confirm KV_REST_API_URL and KV_REST_API_TOKEN are set and valid.',
-            'Verify the Vercel KV database is accessible from this environment.',
-          ]
-        : buildResendSuggestions(error?.message);
+  writeEvent('status', buildCampaignStatusPayload(job));
+  if (SEND_JOB_FINAL_STATUSES.includes(job.status)) {
+    writeEvent('complete', buildCampaignStatusPayload(job));
+    cleanup();
+    return;
+  }
 
-    lastEmailDiagnostic = {
-      timestamp: new Date().toISOString(),
-      status: 'error',
-      context: 'send-newsletter',
-      recipients: [],
-      error: {
-        message: error?.message,
-        statusCode: error?.statusCode,
-        response: error?.response,
-      },
-    };
+  campaignEvents.on(campaignId, handleEvent);
+  heartbeatTimer = setInterval(() => {
+    if (!closed) {
+      res.write(': keep-alive\n\n');
+    }
+  }, CAMPAIGN_EVENTS_HEARTBEAT_MS);
+  // The worker may live in another instance, so also watch the stored job for completion.
+  relayTimer = setInterval(async () => {
+    try {
+      const latest = await getSendJob(campaignId);
+      if (latest && SEND_JOB_FINAL_STATUSES.includes(latest.status)) {
+        handleEvent({ type: 'complete', data: buildCampaignStatusPayload(latest) });
+      }
+    } catch (error) {
+      logger.warn('Campaign event stream refresh failed.', { campaignId, message: error?.message });
+    }
+  }, SEND_QUEUE_POLL_INTERVAL_MS);
 
-    res.status(500).json({
-      message: 'Failed to send newsletter.',
-      details: friendlyMessage,
-      meta: {
-        errorName: error?.name,
-        statusCode: error?.statusCode,
-        resendResponse: error?.response,
-      },
-      suggestions,
-    });
-  }
+  req.on('close', cleanup);
 });
 
 // Lightweight analytics endpoint consumed by the dashboard to populate cards, tables, and charts.
@@ -3188,14 +8826,32 @@ app.get('/api/analytics', ensureAuthenticatedApi, async (req, res) => {
       getSubscriberGrowthWindow(30),
     ]);
 
-    const lastCampaign = recentCampaigns.length ? recentCampaigns[0] : null;
+    const campaignsWithEngagement = [];
+    for (const campaign of recentCampaigns) {
+      // eslint-disable-next-line no-await-in-loop
+      const record = await getCampaignRecord(campaign.id);
+      const metrics = record?.metrics || createEmptyMetricSnapshot();
+      // eslint-disable-next-line no-await-in-loop
+      const canRetry = await campaignCanRetry(campaign.id, record, Number(campaign.failed) || 0);
+      campaignsWithEngagement.push({
+        ...campaign,
+        canRetry,
+        opens: metrics.opens || 0,
+        openRate: campaign.delivered > 0 ? Number(((metrics.opens || 0) / campaign.delivered).toFixed(4)) : 0,
+      });
+    }
+    const lastCampaign = campaignsWithEngagement.length ? campaignsWithEngagement[0] : null;
+    const totalDelivered = aggregateMetrics.delivered || 0;
 
     res.json({
       totalSubscribers: subscriberCount,
       totalCampaignsSent: totalCampaigns,
-      totalSent: aggregateMetrics.delivered || 0,
+      totalSent: totalDelivered,
+      totalOpens: aggregateMetrics.opens || 0,
+      openRate: totalDelivered > 0 ? Number(((aggregateMetrics.opens || 0) / totalDelivered).toFixed(4)) : 0,
+      openTrackingEnabled: ENABLE_OPEN_TRACKING,
       lastCampaign,
-      recentCampaigns,
+      recentCampaigns: campaignsWithEngagement,
       subscriberGrowth: growthWindow,
     });
   } catch (error) {
@@ -3241,19 +8897,22 @@ app.post('/api/preview-newsletter', ensureAuthenticatedApi, async (req, res) =>
   const sanitizedContent = sanitizeHtml(content, sanitizerOptions);
   const baseUrl =
     (appUrl && appUrl.trim()) || `${req.protocol}://${req.get('host') || 'localhost'}`;
-  const unsubscribeLink = `${baseUrl.replace(/\/$/, '')}/unsubscribe?email=${encodeURIComponent(
-    adminEmail,
-  )}`;
+  const unsubscribeLink = buildUnsubscribeUrl(baseUrl, PREVIEW_LINK_ID);
+  const preferencesLink = buildPreferencesUrl(baseUrl, PREVIEW_LINK_ID);
 
   const htmlBody = buildEmailTemplate(
     subject,
     sanitizedContent,
     previewText || '',
     unsubscribeLink,
+    '',
+    '',
+    preferencesLink,
   );
 
   const plainTextBody = `${stripHtml(sanitizedContent)}
 
+Manage preferences: ${preferencesLink}
 Unsubscribe: ${unsubscribeLink}`;
 
   const emailPayload = {
@@ -3264,7 +8923,7 @@ Unsubscribe: ${unsubscribeLink}`;
     text: plainTextBody,
   };
 
-  const sendResult = await sendWithResend(emailPayload, {
+  const sendResult = await sendEmail(emailPayload, {
     endpoint: 'preview-newsletter',
     target: adminEmail,
   });
@@ -3320,14 +8979,12 @@ app.post('/api/test-email', ensureAuthenticatedApi, async (req, res) => {
           ? '<p><img src="https://res.cloudinary.com/demo/image/upload/f_auto,q_auto,w_480/sample.jpg" alt="Diagnostic image" style="max-width:100%;border-radius:8px;" /></p>'
           : ''
       }
-      <p>If you received this message, your Resend configuration is working.</p>
+      <p>If you received this message, your email configuration is working.</p>
     </div>
   `;
 
   const sanitizedHtmlBody = sanitizeHtml(htmlBody, sanitizerOptions);
-  const unsubscribeLink = `${appUrl.replace(/\/$/, '')}/unsubscribe?email=${encodeURIComponent(
-    targetEmail,
-  )}`;
+  const unsubscribeLink = buildUnsubscribeUrl(appUrl, PREVIEW_LINK_ID);
   const plainTextBody = `${stripHtml(sanitizedHtmlBody)}
 
 Unsubscribe: ${unsubscribeLink}`;
@@ -3345,7 +9002,7 @@ Unsubscribe: ${unsubscribeLink}`;
     text: plainTextBody,
   };
 
-  const sendResult = await sendWithResend(emailPayload, {
+  const sendResult = await sendEmail(emailPayload, {
     endpoint: 'test-email',
     target: targetEmail,
     includeImage: useImage,
@@ -3379,8 +9036,8 @@ Unsubscribe: ${unsubscribeLink}`;
     };
 
     res.status(502).json({
-      message: 'Test email failed to send via Resend.',
-      details: resendError?.message || 'Unknown Resend error.',
+      message: `Test email failed to send via ${emailTransport.name}.`,
+      details: resendError?.message || 'Unknown email transport error.',
       statusCode: resendError?.statusCode,
       suggestions,
       resendResponse: resendError?.response,
@@ -3399,21 +9056,21 @@ Unsubscribe: ${unsubscribeLink}`;
       recipients: [targetEmail],
       durationMs: sendResult.durationMs,
       error: {
-        message: 'Resend did not return a message ID for test email.',
+        message: 'The email transport did not return a message ID for the test email.',
         response: data,
       },
       payloadSummary,
     };
 
     res.status(502).json({
-      message: 'Resend did not return a message ID for the test email.',
+      message: 'The email transport did not return a message ID for the test email.',
       details: data,
       durationMs: sendResult.durationMs,
     });
     return;
   }
 
-  logger.info('Test email sent successfully via Resend.', {
+  logger.info('Test email sent successfully.', {
     id: data.id,
     durationMs: sendResult.durationMs,
     dns: data?.dns,
@@ -3514,13 +9171,14 @@ const ping = await cloudinary.api.ping();
       senderEmail,
       senderEmailValid: isValidEmail(senderEmail),
       senderEmailIsTestDomain: senderEmail.toLowerCase().includes('onboarding@resend.dev'),
-      subscriberCount: subscribers.length,
+      subscriberCount: subscribers.filter(isActiveSubscriber).length,
+      subscriberStatusCounts: await getSubscriberStatusCounts().catch(() => null),
       subscriberStorage: {
         mode: subscriberStoreMode,
         kvConfigured: subscriberStoreMode === 'kv',
         initializationError: kvInitializationError ? kvInitializationError.message : null,
       },
-      resendStatus,
+      emailTransport: { name: emailTransport.name, ...emailTransportStatus },
       cloudinaryStatus,
       lastEmailSent: lastEmailDiagnostic,
       session: {
@@ -3532,7 +9190,38 @@ const ping = await cloudinary.api.ping();
         redisUrlPresent: sessionHealth.redisUrlPresent,
         lifecycle: { ...sessionLifecycle },
       },
+      sendQueue: {
+        activeJobId: sendQueueState.activeJobId,
+        busy: sendQueueState.busy,
+        lastTickAt: sendQueueState.lastTickAt,
+        pollIntervalMs: SEND_QUEUE_POLL_INTERVAL_MS,
+        queued: (await listQueuedSendJobIds().catch(() => [])).length,
+      },
+      scheduler: {
+        busy: schedulerState.busy,
+        lastTickAt: schedulerState.lastTickAt,
+        pollIntervalMs: SCHEDULER_POLL_INTERVAL_MS,
+        pending: (await listScheduledCampaigns().catch(() => [])).length,
+      },
+      rssAutomation: {
+        enabled: Boolean(RSS_FEED_URL),
+        mode: RSS_AUTOMATION_MODE,
+        busy: rssAutomationState.busy,
+        lastTickAt: rssAutomationState.lastTickAt,
+        pollIntervalMs: RSS_POLL_INTERVAL_MS,
+      },
+      doubleOptIn: {
+        enabled: DOUBLE_OPT_IN_ENABLED,
+        // Form ids only; the keys are secrets.
+        singleOptInForms: Array.from(SINGLE_OPT_IN_FORMS.keys()),
+        tokenTtlHours: CONFIRMATION_TOKEN_TTL_HOURS,
+        lastPurgeAt: pendingPurgeState.lastPurgeAt,
+        lastPurged: pendingPurgeState.lastPurged,
+      },
+      unsubscribeLinks: { signed: true },
+      dailySendQuota: await getDailySendQuota().catch((error) => ({ error: error?.message })),
       publicRateLimit: '10 requests per IP per hour',
+      preferencesRateLimit: '60 requests per IP per hour',
       suspiciousActivity: suspiciousSummary,
     });
   } catch (error) {
@@ -3549,10 +9238,311 @@ const ping = await cloudinary.api.ping();
   }
 });
 
+/**
+ * Open-tracking pixel. Always answers with the GIF; the open is only counted when the signature matches.
+ */
+app.get([OPEN_TRACKING_PATH, `${OPEN_TRACKING_PATH}/${TRACKING_PIXEL_FILENAME}`], async (req, res) => {
+  const { c: newsletterId, r: recipientHash, s: signature } = req.query;
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    Pragma: 'no-cache',
+  });
+  if (
+    typeof newsletterId === 'string' &&
+    typeof recipientHash === 'string' &&
+    verifyTrackingSignature(signature, 'open', newsletterId, recipientHash)
+  ) {
+    try {
+      await recordCampaignMetric(newsletterId, 'opens', null, { recipientHash });
+    } catch (error) {
+      logger.warn('Failed to record email open.', { newsletterId, message: error?.message });
+    }
+  } else if (newsletterId || signature) {
+    logger.warn('Rejected open-tracking request with an invalid signature.', { newsletterId, ip: req.ip });
+  }
+  res.end(TRACKING_PIXEL_GIF);
+});
+
+/**
+ * Click-tracking redirect. The target is looked up from the campaign's stored link list by index, and
+ * only after the signature checks out, so the route cannot be used to redirect anywhere else.
+ */
+app.get(CLICK_TRACKING_PATH, async (req, res) => {
+  const { c: newsletterId, r: recipientHash, l: linkParam, s: signature } = req.query;
+  const linkIndex = Number(linkParam);
+  if (
+    typeof newsletterId !== 'string' ||
+    typeof recipientHash !== 'string' ||
+    !Number.isInteger(linkIndex) ||
+    linkIndex < 0 ||
+    !verifyTrackingSignature(signature, 'click', newsletterId, recipientHash, linkIndex)
+  ) {
+    logger.warn('Rejected click-tracking request with an invalid signature.', { newsletterId, ip: req.ip });
+    res.status(400).send('This link is invalid.');
+    return;
+  }
+  try {
+    const record = await getCampaignRecord(newsletterId);
+    const target = record?.links?.[linkIndex];
+    let protocol = null;
+    try {
+      protocol = target ? new URL(target).protocol : null;
+    } catch (error) {
+      protocol = null;
+    }
+    if (!CLICK_ALLOWED_SCHEMES.includes(protocol)) {
+      res.status(404).send('This link is no longer available.');
+      return;
+    }
+    try {
+      await recordCampaignMetric(newsletterId, 'clicks', null, { recipientHash });
+      await recordLinkClick(newsletterId, linkIndex, recipientHash);
+    } catch (error) {
+      logger.warn('Failed to record link click.', { newsletterId, linkIndex, message: error?.message });
+    }
+    res.redirect(302, target);
+  } catch (error) {
+    logger.error('Click-tracking redirect failed.', { newsletterId, message: error?.message });
+    res.status(500).send('Unable to follow this link right now.');
+  }
+});
+
+/**
+ * Development inbox for the capture transport.
+ */
+app.get('/inbox', ensureAuthenticatedView, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'inbox.html'));
+});
+
+app.get('/api/captured-emails', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const messages = await listCapturedEmails();
+    res.json({ transport: emailTransport.name, messages });
+  } catch (error) {
+    logger.error('Failed to list captured emails.', { message: error?.message });
+    res.status(500).json({ message: 'Failed to load captured emails.', details: error?.message });
+  }
+});
+
+app.get('/api/captured-emails/:id', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const message = await getCapturedEmail(req.params.id);
+    if (!message) {
+      res.status(404).json({ message: 'Captured email not found.' });
+      return;
+    }
+    res.json({ message });
+  } catch (error) {
+    logger.error('Failed to load captured email.', { id: req.params.id, message: error?.message });
+    res.status(500).json({ message: 'Failed to load captured email.', details: error?.message });
+  }
+});
+
+app.delete('/api/captured-emails', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    await clearCapturedEmails();
+    logger.info('Captured emails cleared.');
+    res.json({ message: 'Captured emails cleared.' });
+  } catch (error) {
+    logger.error('Failed to clear captured emails.', { message: error?.message });
+    res.status(500).json({ message: 'Failed to clear captured emails.', details: error?.message });
+  }
+});
+
+/**
+ * Resend delivery webhooks. Events are verified, claimed by their Svix message id (Resend retries
+ * deliver the same id, so repeats are acknowledged without being applied twice), applied and logged.
+ */
+app.post('/api/webhooks/resend', async (req, res) => {
+  if (!RESEND_WEBHOOK_SECRET) {
+    res.status(503).json({ message: 'Webhook signing secret is not configured.' });
+    return;
+  }
+  const id = req.get('svix-id');
+  const timestamp = req.get('svix-timestamp');
+  const verified = verifyWebhookSignature({
+    id,
+    timestamp,
+    signatureHeader: req.get('svix-signature'),
+    body: req.rawBody,
+  });
+  if (!verified) {
+    logger.warn('Rejected Resend webhook with an invalid signature.', { id });
+    res.status(401).json({ message: 'Invalid webhook signature.' });
+    return;
+  }
+
+  let claimed = false;
+  try {
+    const entry = { id, receivedAt: new Date().toISOString(), event: req.body, outcome: null, replays: 0 };
+    claimed = await claimWebhookEvent(entry);
+    if (!claimed) {
+      res.json({ received: true, duplicate: true });
+      return;
+    }
+    const outcome = await applyResendWebhookEvent(req.body);
+    await storeWebhookEvent({ ...entry, outcome }, { isNew: true });
+    logger.info('Resend webhook processed.', { id, type: outcome.type, action: outcome.action });
+    res.json({ received: true, outcome });
+  } catch (error) {
+    if (claimed) {
+      await releaseWebhookEvent(id).catch(() => {});
+    }
+    logger.error('Failed to process Resend webhook.', { id, message: error?.message });
+    res.status(500).json({ message: 'Failed to process webhook.', details: error?.message });
+  }
+});
+
+app.get('/api/webhooks/resend/events', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 100, 1), WEBHOOK_EVENT_LOG_LIMIT);
+    const events = await listWebhookEvents(limit);
+    res.json({ events });
+  } catch (error) {
+    logger.error('Failed to list webhook events.', { message: error?.message });
+    res.status(500).json({ message: 'Failed to load webhook events.', details: error?.message });
+  }
+});
+
+/**
+ * Re-apply logged events, e.g. after restoring metrics. Replays all logged events unless `ids`
+ * narrows them down. Only metrics are re-applied, and those count each recipient once.
+ */
+app.post('/api/webhooks/resend/replay', ensureAuthenticatedApi, async (req, res) => {
+  try {
+    const requestedIds = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : null;
+    const entries = requestedIds
+      ? (await Promise.all(requestedIds.map((id) => getWebhookEvent(id)))).filter(Boolean)
+      : (await listWebhookEvents(WEBHOOK_EVENT_LOG_LIMIT)).reverse();
+    const results = [];
+    for (const entry of entries) {
+      // eslint-disable-next-line no-await-in-loop
+      const outcome = await applyResendWebhookEvent(entry.event, { replay: true });
+      // eslint-disable-next-line no-await-in-loop
+      await storeWebhookEvent({
+        ...entry,
+        outcome,
+        replays: (entry.replays || 0) + 1,
+        lastReplayedAt: new Date().toISOString(),
+      });
+      results.push({ id: entry.id, outcome });
+    }
+    logger.info('Webhook events replayed.', { count: results.length });
+    res.json({ replayed: results.length, results });
+  } catch (error) {
+    logger.error('Failed to replay webhook events.', { message: error?.message });
+    res.status(500).json({ message: 'Failed to replay webhook events.', details: error?.message });
+  }
+});
+
+/**
+ * Public web archive of sent campaigns.
+ */
+app.get('/archive', async (req, res) => {
+  try {
+    const issues = await listArchivedIssues();
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('html').send(renderArchiveIndexPage(issues));
+  } catch (error) {
+    logger.error('Failed to render the newsletter archive.', { message: error?.message });
+    res.status(500).send('The archive is unavailable right now.');
+  }
+});
+
+app.get('/archive/feed.xml', async (req, res) => {
+  try {
+    const issues = await listArchivedIssues(ARCHIVE_FEED_LIMIT);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/rss+xml').send(renderArchiveRssFeed(issues, appUrl.replace(/\/$/, '')));
+  } catch (error) {
+    logger.error('Failed to render the RSS feed.', { message: error?.message });
+    res.status(500).send('The feed is unavailable right now.');
+  }
+});
+
+app.get('/archive/atom.xml', async (req, res) => {
+  try {
+    const issues = await listArchivedIssues(ARCHIVE_FEED_LIMIT);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/atom+xml').send(renderArchiveAtomFeed(issues, appUrl.replace(/\/$/, '')));
+  } catch (error) {
+    logger.error('Failed to render the Atom feed.', { message: error?.message });
+    res.status(500).send('The feed is unavailable right now.');
+  }
+});
+
+app.get('/archive/:slug', async (req, res) => {
+  try {
+    const issue = await getArchivedIssue(req.params.slug);
+    if (!issue || issue.excluded) {
+      res.status(404).type('html').send(renderArchiveIndexPage(await listArchivedIssues()));
+      return;
+    }
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('html').send(
+      issue.html.replace(
+        /<body([^>]*)>/,
+        `<body$1>
+    <p style="margin:0;padding:12px 24px;font-family:Arial,Helvetica,sans-serif;font-size:14px;">
+      <a href="/archive" style="color:#2563eb;">&larr; All issues</a>
+    </p>`,
+      ),
+    );
+  } catch (error) {
+    logger.error('Failed to render an archived issue.', { slug: req.params.slug, message: error?.message });
+    res.status(500).send('This issue is unavailable right now.');
+  }
+});
+
+app.get('/confirm', (_, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'confirm.html'));
+});
+
+/**
+ * RFC 8058 one-click unsubscribe. Mailbox providers POST `List-Unsubscribe=One-Click` to the URL from
+ * the List-Unsubscribe header; the signed token in the query string is the only thing we rely on.
+ * Lives outside /api/public so the per-IP public rate limit cannot block a provider's requests.
+ */
+app.post(ONE_CLICK_UNSUBSCRIBE_PATH, async (req, res) => {
+  try {
+    const parsed = await resolveUnsubscribeToken(req.query.token);
+    if (!parsed) {
+      recordSuspiciousAttempt(req.ip, 'invalid-one-click-unsubscribe-token');
+      res.status(400).type('text/plain').send('Invalid unsubscribe link.');
+      return;
+    }
+    // A link whose subscriber was erased has nobody left to unsubscribe; it still answers 200.
+    const { changed } = parsed.email
+      ? await unsubscribeAddress(parsed.email, {
+          campaignId: parsed.campaignId,
+          listId: parsed.listId,
+          reason: 'one-click',
+        })
+      : { changed: false };
+    logSubscriberEvent('info', 'Subscriber unsubscribed via one-click unsubscribe.', {
+      email: parsed.email,
+      campaignId: parsed.campaignId,
+      alreadyUnsubscribed: !changed,
+    });
+    res.type('text/plain').send('Unsubscribed.');
+  } catch (error) {
+    logSubscriberEvent('error', 'One-click unsubscribe failed.', {
+      message: error?.message,
+      code: error?.code,
+    });
+    res.status(500).type('text/plain').send('Unsubscribe failed. Please retry.');
+  }
+});
+
 app.get('/unsubscribe', (_, res) => {
   res.sendFile(path.join(__dirname, 'public', 'unsubscribe.html'));
 });
 
+app.get(PREFERENCES_PATH, (_, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'preferences.html'));
+});
+
 /**
  * Fallback route to serve index.html for any unknown routes (single-page feel).
  */
@@ -3587,9 +9577,30 @@ app.use((err, req, res, next) => {
   next();
 });
 
-app.listen(PORT, () => {
-  logger.info(`Newsletter app running at http://localhost:${PORT}`);
-});
+// Requiring this file (as the tests do) builds the app without listening or starting the workers.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`Newsletter app running at http://localhost:${PORT}`);
+    startSendQueueWorker();
+    startCampaignScheduler();
+    startRssAutomation();
+    startPendingSubscriberPurge();
+  });
+}
+
+module.exports = {
+  app,
+  addSubscriber,
+  fetchSubscriberRecord,
+  setSubscriberStatus,
+  getCampaignRecord,
+  saveCampaignRecord,
+  buildOneClickUnsubscribeUrl,
+  rssAutomationState,
+  createHttpFeedFetcher,
+  pollRssFeed,
+  listPendingRssDrafts,
+};
 
 
 
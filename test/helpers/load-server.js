@@ -0,0 +1,31 @@
+/**
+ * Load server.js against in-memory storage and the capture transport. Requiring it builds the app
+ * without listening, so each test file starts its own server on a free port.
+ */
+Object.assign(process.env, {
+  EMAIL_TRANSPORT: 'capture',
+  SENDER_EMAIL: 'Newsletter <news@example.com>',
+  ADMIN_USERNAME: 'admin',
+  ADMIN_PASSWORD: 'test-password',
+  SESSION_SECRET: 'test-session-secret',
+  CLOUDINARY_CLOUD_NAME: 'test',
+  CLOUDINARY_API_KEY: 'test',
+  CLOUDINARY_API_SECRET: 'test',
+  APP_URL: 'http://localhost',
+});
+['KV_URL', 'KV_REST_API_URL', 'KV_REST_API_TOKEN'].forEach((name) => {
+  delete process.env[name];
+});
+
+const server = require('../../server');
+
+/**
+ * Listen on a free port; resolves with the server and its base URL.
+ */
+async function listen() {
+  const httpServer = server.app.listen(0);
+  await new Promise((resolve) => httpServer.once('listening', resolve));
+  return { httpServer, baseUrl: `http://127.0.0.1:${httpServer.address().port}` };
+}
+
+module.exports = { ...server, listen };
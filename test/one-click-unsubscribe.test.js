@@ -0,0 +1,124 @@
+/**
+ * RFC 8058 one-click unsubscribe, driven the way a mailbox provider does it: a form-encoded
+ * `List-Unsubscribe=One-Click` POST to the URL from the List-Unsubscribe header.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  addSubscriber,
+  fetchSubscriberRecord,
+  setSubscriberStatus,
+  getCampaignRecord,
+  saveCampaignRecord,
+  buildOneClickUnsubscribeUrl,
+  listen,
+} = require('./helpers/load-server');
+
+const CAMPAIGN_ID = 'one-click-test';
+const READER = 'reader@example.com';
+const LIST_READER = 'lists@example.com';
+const BOUNCED_READER = 'bounced@example.com';
+let httpServer;
+let baseUrl;
+let linkId;
+
+function postOneClick(url) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'List-Unsubscribe=One-Click',
+  });
+}
+
+before(async () => {
+  ({ httpServer, baseUrl } = await listen());
+  ({ linkId } = await addSubscriber(READER, 'Reader', { source: 'manual' }));
+  await saveCampaignRecord({ id: CAMPAIGN_ID, title: 'One-click test', metrics: {} });
+});
+
+after(() => {
+  httpServer.close();
+});
+
+test('a valid token unsubscribes the reader and credits the campaign', async () => {
+  const url = buildOneClickUnsubscribeUrl(baseUrl, linkId, CAMPAIGN_ID);
+  const response = await postOneClick(url);
+  assert.strictEqual(response.status, 200);
+
+  const record = await fetchSubscriberRecord(READER);
+  assert.strictEqual(record.status, 'unsubscribed');
+  assert.strictEqual(record.statusReason, 'one-click');
+  const campaign = await getCampaignRecord(CAMPAIGN_ID);
+  assert.strictEqual(campaign.metrics.unsubscribes, 1);
+});
+
+test('replaying the same token answers 200 without counting twice', async () => {
+  const url = buildOneClickUnsubscribeUrl(baseUrl, linkId, CAMPAIGN_ID);
+  const response = await postOneClick(url);
+  assert.strictEqual(response.status, 200);
+
+  const record = await fetchSubscriberRecord(READER);
+  assert.strictEqual(record.status, 'unsubscribed');
+  const campaign = await getCampaignRecord(CAMPAIGN_ID);
+  assert.strictEqual(campaign.metrics.unsubscribes, 1);
+});
+
+test('a tampered token is rejected with 400', async () => {
+  const url = new URL(buildOneClickUnsubscribeUrl(baseUrl, linkId, CAMPAIGN_ID));
+  const token = url.searchParams.get('token');
+  const lastChar = token.slice(-1) === 'A' ? 'B' : 'A';
+  url.searchParams.set('token', `${token.slice(0, -1)}${lastChar}`);
+  const response = await postOneClick(url.toString());
+  assert.strictEqual(response.status, 400);
+});
+
+test('the token does not contain the address', () => {
+  const url = buildOneClickUnsubscribeUrl(baseUrl, linkId, CAMPAIGN_ID);
+  const token = new URL(url).searchParams.get('token');
+  const decodedSegments = token.split('.').map((part) => Buffer.from(part, 'base64url').toString());
+  assert.ok(!token.includes(READER));
+  assert.ok(decodedSegments.every((segment) => !segment.includes(READER)));
+});
+
+test('a token for one list removes only that membership until it is the last one', async () => {
+  const { linkId: listReaderLinkId } = await addSubscriber(LIST_READER, 'List reader', {
+    source: 'manual',
+    lists: ['news', 'events'],
+  });
+
+  const eventsUrl = buildOneClickUnsubscribeUrl(baseUrl, listReaderLinkId, CAMPAIGN_ID, 'events');
+  assert.strictEqual((await postOneClick(eventsUrl)).status, 200);
+  let record = await fetchSubscriberRecord(LIST_READER);
+  assert.strictEqual(record.status, 'active');
+  assert.deepStrictEqual(record.lists, ['news']);
+
+  assert.strictEqual((await postOneClick(eventsUrl)).status, 200);
+  assert.strictEqual((await fetchSubscriberRecord(LIST_READER)).status, 'active');
+
+  const newsUrl = buildOneClickUnsubscribeUrl(baseUrl, listReaderLinkId, CAMPAIGN_ID, 'news');
+  assert.strictEqual((await postOneClick(newsUrl)).status, 200);
+  record = await fetchSubscriberRecord(LIST_READER);
+  assert.strictEqual(record.status, 'unsubscribed');
+  // Each address counts once per campaign, whether it left one list or all of them.
+  const campaign = await getCampaignRecord(CAMPAIGN_ID);
+  assert.strictEqual(campaign.metrics.unsubscribes, 2);
+});
+
+test('a bounced address keeps its status through list and global links', async () => {
+  const { linkId: bouncedLinkId } = await addSubscriber(BOUNCED_READER, 'Bounced', {
+    source: 'manual',
+    lists: ['news', 'events'],
+  });
+  await setSubscriberStatus(BOUNCED_READER, 'bounced', { reason: 'Permanent bounce' });
+
+  const listUrl = buildOneClickUnsubscribeUrl(baseUrl, bouncedLinkId, CAMPAIGN_ID, 'events');
+  assert.strictEqual((await postOneClick(listUrl)).status, 200);
+  const globalUrl = buildOneClickUnsubscribeUrl(baseUrl, bouncedLinkId, CAMPAIGN_ID);
+  assert.strictEqual((await postOneClick(globalUrl)).status, 200);
+
+  const record = await fetchSubscriberRecord(BOUNCED_READER);
+  assert.strictEqual(record.status, 'bounced');
+  assert.deepStrictEqual(record.lists, ['news', 'events']);
+  assert.strictEqual((await getCampaignRecord(CAMPAIGN_ID)).metrics.unsubscribes, 2);
+});
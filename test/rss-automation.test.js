@@ -0,0 +1,106 @@
+/**
+ * RSS automation against a local feed: a fixture HTTP server stands in for the blog, read through the
+ * default HTTP fetcher, and a stub fetcher swapped into rssAutomationState covers the scheduled path.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const {
+  rssAutomationState,
+  createHttpFeedFetcher,
+  pollRssFeed,
+  listPendingRssDrafts,
+} = require('./helpers/load-server');
+
+const feedItems = [];
+let feedServer;
+let feedUrl;
+
+function renderFeed() {
+  const items = feedItems
+    .map(
+      (item) => `<item>
+      <guid>${item.id}</guid>
+      <title>${item.title}</title>
+      <link>https://blog.example.com/${item.id}</link>
+      <description>${item.summary}</description>
+      <pubDate>${item.publishedAt}</pubDate>
+    </item>`,
+    )
+    .join('\n');
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>Blog</title>${items}</channel></rss>`;
+}
+
+before(async () => {
+  feedServer = http.createServer((req, res) => {
+    if (req.url !== '/feed.xml') {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml' }).end(renderFeed());
+  });
+  feedServer.listen(0);
+  await new Promise((resolve) => feedServer.once('listening', resolve));
+  feedUrl = `http://127.0.0.1:${feedServer.address().port}/feed.xml`;
+  feedItems.push({
+    id: 'first-post',
+    title: 'First post',
+    summary: 'Already published before the automation was enabled.',
+    publishedAt: 'Mon, 05 Oct 2026 09:00:00 GMT',
+  });
+});
+
+after(() => {
+  feedServer.close();
+});
+
+test('the first poll only records the back catalogue', async () => {
+  const result = await pollRssFeed({ fetcher: createHttpFeedFetcher(), feedUrl, mode: 'draft' });
+  assert.strictEqual(result.baseline, true);
+  assert.strictEqual(result.fetched, 1);
+  assert.deepStrictEqual(result.drafts, []);
+});
+
+test('a new item in the local feed becomes a pending draft', async () => {
+  feedItems.push({
+    id: 'second-post',
+    title: 'Second post',
+    summary: 'Published after the automation was enabled.',
+    publishedAt: 'Tue, 13 Oct 2026 09:00:00 GMT',
+  });
+  const result = await pollRssFeed({ fetcher: createHttpFeedFetcher(), feedUrl, mode: 'draft' });
+  assert.strictEqual(result.newItems, 1);
+  assert.strictEqual(result.drafts.length, 1);
+
+  const drafts = await listPendingRssDrafts();
+  const draft = drafts.find((entry) => entry.id === result.drafts[0]);
+  assert.strictEqual(draft.title, 'Second post');
+  assert.strictEqual(draft.source.itemId, 'second-post');
+});
+
+test('a fetcher swapped into rssAutomationState is used by default', async () => {
+  const originalFetcher = rssAutomationState.fetcher;
+  const requested = [];
+  rssAutomationState.fetcher = {
+    name: 'fixture',
+    async fetch(url) {
+      requested.push(url);
+      return renderFeed();
+    },
+  };
+  try {
+    const result = await pollRssFeed({ feedUrl, mode: 'draft' });
+    assert.deepStrictEqual(requested, [feedUrl]);
+    assert.strictEqual(result.newItems, 0);
+  } finally {
+    rssAutomationState.fetcher = originalFetcher;
+  }
+});
+
+test('an HTTP error from the feed is surfaced', async () => {
+  await assert.rejects(
+    pollRssFeed({ fetcher: createHttpFeedFetcher(), feedUrl: feedUrl.replace('feed.xml', 'missing.xml') }),
+    /status 404/,
+  );
+});